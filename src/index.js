@@ -3,15 +3,31 @@
 
 require('dotenv').config();
 
-const { leerRegistrosModbus } = require('./modbus/clienteModbus');
+const { resolverFuncion, MODO_MODBUS } = require('./modbus/clienteModbus');
+const { alCambiarEstado: alCambiarEstadoConexiones, cerrarTodas: cerrarConexionesModbus, claveDispositivo, destinoRegistrador } = require('./modbus/gestorConexiones');
+const disyuntor = require('./modbus/disyuntor');
+const planificador = require('./modbus/planificador');
+const { normalizarMapa, decodificarValores } = require('./modbus/decodificador');
+const { leerRegistrosAgrupados, claveAgrupacion, AGRUPAR_LECTURAS } = require('./modbus/agrupadorLecturas');
+const { cargarPermitidas, cargarEjecutados, ejecutarComandoEscritura, marcarComandoReportado, SOLO_LECTURA } = require('./modbus/escrituras');
+const { escanearRed, rangoUnidades } = require('./modbus/escaner');
+const { cargarCertificadosTls, revisarVencimientos } = require('./modbus/tls');
+const { clasificarError, crearError, CODIGOS_ERROR } = require('./modbus/errores');
+const { sondearMapa, unidadSondeo } = require('./modbus/sondeoMapa');
 const { cambiarNombre } = require('./servicios/agentesService');
+const colaLecturas = require('./servicios/colaLecturas');
+const { evaluarReporte, olvidarReporte, olvidarReportes } = require('./servicios/reportePorExcepcion');
+const alarmas = require('./servicios/alarmas');
+const colaAlarmas = require('./servicios/colaAlarmas');
+const canalesVirtuales = require('./servicios/canalesVirtuales');
 const {
   iniciarConexion,
   cerrarConexion,
   obtenerDatosAgente,
   obtenerConfiguracion,
-  enviarLecturas,
+  enviarLog,
   reportarResultadoTest,
+  reportarResultadoComando,
   BACKEND_URL,
 } = require('./servicios/restService');
 const { testConexionModbus } = require('./modbus/clienteModbus');
@@ -25,13 +41,77 @@ const terminal = INTERFAZ === 'terminal'
 // Configuración
 const CLAVE_SECRETA = process.env.CLAVE_SECRETA;
 
+// Cada cuánto se vuelven a revisar los vencimientos de certificados TLS (el agente corre meses sin reiniciar)
+const REVISION_TLS_MS = 24 * 60 * 60 * 1000;
+
+// Espera máxima para subir las colas de lecturas y de alarmas al recibir una señal de terminación (ms)
+const ESPERA_VACIADO_MS = 3000;
+
 // Estado del agente
 let registradoresCache = [];
 let cicloActivo = false;
-let intervalosLectura = new Map(); // Map de registradorId -> intervalId
-let contadoresProxLectura = new Map(); // Map de registradorId -> segundos restantes
-let contadorIntervalId = null;
 let testsEnProceso = new Set(); // Para evitar ejecutar el mismo test múltiples veces
+let comandosEnProceso = new Set(); // Para evitar ejecutar el mismo comando de escritura múltiples veces
+
+/**
+ * Transforma un registrador del formato de respuesta del backend al formato interno
+ */
+function transformarRegistrador(r) {
+  // Un mapa con escalas inválidas deja al registrador sin leer (cada intento falla con INVALID_CONFIG)
+  let mapa = null;
+  let errorConfiguracion = null;
+  try {
+    mapa = normalizarMapa(r.mapaRegistros);
+  } catch (error) {
+    errorConfiguracion = error.message;
+    terminal.log(`${r.nombre}: ${error.message}. No se lee hasta corregir el mapa de registros`, 'error');
+  }
+
+  if (mapa && mapa.descartados > 0) {
+    terminal.log(`${r.nombre}: ${mapa.descartados} campo(s) inválido(s) en el mapa de registros`, 'advertencia');
+  }
+
+  const reglas = alarmas.normalizarReglas(r.alarmas);
+
+  if (reglas && reglas.descartadas > 0) {
+    terminal.log(`${r.nombre}: ${reglas.descartadas} regla(s) de alarma inválida(s)`, 'advertencia');
+  }
+
+  return {
+    id: r.id,
+    nombre: r.nombre,
+    tipo: r.tipo,
+    funcion: resolverFuncion(r.funcion, r.tipo),
+    transporte: r.transporte,
+    ip: r.ip,
+    puerto: r.puerto,
+    puerto_serie: r.puertoSerie,
+    baudios: r.baudios,
+    paridad: r.paridad,
+    bits_datos: r.bitsDatos,
+    bits_parada: r.bitsParada,
+    tls_ca: r.tlsCa,
+    tls_certificado: r.tlsCertificado,
+    tls_clave: r.tlsClave,
+    unit_id: r.unitId,
+    indice_inicial: r.indiceInicial,
+    cantidad_registros: r.cantidadRegistros,
+    intervalo_segundos: r.intervaloSegundos,
+    fase_segundos: r.faseSegundos,
+    timeout_ms: r.timeoutMs,
+    reintentos: r.reintentos,
+    backoff_ms: r.backoffMs,
+    max_registros_peticion: r.maxRegistrosPeticion,
+    mapa_registros: mapa ? mapa.campos : null,
+    error_configuracion: errorConfiguracion,
+    banda_muerta: r.bandaMuerta,
+    banda_muerta_porcentaje: r.bandaMuertaPorcentaje,
+    reporte_maximo_minutos: r.reporteMaximoMinutos,
+    alarmas: reglas ? reglas.reglas : null,
+    activo: r.activo !== false,
+    alimentador: r.alimentador,
+  };
+}
 
 /**
  * Carga los registradores desde el backend via REST
@@ -60,22 +140,12 @@ async function cargarRegistradores() {
     }
 
     // Transformar formato de respuesta al formato interno
-    registradoresCache = registradores.map(r => ({
-      id: r.id,
-      nombre: r.nombre,
-      tipo: r.tipo,
-      ip: r.ip,
-      puerto: r.puerto,
-      unit_id: r.unitId,
-      indice_inicial: r.indiceInicial,
-      cantidad_registros: r.cantidadRegistros,
-      intervalo_segundos: r.intervaloSegundos,
-      timeout_ms: r.timeoutMs,
-      activo: r.activo !== false,
-      alimentador: r.alimentador,
-    }));
+    registradoresCache = registradores.map(transformarRegistrador);
+    alarmas.sincronizarReglas(registradoresCache);
+    cargarCanalesVirtuales(config.canalesVirtuales);
 
     terminal.setRegistradores(registradoresCache);
+    revisarCertificadosTls();
 
     return registradoresCache;
   } catch (error) {
@@ -84,49 +154,91 @@ async function cargarRegistradores() {
   }
 }
 
+/**
+ * Carga los canales virtuales sobre los registradores del cache (después de cargarlos o actualizarlos)
+ */
+function cargarCanalesVirtuales(definiciones) {
+  const { cantidad, descartados } = canalesVirtuales.cargarCanales(definiciones, registradoresCache);
+
+  descartados.forEach(({ id, error }) => terminal.log(`Canal virtual ${id} descartado: ${error}`, 'advertencia'));
+  if (cantidad > 0) {
+    terminal.log(`${cantidad} canal(es) virtual(es) cargados`, 'info');
+  }
+}
+
 /**
  * Lee un registrador Modbus y envía la lectura al backend
  */
 async function leerRegistrador(registrador) {
   const inicio = Date.now();
+  const destino = destinoRegistrador(registrador);
+  const dispositivo = claveDispositivo(destino);
+
+  // Dispositivo caído: no insistir hasta el próximo sondeo del disyuntor
+  if (!disyuntor.permitirLectura(dispositivo)) {
+    terminal.actualizarRegistrador(registrador.id, { estado: 'caido' });
+    return { exito: false, omitida: true };
+  }
 
   try {
+    if (registrador.error_configuracion) throw crearError(CODIGOS_ERROR.INVALID_CONFIG, registrador.error_configuracion);
+
     terminal.actualizarRegistrador(registrador.id, { estado: 'leyendo' });
 
-    const valores = await leerRegistrosModbus({
-      ip: registrador.ip,
-      puerto: registrador.puerto,
+    const { valores, intentos, peticiones, agrupadas } = await leerRegistrosAgrupados({
+      ...destino,
       indiceInicial: registrador.indice_inicial,
       cantRegistros: registrador.cantidad_registros,
       unitId: registrador.unit_id || 1,
+      funcion: registrador.funcion,
+      timeoutMs: registrador.timeout_ms,
+      reintentos: registrador.reintentos,
+      backoffMs: registrador.backoff_ms,
+      maxRegistrosPeticion: registrador.max_registros_peticion,
     });
 
     const tiempoMs = Date.now() - inicio;
+    const detalleIntentos = (agrupadas > 1 ? `, agrupada x${agrupadas}` : '')
+      + (peticiones > 1 ? `, ${peticiones} peticiones` : '')
+      + (intentos > 1 ? `, ${intentos} intentos` : '');
 
-    // Enviar lectura al backend via REST
-    const resultado = await enviarLecturas([{
+    disyuntor.registrarExito(dispositivo);
+
+    const lectura = {
       registradorId: registrador.id,
+      funcion: registrador.funcion,
       valores: Array.from(valores),
+      campos: registrador.mapa_registros ? decodificarValores(valores, registrador.mapa_registros) : undefined,
       tiempoMs,
+      intentos,
       exito: true,
+      estadoDispositivo: 'ok',
       timestamp: new Date().toISOString(),
-    }]);
-
-    if (resultado.ok) {
-      terminal.actualizarRegistrador(registrador.id, { estado: 'activo' });
-      // Log en sección de registradores (si está disponible)
-      if (terminal.logRegistrador) {
-        terminal.logRegistrador(registrador.id, `${registrador.nombre}: ${valores.length} registros (${tiempoMs}ms)`, true);
-      } else {
-        terminal.log(`${registrador.nombre}: ${valores.length} registros (${tiempoMs}ms)`, 'exito');
-      }
+    };
+
+    // Las alarmas se evalúan acá mismo, sin esperar al backend (ni a que haya conexión)
+    alarmas.evaluarAlarmas(registrador, lectura);
+
+    // La lectura va a la cola de salida (el envío al backend corre aparte, por lotes), salvo que
+    // el registrador reporte por excepción y ningún valor haya salido de la banda muerta
+    const { reportar } = evaluarReporte(registrador, lectura);
+    if (reportar) {
+      colaLecturas.encolarLectura(lectura);
+    } else if (terminal.registrarLecturaRetenida) {
+      terminal.registrarLecturaRetenida(registrador.id);
+    }
+
+    // Los canales virtuales que usan este registrador y completaron su ciclo salen como lecturas propias
+    canalesVirtuales.registrarLectura(registrador, lectura).forEach(virtual => colaLecturas.encolarLectura(virtual));
+
+    const detalleReporte = reportar ? '' : ', sin cambios: no se envía';
+
+    terminal.actualizarRegistrador(registrador.id, { estado: 'activo' });
+    // Log en sección de registradores (si está disponible)
+    if (terminal.logRegistrador) {
+      terminal.logRegistrador(registrador.id, `${registrador.nombre}: ${valores.length} registros (${tiempoMs}ms${detalleIntentos}${detalleReporte})`, true);
     } else {
-      terminal.actualizarRegistrador(registrador.id, { estado: 'error' });
-      if (terminal.logRegistrador) {
-        terminal.logRegistrador(registrador.id, `${registrador.nombre}: Error enviando lectura`, false);
-      } else {
-        terminal.log(`${registrador.nombre}: Error enviando lectura`, 'error');
-      }
+      terminal.log(`${registrador.nombre}: ${valores.length} registros (${tiempoMs}ms${detalleIntentos}${detalleReporte})`, 'exito');
     }
 
     return { exito: true, valores };
@@ -134,21 +246,26 @@ async function leerRegistrador(registrador) {
   } catch (error) {
     const tiempoMs = Date.now() - inicio;
 
-    // Reportar error al backend
-    try {
-      await enviarLecturas([{
-        registradorId: registrador.id,
-        valores: [],
-        tiempoMs,
-        exito: false,
-        error: error.message,
-        timestamp: new Date().toISOString(),
-      }]);
-    } catch (e) {
-      // Ignorar errores al reportar el error
-    }
+    disyuntor.registrarFallo(dispositivo, error);
+    const caido = disyuntor.estaCaido(dispositivo);
 
-    terminal.actualizarRegistrador(registrador.id, { estado: 'error' });
+    // Reportar error al backend (también por la cola de salida; los errores salen siempre)
+    const lectura = {
+      registradorId: registrador.id,
+      funcion: registrador.funcion,
+      valores: [],
+      tiempoMs,
+      intentos: error.intentos,
+      exito: false,
+      error: error.message,
+      codigoError: clasificarError(error),
+      estadoDispositivo: caido ? 'caido' : 'error',
+      timestamp: new Date().toISOString(),
+    };
+    evaluarReporte(registrador, lectura);
+    colaLecturas.encolarLectura(lectura);
+
+    terminal.actualizarRegistrador(registrador.id, { estado: caido ? 'caido' : 'error' });
     if (terminal.logRegistrador) {
       terminal.logRegistrador(registrador.id, `${registrador.nombre}: ${error.message}`, false);
     } else {
@@ -158,9 +275,41 @@ async function leerRegistrador(registrador) {
   }
 }
 
+/**
+ * Maneja las transiciones del disyuntor de un dispositivo (caído / recuperado)
+ * Actualiza la UI de sus registradores y avisa al backend
+ */
+function manejarCambioDisyuntor(clave, estadoNuevo, estadoAnterior, info) {
+  const afectados = registradoresCache.filter(r => claveDispositivo(destinoRegistrador(r)) === clave);
+
+  if (estadoNuevo === disyuntor.ESTADOS.ABIERTO && estadoAnterior === disyuntor.ESTADOS.CERRADO) {
+    const sondeoSegundos = Math.round(disyuntor.INTERVALO_SONDEO_MS / 1000);
+    terminal.log(`Dispositivo caído: ${clave} (${info.fallosConsecutivos} fallas seguidas). Sondeo cada ${sondeoSegundos}s`, 'error');
+    afectados.forEach(r => terminal.actualizarRegistrador(r.id, { estado: 'caido' }));
+    enviarLog('error', `Dispositivo caído: ${clave}`, {
+      dispositivo: clave,
+      estado: 'caido',
+      fallosConsecutivos: info.fallosConsecutivos,
+      ultimoError: info.ultimoError,
+      registradores: afectados.map(r => r.id),
+    });
+  } else if (estadoNuevo === disyuntor.ESTADOS.CERRADO && estadoAnterior !== disyuntor.ESTADOS.CERRADO) {
+    terminal.log(`Dispositivo recuperado: ${clave}, se retoma el intervalo normal`, 'exito');
+    enviarLog('info', `Dispositivo recuperado: ${clave}`, {
+      dispositivo: clave,
+      estado: 'ok',
+      registradores: afectados.map(r => r.id),
+    });
+  } else if (estadoNuevo === disyuntor.ESTADOS.SEMIABIERTO) {
+    terminal.log(`Sondeando dispositivo caído: ${clave}`, 'ciclo');
+  }
+}
+
 /**
  * Inicia el ciclo de polling para todos los registradores
- * Escalonando automáticamente registradores que comparten IP
+ * Cada registrador lee en los turnos de su grilla (intervalo y fase) del planificador.
+ * Las lecturas a un mismo dispositivo no necesitan escalonarse: la cola del gestor de conexiones
+ * las serializa, y las compatibles coinciden en el tiempo para agruparse en una sola petición
  */
 function iniciarPolling() {
   if (cicloActivo) {
@@ -183,91 +332,35 @@ function iniciarPolling() {
     return;
   }
 
-  terminal.log(`Iniciando polling de ${registradoresActivos.length} registrador(es) activo(s)...`, 'ciclo');
+  const alineacion = planificador.ALINEAR_RELOJ ? ' alineado al reloj' : '';
+  terminal.log(`Iniciando polling${alineacion} de ${registradoresActivos.length} registrador(es) activo(s)...`, 'ciclo');
 
-  // Agrupar registradores por IP para escalonar
-  const porIp = new Map(); // IP -> [registradores]
   for (const reg of registradoresActivos) {
-    if (!porIp.has(reg.ip)) {
-      porIp.set(reg.ip, []);
-    }
-    porIp.get(reg.ip).push(reg);
-  }
-
-  // Iniciar polling con escalonamiento por IP
-  for (const [ip, regs] of porIp) {
-    if (regs.length > 1) {
-      terminal.log(`IP ${ip}: ${regs.length} registradores, escalonando lecturas`, 'info');
-    }
-
-    regs.forEach((reg, index) => {
-      const intervaloSegundos = reg.intervalo_segundos || 60;
-      const intervaloMs = intervaloSegundos * 1000;
-
-      // Calcular delay escalonado: 0 para el primero, intervalo/n para los siguientes
-      const delayMs = index === 0 ? 0 : Math.floor((intervaloSegundos * 1000 * index) / regs.length);
-      const delaySegundos = Math.ceil(delayMs / 1000);
-
-      // Inicializar contador de próxima lectura
-      contadoresProxLectura.set(reg.id, delaySegundos || intervaloSegundos);
-      terminal.actualizarRegistrador(reg.id, { proximaLectura: delaySegundos || intervaloSegundos });
-
-      if (delayMs > 0) {
-        // Primera lectura con delay
-        setTimeout(() => {
-          if (!cicloActivo) return;
-          const regActual = registradoresCache.find(r => r.id === reg.id);
-          if (regActual && regActual.activo) {
-            leerRegistrador(regActual);
-            contadoresProxLectura.set(reg.id, intervaloSegundos);
-            terminal.actualizarRegistrador(reg.id, { proximaLectura: intervaloSegundos });
-          }
-        }, delayMs);
-      } else {
-        // Primera lectura inmediata
-        leerRegistrador(reg);
-      }
-
-      // Configurar intervalo para lecturas subsiguientes
-      const intervalId = setInterval(() => {
-        if (cicloActivo) {
-          const regActual = registradoresCache.find(r => r.id === reg.id);
-          if (regActual && regActual.activo) {
-            leerRegistrador(regActual);
-            contadoresProxLectura.set(reg.id, intervaloSegundos);
-            terminal.actualizarRegistrador(reg.id, { proximaLectura: intervaloSegundos });
-          }
-        }
-      }, intervaloMs);
-
-      intervalosLectura.set(reg.id, intervalId);
-    });
+    const compatible = buscarCompatible(reg);
+    programarRegistrador(reg, compatible ? planificador.origenDe(compatible.id) : undefined);
   }
-
-  // Asegurar que el contador global esté corriendo
-  asegurarContadorGlobal();
 }
 
 /**
  * Ejecuta un test de conexión Modbus y reporta el resultado
  */
 async function ejecutarTestConexion(test) {
-  // Evitar ejecutar el mismo test múltiples veces
-  if (testsEnProceso.has(test.id)) {
-    return;
-  }
+  const funcion = resolverFuncion(test.funcion, test.tipo);
 
-  testsEnProceso.add(test.id);
+  const destino = destinoRegistrador(test);
 
-  terminal.log(`Ejecutando test: ${test.ip}:${test.puerto} (registros ${test.indice_inicial}-${test.indice_inicial + test.cantidad_registros - 1})`, 'ciclo');
+  terminal.log(`Ejecutando test: ${claveDispositivo(destino)} (FC0${funcion}, registros ${test.indice_inicial}-${test.indice_inicial + test.cantidad_registros - 1})`, 'ciclo');
 
   try {
     const resultado = await testConexionModbus({
-      ip: test.ip,
-      puerto: test.puerto,
+      ...destino,
       unitId: test.unit_id || 1,
       indiceInicial: test.indice_inicial,
       cantRegistros: test.cantidad_registros,
+      funcion,
+      timeoutMs: test.timeout_ms,
+      reintentos: test.reintentos,
+      maxRegistrosPeticion: test.max_registros_peticion,
     });
 
     if (resultado.exito) {
@@ -276,6 +369,8 @@ async function ejecutarTestConexion(test) {
       await reportarResultadoTest(test.id, {
         exito: true,
         tiempoRespuestaMs: resultado.tiempoMs,
+        funcion,
+        intentos: resultado.intentos,
         valores: resultado.registros.map(r => r.valor),
       });
     } else {
@@ -284,7 +379,10 @@ async function ejecutarTestConexion(test) {
       await reportarResultadoTest(test.id, {
         exito: false,
         tiempoRespuestaMs: resultado.tiempoMs,
+        funcion,
+        intentos: resultado.intentos,
         errorMensaje: resultado.error,
+        codigoError: resultado.codigoError,
       });
     }
   } catch (error) {
@@ -294,160 +392,461 @@ async function ejecutarTestConexion(test) {
       await reportarResultadoTest(test.id, {
         exito: false,
         errorMensaje: error.message,
+        codigoError: clasificarError(error),
+      });
+    } catch (e) {
+      terminal.log(`Error reportando resultado: ${e.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Ejecuta un escaneo de red y lo registra en el log
+ * Usado por los tests de tipo 'escaneo' del backend y por la interfaz web
+ *
+ * @param {Object} parametros - Ver escanearRed (cidr, puertos, unitIdDesde, unitIdHasta, concurrencia, timeoutMs)
+ * @returns {Promise<Object>} Resultado de escanearRed
+ */
+async function ejecutarEscaneo(parametros) {
+  const { desde, hasta } = rangoUnidades(parametros);
+  terminal.log(`Escaneando ${parametros.cidr} (puertos ${parametros.puertos || 502}, unit ID ${desde}-${hasta})...`, 'ciclo');
+
+  let ultimoAviso = 0;
+  const resultado = await escanearRed(parametros, (probados, total) => {
+    // Avisar el progreso cada 10% para no inundar el log
+    const porcentaje = Math.floor((probados * 10) / total) * 10;
+    if (porcentaje > ultimoAviso && porcentaje < 100) {
+      ultimoAviso = porcentaje;
+      terminal.log(`Escaneo ${parametros.cidr}: ${porcentaje}%`, 'info');
+    }
+  });
+
+  terminal.log(`Escaneo ${parametros.cidr} terminado: ${resultado.dispositivos.length} dispositivo(s), ${resultado.puertosAbiertos} puerto(s) abierto(s) en ${Math.round(resultado.tiempoMs / 1000)}s`, 'exito');
+  resultado.dispositivos.forEach(d => terminal.log(`  ${d.ip}:${d.puerto} unit ${d.unitId} (${d.tiempoMs}ms)`, 'info'));
+
+  return resultado;
+}
+
+/**
+ * Ejecuta un test de tipo 'escaneo' pedido por el backend y reporta el resultado
+ */
+async function ejecutarTestEscaneo(test) {
+  try {
+    const resultado = await ejecutarEscaneo({
+      cidr: test.rango,
+      puertos: test.puertos,
+      unitIdDesde: test.unit_id_desde,
+      unitIdHasta: test.unit_id_hasta,
+      concurrencia: test.concurrencia,
+      timeoutMs: test.timeout_ms,
+      funcion: resolverFuncion(test.funcion),
+    });
+
+    await reportarResultadoTest(test.id, {
+      exito: true,
+      tiempoRespuestaMs: resultado.tiempoMs,
+      dispositivos: resultado.dispositivos,
+      hostsProbados: resultado.hostsProbados,
+      puertosAbiertos: resultado.puertosAbiertos,
+    });
+  } catch (error) {
+    terminal.log(`Error ejecutando escaneo: ${error.message}`, 'error');
+
+    try {
+      await reportarResultadoTest(test.id, {
+        exito: false,
+        errorMensaje: error.message,
+        codigoError: clasificarError(error),
+      });
+    } catch (e) {
+      terminal.log(`Error reportando resultado: ${e.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Ejecuta un sondeo de mapa de registros y lo registra en el log
+ * Usado por los tests de tipo 'sondeo' del backend y por la interfaz web
+ *
+ * @param {Object} parametros - Ver sondearMapa (transporte, ip, puerto, serie, tls, unitId, funcion, desde, hasta, tamanoBloque, timeoutMs)
+ * @returns {Promise<Object>} Resultado de sondearMapa
+ */
+async function ejecutarSondeo(parametros) {
+  const destino = `${claveDispositivo(parametros)} unit ${unidadSondeo(parametros.unitId)}`;
+  terminal.log(`Sondeando mapa de ${destino} (direcciones ${parametros.desde}-${parametros.hasta})...`, 'ciclo');
+
+  const resultado = await sondearMapa(parametros);
+  const legibles = resultado.legibles.reduce((total, b) => total + b.cantidad, 0);
+
+  terminal.log(`Sondeo ${destino} terminado: ${legibles} dirección(es) legible(s) en ${resultado.legibles.length} bloque(s), ${resultado.peticiones} peticiones`, resultado.interrumpido ? 'advertencia' : 'exito');
+  resultado.legibles.forEach(b => terminal.log(`  FC0${resultado.funcion} [${b.inicio}-${b.fin}]`, 'info'));
+  if (resultado.interrumpido) {
+    terminal.log(`Sondeo ${destino} interrumpido: el dispositivo dejó de responder`, 'advertencia');
+  }
+
+  return resultado;
+}
+
+/**
+ * Ejecuta un test de tipo 'sondeo' pedido por el backend y reporta el resultado
+ */
+async function ejecutarTestSondeo(test) {
+  try {
+    // Mismo destino que una lectura: transporte, puerto serie y certificados TLS del test
+    const resultado = await ejecutarSondeo({
+      ...destinoRegistrador(test),
+      unitId: test.unit_id,
+      funcion: resolverFuncion(test.funcion, test.tipo),
+      desde: test.direccion_desde,
+      hasta: test.direccion_hasta,
+      tamanoBloque: test.tamano_bloque,
+      timeoutMs: test.timeout_ms,
+    });
+
+    await reportarResultadoTest(test.id, {
+      exito: true,
+      tiempoRespuestaMs: resultado.tiempoMs,
+      funcion: resultado.funcion,
+      legibles: resultado.legibles,
+      ilegales: resultado.ilegales,
+      errores: resultado.errores,
+      interrumpido: resultado.interrumpido,
+      peticiones: resultado.peticiones,
+    });
+  } catch (error) {
+    terminal.log(`Error ejecutando sondeo: ${error.message}`, 'error');
+
+    try {
+      await reportarResultadoTest(test.id, {
+        exito: false,
+        errorMensaje: error.message,
+        codigoError: clasificarError(error),
       });
     } catch (e) {
       terminal.log(`Error reportando resultado: ${e.message}`, 'error');
     }
+  }
+}
+
+/**
+ * Ejecuta un test pendiente del backend según su tipo (por defecto, test de conexión)
+ */
+async function ejecutarTest(test) {
+  // Evitar ejecutar el mismo test múltiples veces
+  if (testsEnProceso.has(test.id)) {
+    return;
+  }
+
+  testsEnProceso.add(test.id);
+
+  try {
+    switch (test.tipo_test) {
+      case 'escaneo':
+        await ejecutarTestEscaneo(test);
+        break;
+      case 'sondeo':
+        await ejecutarTestSondeo(test);
+        break;
+      default:
+        await ejecutarTestConexion(test);
+    }
   } finally {
     testsEnProceso.delete(test.id);
   }
 }
 
 /**
- * Asegura que el contador global de segundos esté corriendo
+ * Ejecuta un comando de escritura pedido por el backend y reporta el resultado
+ * Los enclavamientos (solo lectura, lista blanca) se aplican en modbus/escrituras, que además
+ * recuerda los comandos ejecutados: si el reporte falla, el comando vuelve a llegar y solo se
+ * reintenta el reporte con el resultado guardado
  */
-function asegurarContadorGlobal() {
-  if (contadorIntervalId) return; // Ya está corriendo
-
-  contadorIntervalId = setInterval(() => {
-    contadoresProxLectura.forEach((segundos, regId) => {
-      if (segundos > 0) {
-        const nuevoValor = segundos - 1;
-        contadoresProxLectura.set(regId, nuevoValor);
-        terminal.actualizarRegistrador(regId, { proximaLectura: nuevoValor });
-      }
+async function ejecutarComando(comando) {
+  // Evitar ejecutar el mismo comando múltiples veces (una escritura repetida no es inocua)
+  if (comandosEnProceso.has(comando.id)) {
+    return;
+  }
+
+  comandosEnProceso.add(comando.id);
+
+  const registrador = registradoresCache.find(r => r.id === comando.registradorId);
+  const nombre = registrador ? registrador.nombre : comando.registradorId;
+
+  try {
+    const resultado = await ejecutarComandoEscritura(comando, registrador);
+
+    if (resultado.repetido) {
+      terminal.log(`Comando ${comando.id} ya ejecutado en ${nombre}: se reintenta solo el reporte`, 'info');
+    } else if (resultado.exito) {
+      const detalle = resultado.verificado ? 'verificada' : 'sin relectura';
+      terminal.log(`Escritura ${detalle} en ${nombre}: ${comando.tipo} ${comando.direccion} (${resultado.tiempoMs}ms)`, 'exito');
+    } else if (resultado.rechazado) {
+      terminal.log(`Escritura rechazada en ${nombre}: ${resultado.error}`, 'advertencia');
+    } else {
+      terminal.log(`Escritura fallida en ${nombre}: ${resultado.error}`, 'error');
+    }
+
+    await reportarResultadoComando(comando.id, {
+      exito: resultado.exito,
+      rechazado: resultado.rechazado === true,
+      verificado: resultado.verificado === true,
+      valoresLeidos: resultado.valoresLeidos,
+      tiempoRespuestaMs: resultado.tiempoMs,
+      errorMensaje: resultado.error,
     });
-  }, 1000);
+    marcarComandoReportado(comando.id);
+
+    if (resultado.repetido) return;
+
+    enviarLog(resultado.exito ? 'info' : 'advertencia', `Comando de escritura ${comando.id}: ${resultado.exito ? 'ejecutado' : resultado.error}`, {
+      comandoId: comando.id,
+      registradorId: comando.registradorId,
+      tipo: comando.tipo,
+      direccion: comando.direccion,
+      exito: resultado.exito,
+    });
+  } catch (error) {
+    terminal.log(`Error reportando resultado de comando: ${error.message}`, 'error');
+  } finally {
+    comandosEnProceso.delete(comando.id);
+  }
+}
+
+/**
+ * Carga la lista blanca local de escrituras e informa el estado del interruptor de solo lectura
+ */
+function cargarEscriturasPermitidas() {
+  // Los comandos ya ejecutados se cargan siempre: con solo lectura también hay que reportar los pendientes
+  try {
+    const sinReportar = cargarEjecutados();
+    if (sinReportar > 0) {
+      terminal.log(`${sinReportar} comando(s) de escritura ejecutados sin reportar: se reportan cuando el backend los vuelva a enviar`, 'advertencia');
+    }
+  } catch (error) {
+    terminal.log(`Error cargando comandos ejecutados: ${error.message}`, 'error');
+  }
+
+  if (SOLO_LECTURA) {
+    terminal.log('Modo solo lectura: los comandos de escritura del backend serán rechazados', 'info');
+    return;
+  }
+
+  try {
+    const cantidad = cargarPermitidas();
+    terminal.log(`Escrituras habilitadas: ${cantidad} registrador(es) con direcciones escribibles`, cantidad > 0 ? 'advertencia' : 'info');
+  } catch (error) {
+    terminal.log(`Error cargando escrituras permitidas: ${error.message}`, 'error');
+  }
 }
 
 /**
- * Calcula el delay inicial para escalonar lecturas de registradores con misma IP
- * Evita colisiones cuando múltiples registradores apuntan al mismo dispositivo
- * @param {string} ip - IP del registrador
- * @param {number} intervaloSegundos - Intervalo del registrador
- * @returns {number} - Delay en milisegundos
+ * Carga los certificados TLS por dispositivo (tls.json)
  */
-function calcularDelayEscalonado(ip, intervaloSegundos) {
-  // Contar cuántos registradores activos ya tienen polling para esta IP
-  let countMismaIp = 0;
-  for (const [regId] of intervalosLectura) {
-    const reg = registradoresCache.find(r => r.id === regId);
-    if (reg && reg.ip === ip) {
-      countMismaIp++;
+function cargarCertificadosTlsLocales() {
+  try {
+    const cantidad = cargarCertificadosTls();
+    if (cantidad > 0) {
+      terminal.log(`Certificados TLS: ${cantidad} entrada(s) cargadas`, 'info');
     }
+  } catch (error) {
+    terminal.log(`Error cargando certificados TLS: ${error.message}`, 'error');
   }
+}
 
-  if (countMismaIp === 0) {
-    return 0; // Primera lectura de esta IP, sin delay
+/**
+ * Avisa en el log de los certificados TLS vencidos, por vencer o ilegibles de los registradores activos
+ */
+function revisarCertificadosTls() {
+  const destinos = registradoresCache
+    .filter(r => r.activo)
+    .map(destinoRegistrador)
+    .filter(d => d.transporte === 'tls');
+
+  for (const aviso of revisarVencimientos(destinos)) {
+    if (aviso.error) {
+      terminal.log(`Certificado TLS (${aviso.tipo}) ${aviso.ruta}: ${aviso.error}`, 'error');
+    } else if (aviso.diasRestantes < 0) {
+      terminal.log(`Certificado TLS (${aviso.tipo}) ${aviso.ruta} VENCIDO el ${aviso.venceEl}`, 'error');
+    } else {
+      terminal.log(`Certificado TLS (${aviso.tipo}) ${aviso.ruta} vence el ${aviso.venceEl} (${aviso.diasRestantes} días)`, 'advertencia');
+    }
   }
+}
+
+/**
+ * Busca un registrador compatible (misma clave de agrupación) que ya esté en polling
+ * Compartir su grilla de turnos hace que ambos lean en el mismo instante y el agrupador
+ * resuelva las dos lecturas con una sola petición
+ */
+function buscarCompatible(reg) {
+  if (!AGRUPAR_LECTURAS) return null;
+  return registradoresCache.find(r => r.id !== reg.id && planificador.estaProgramada(r.id) && claveAgrupacion(r) === claveAgrupacion(reg)) || null;
+}
+
+/**
+ * Programa las lecturas periódicas de un registrador en el planificador
+ * @param {Object} reg - Registrador a programar
+ * @param {number} origen - Opcional: origen de la grilla de otro registrador para leer en fase con él
+ * @returns {number} Segundos hasta la primera lectura
+ */
+function programarRegistrador(reg, origen) {
+  const { proxima } = planificador.programar(reg.id, {
+    intervaloMs: (reg.intervalo_segundos || 60) * 1000,
+    faseMs: (reg.fase_segundos || 0) * 1000,
+    origen,
+  }, () => {
+    // Se toma el registrador del cache: su configuración puede haber cambiado desde que se programó
+    // La promesa devuelta mantiene ocupado el turno: no se larga otra lectura hasta que termine
+    const regActual = registradoresCache.find(r => r.id === reg.id);
+    if (cicloActivo && regActual && regActual.activo) {
+      return leerRegistrador(regActual);
+    }
+    return undefined;
+  });
 
-  // Escalonar: dividir el intervalo entre los registradores de la misma IP
-  // Si hay 1 ya activo, el nuevo se retrasa intervalo/2
-  // Si hay 2 ya activos, el nuevo se retrasa intervalo/3, etc.
-  const delaySegundos = Math.floor(intervaloSegundos / (countMismaIp + 1));
-  return delaySegundos * 1000;
+  const segundos = Math.max(Math.ceil((proxima - Date.now()) / 1000), 0);
+  terminal.actualizarRegistrador(reg.id, { proximaLectura: segundos });
+  return segundos;
 }
 
 /**
  * Inicia el polling de UN registrador específico
  * @param {Object} reg - Registrador a iniciar
- * @param {number} delayInicialMs - Delay opcional para escalonar inicio (ms)
  */
-function iniciarPollingRegistrador(reg, delayInicialMs = null) {
+function iniciarPollingRegistrador(reg) {
   if (!reg.activo) return;
 
-  // Asegurar que cicloActivo esté en true y el contador global esté corriendo
+  // Asegurar que cicloActivo esté en true
   if (!cicloActivo) {
     cicloActivo = true;
     terminal.log('Ciclo de polling activado', 'ciclo');
   }
-  asegurarContadorGlobal();
 
   const intervaloSegundos = reg.intervalo_segundos || 60;
-  const intervaloMs = intervaloSegundos * 1000;
-
-  // Calcular delay de escalonamiento si no se proporcionó
-  const delayMs = delayInicialMs !== null ? delayInicialMs : calcularDelayEscalonado(reg.ip, intervaloSegundos);
-
-  if (delayMs > 0) {
-    // Iniciar con delay para evitar colisión con otros registradores de la misma IP
-    const delaySegundos = Math.ceil(delayMs / 1000);
-    contadoresProxLectura.set(reg.id, delaySegundos);
-    terminal.actualizarRegistrador(reg.id, { proximaLectura: delaySegundos });
-    terminal.log(`Polling para ${reg.nombre} iniciará en ${delaySegundos}s (escalonado por IP compartida)`, 'ciclo');
-
-    // Programar primera lectura con delay
-    setTimeout(() => {
-      if (!cicloActivo) return;
-      const regActual = registradoresCache.find(r => r.id === reg.id);
-      if (regActual && regActual.activo) {
-        leerRegistrador(regActual);
-        contadoresProxLectura.set(reg.id, intervaloSegundos);
-        terminal.actualizarRegistrador(reg.id, { proximaLectura: intervaloSegundos });
-      }
-    }, delayMs);
-  } else {
-    // Primera lectura inmediata
-    contadoresProxLectura.set(reg.id, intervaloSegundos);
-    terminal.actualizarRegistrador(reg.id, { proximaLectura: intervaloSegundos });
-    leerRegistrador(reg);
-  }
-
-  // Configurar intervalo para lecturas subsiguientes (siempre empieza después del delay + intervalo)
-  const intervalId = setInterval(() => {
-    if (cicloActivo) {
-      // Obtener el intervalo actual del cache (puede haber cambiado)
-      const regActual = registradoresCache.find(r => r.id === reg.id);
-      if (regActual && regActual.activo) {
-        leerRegistrador(regActual);
-        const nuevoIntervalo = regActual.intervalo_segundos || 60;
-        contadoresProxLectura.set(reg.id, nuevoIntervalo);
-        terminal.actualizarRegistrador(reg.id, { proximaLectura: nuevoIntervalo });
-      }
-    }
-  }, intervaloMs);
 
-  intervalosLectura.set(reg.id, intervalId);
-  terminal.log(`Polling iniciado para ${reg.nombre} (cada ${intervaloSegundos}s)`, 'ciclo');
+  // Si ya hay un registrador compatible en polling, sumarse a su grilla para compartir la petición
+  const compatible = buscarCompatible(reg);
+  const segundos = programarRegistrador(reg, compatible ? planificador.origenDe(compatible.id) : undefined);
+
+  const detalle = (segundos > 0 ? `, primera lectura en ${segundos}s` : '')
+    + (compatible ? `, agrupado con ${compatible.nombre}` : '');
+  terminal.log(`Polling iniciado para ${reg.nombre} (cada ${intervaloSegundos}s${detalle})`, 'ciclo');
 }
 
 /**
  * Detiene el polling de UN registrador específico
  */
 function detenerPollingRegistrador(regId) {
-  const intervalId = intervalosLectura.get(regId);
-  if (intervalId) {
-    clearInterval(intervalId);
-    intervalosLectura.delete(regId);
-    contadoresProxLectura.delete(regId);
+  olvidarReporte(regId);
+  canalesVirtuales.olvidarLecturas(regId);
+  if (planificador.cancelar(regId)) {
+    terminal.actualizarRegistrador(regId, { proximaLectura: null });
     terminal.log(`Polling detenido para registrador ${regId}`, 'advertencia');
   }
 }
 
+/**
+ * Informa un evento de alarma en el log y lo encola para el backend
+ */
+function manejarEventoAlarma(evento) {
+  const descripcion = `${evento.registradorNombre} ${evento.campo} ${evento.tipo === alarmas.TIPOS_ALARMA.ALTA ? 'alto' : 'bajo'}`;
+
+  if (evento.evento === alarmas.EVENTOS_ALARMA.ACTIVADA) {
+    terminal.log(`ALARMA ${descripcion}: ${evento.valor} (límite ${evento.limite})`, 'error');
+  } else if (evento.evento === alarmas.EVENTOS_ALARMA.NORMALIZADA) {
+    const motivo = evento.motivo === 'configuracion' ? ' (regla eliminada)' : `: ${evento.valor}`;
+    terminal.log(`Alarma normalizada ${descripcion}${motivo}`, 'exito');
+  } else {
+    terminal.log(`Alarma reconocida ${descripcion}`, 'info');
+  }
+
+  colaAlarmas.encolarEvento(evento);
+}
+
+/**
+ * Cuenta un turno omitido porque la lectura anterior del registrador seguía en curso (equipo lento)
+ */
+function manejarTurnoOmitido(regId, totalOmitidos) {
+  const reg = registradoresCache.find(r => r.id === regId);
+  const nombre = reg ? reg.nombre : regId;
+
+  terminal.log(`${nombre}: la lectura anterior sigue en curso, turno omitido (${totalOmitidos} en total)`, 'advertencia');
+  if (terminal.registrarTurnoOmitido) {
+    terminal.registrarTurnoOmitido(regId);
+  }
+}
+
+/**
+ * Informa un turno de lectura que terminó con un error no manejado por leerRegistrador
+ */
+function manejarTurnoFallido(regId, error, totalFallidos) {
+  const reg = registradoresCache.find(r => r.id === regId);
+  const nombre = reg ? reg.nombre : regId;
+
+  terminal.log(`${nombre}: error inesperado en el turno de lectura (${totalFallidos} en total): ${error && error.message}`, 'error');
+}
+
+/**
+ * Avisa de los turnos de lectura que se perdieron (el agente estuvo bloqueado o el equipo suspendido)
+ * El planificador no los recupera: la grilla sigue en su lugar y se lee solo el turno más reciente
+ */
+function manejarTurnosPerdidos(regId, cantidad, desde) {
+  const reg = registradoresCache.find(r => r.id === regId);
+  const nombre = reg ? reg.nombre : regId;
+
+  terminal.log(`${nombre}: ${cantidad} turno(s) de lectura perdido(s) desde las ${desde.toLocaleTimeString()}`, 'advertencia');
+  enviarLog('advertencia', `Turnos de lectura perdidos: ${nombre}`, {
+    registradorId: regId,
+    turnosPerdidos: cantidad,
+    desde: desde.toISOString(),
+  });
+}
+
+/**
+ * Compara dos versiones de un registrador campo por campo
+ * @returns {Array<{campo: string, antes: *, despues: *}>} Campos que cambiaron
+ */
+function diferenciasRegistrador(anterior, nuevo) {
+  const campos = new Set([...Object.keys(anterior), ...Object.keys(nuevo)]);
+
+  return [...campos]
+    .filter(campo => JSON.stringify(anterior[campo]) !== JSON.stringify(nuevo[campo]))
+    .map(campo => ({ campo, antes: anterior[campo], despues: nuevo[campo] }));
+}
+
+/**
+ * Describe un cambio de campo para el log ("ip 10.0.0.5 -> 10.0.0.6")
+ */
+function describirCambio({ campo, antes, despues }) {
+  const nombre = campo.replace(/_/g, ' ');
+
+  // El mapa de registros y las alarmas son largos: solo se informa cuántos campos o reglas tienen
+  if (campo === 'mapa_registros' || campo === 'alarmas') {
+    const cantidad = lista => (lista ? lista.length : 0);
+    const unidad = campo === 'alarmas' ? 'reglas' : 'campos';
+    return cantidad(antes) === cantidad(despues)
+      ? `${nombre} modificado`
+      : `${nombre} (${cantidad(antes)} -> ${cantidad(despues)} ${unidad})`;
+  }
+
+  const valor = v => (v === undefined || v === null || v === '' ? '-' : v);
+  return `${nombre} ${valor(antes)} -> ${valor(despues)}`;
+}
+
 /**
  * Actualiza los registradores de forma granular (sin reiniciar todo)
+ * Cada registrador existente se compara campo por campo: los cambios de intervalo, fase o
+ * agrupación reprograman su grilla de turnos; el resto se aplica desde la próxima lectura,
+ * que siempre toma la configuración del cache
  */
-async function actualizarRegistradoresGranular(registradoresNuevos) {
+async function actualizarRegistradoresGranular(registradoresNuevos, canalesNuevos) {
   if (!registradoresNuevos) return;
 
   // Transformar formato
-  const nuevosTransformados = registradoresNuevos.map(r => ({
-    id: r.id,
-    nombre: r.nombre,
-    tipo: r.tipo,
-    ip: r.ip,
-    puerto: r.puerto,
-    unit_id: r.unitId,
-    indice_inicial: r.indiceInicial,
-    cantidad_registros: r.cantidadRegistros,
-    intervalo_segundos: r.intervaloSegundos,
-    timeout_ms: r.timeoutMs,
-    activo: r.activo !== false,
-    alimentador: r.alimentador,
-  }));
+  const nuevosTransformados = registradoresNuevos.map(transformarRegistrador);
 
   const idsNuevos = new Set(nuevosTransformados.map(r => r.id));
-  const idsActuales = new Set(registradoresCache.map(r => r.id));
+  const anteriores = new Map(registradoresCache.map(r => [r.id, r]));
 
   // 1. Detectar registradores ELIMINADOS -> detener su polling
   for (const regActual of registradoresCache) {
@@ -457,41 +856,67 @@ async function actualizarRegistradoresGranular(registradoresNuevos) {
     }
   }
 
-  // 2. Detectar registradores NUEVOS -> iniciar su polling si está activo
+  // El cache se actualiza antes de programar: las lecturas y la búsqueda de compatibles usan la configuración nueva
+  registradoresCache = nuevosTransformados;
+
   for (const regNuevo of nuevosTransformados) {
-    if (!idsActuales.has(regNuevo.id)) {
+    const regActual = anteriores.get(regNuevo.id);
+
+    // 2. Registrador NUEVO -> iniciar su polling si está activo
+    if (!regActual) {
       terminal.log(`Nuevo registrador detectado: ${regNuevo.nombre}`, 'info');
       if (regNuevo.activo) {
         iniciarPollingRegistrador(regNuevo);
       }
+      continue;
     }
-  }
 
-  // 3. Detectar cambios de estado ACTIVO/INACTIVO
-  for (const regNuevo of nuevosTransformados) {
-    const regActual = registradoresCache.find(r => r.id === regNuevo.id);
-    if (regActual) {
-      // Cambió de activo a inactivo -> detener polling
-      if (regActual.activo && !regNuevo.activo) {
-        terminal.log(`Registrador desactivado: ${regNuevo.nombre}`, 'advertencia');
-        detenerPollingRegistrador(regNuevo.id);
-        terminal.actualizarRegistrador(regNuevo.id, { estado: 'inactivo' });
-      }
-      // Cambió de inactivo a activo -> iniciar polling
-      else if (!regActual.activo && regNuevo.activo) {
-        terminal.log(`Registrador activado: ${regNuevo.nombre}`, 'exito');
-        iniciarPollingRegistrador(regNuevo);
-      }
-      // Cambió el intervalo -> se aplicará en el próximo ciclo automáticamente
-      else if (regActual.intervalo_segundos !== regNuevo.intervalo_segundos) {
-        terminal.log(`Intervalo cambiado para ${regNuevo.nombre}: ${regActual.intervalo_segundos}s -> ${regNuevo.intervalo_segundos}s (se aplicará en próximo ciclo)`, 'info');
-      }
+    // 3. Registrador existente -> comparar campo por campo
+    const cambios = diferenciasRegistrador(regActual, regNuevo).filter(c => c.campo !== 'activo');
+    const cambioActivo = regActual.activo !== regNuevo.activo;
+
+    if (cambios.length === 0 && !cambioActivo) continue;
+
+    if (cambios.length > 0) {
+      terminal.log(`Cambios en ${regNuevo.nombre}: ${cambios.map(describirCambio).join(', ')}`, 'info');
+      // Con otra configuración (mapa, banda muerta...) la próxima lectura se envía entera
+      olvidarReporte(regNuevo.id);
+    }
+
+    // Cambió de activo a inactivo -> detener polling
+    if (regActual.activo && !regNuevo.activo) {
+      terminal.log(`Registrador desactivado: ${regNuevo.nombre}`, 'advertencia');
+      detenerPollingRegistrador(regNuevo.id);
+    }
+    // Cambió de inactivo a activo -> iniciar polling
+    else if (!regActual.activo && regNuevo.activo) {
+      terminal.log(`Registrador activado: ${regNuevo.nombre}`, 'exito');
+      iniciarPollingRegistrador(regNuevo);
+    }
+    // Cambió la grilla (intervalo, fase) o con quién comparte petición -> reprogramar
+    else if (regNuevo.activo && (
+      regActual.intervalo_segundos !== regNuevo.intervalo_segundos
+      || regActual.fase_segundos !== regNuevo.fase_segundos
+      || claveAgrupacion(regActual) !== claveAgrupacion(regNuevo)
+    )) {
+      const compatible = buscarCompatible(regNuevo);
+      const segundos = programarRegistrador(regNuevo, compatible ? planificador.origenDe(compatible.id) : undefined);
+      terminal.log(`${regNuevo.nombre} reprogramado: cada ${regNuevo.intervalo_segundos || 60}s, próxima lectura en ${segundos}s`, 'ciclo');
+    }
+    // Resto de los campos -> la próxima lectura ya usa la configuración nueva
+    else if (regNuevo.activo) {
+      terminal.log(`${regNuevo.nombre}: cambios aplicados desde la próxima lectura`, 'ciclo');
     }
   }
 
-  // 4. Actualizar el cache con los nuevos datos
-  registradoresCache = nuevosTransformados;
+  // 4. Las alarmas de reglas que ya no existen se descartan y los canales virtuales se vuelven a
+  // compilar (pueden haber cambiado ellos o los campos de sus registradores)
+  alarmas.sincronizarReglas(registradoresCache);
+  cargarCanalesVirtuales(canalesNuevos);
+
+  // 5. Reflejar la configuración nueva en la UI
   terminal.setRegistradores(registradoresCache);
+  revisarCertificadosTls();
 }
 
 /**
@@ -500,16 +925,11 @@ async function actualizarRegistradoresGranular(registradoresNuevos) {
 function detenerPolling() {
   cicloActivo = false;
 
-  intervalosLectura.forEach((intervalId) => {
-    clearInterval(intervalId);
-  });
-  intervalosLectura.clear();
-  contadoresProxLectura.clear();
+  planificador.cancelarTodas();
+  olvidarReportes();
 
-  if (contadorIntervalId) {
-    clearInterval(contadorIntervalId);
-    contadorIntervalId = null;
-  }
+  // Liberar los sockets persistentes hacia los dispositivos
+  cerrarConexionesModbus();
 
   terminal.log('Polling detenido', 'advertencia');
 }
@@ -530,6 +950,9 @@ async function main() {
     onRecargar: async () => {
       terminal.log('Recargando registradores...', 'ciclo');
       detenerPolling();
+      disyuntor.reiniciarDisyuntores();
+      cargarEscriturasPermitidas();
+      cargarCertificadosTlsLocales();
       await cargarRegistradores();
       iniciarPolling();
     },
@@ -541,12 +964,76 @@ async function main() {
     onCambiarNombre: async (agenteId, nuevoNombre) => {
       return await cambiarNombre(agenteId, nuevoNombre);
     },
+    onEscanear: async (parametros) => {
+      return await ejecutarEscaneo(parametros);
+    },
+    onSondear: async (parametros) => {
+      return await ejecutarSondeo(parametros);
+    },
+    onReconocerAlarma: (alarmaId) => alarmas.reconocerAlarma(alarmaId),
+  });
+
+  // Reflejar en la UI el estado de las conexiones Modbus persistentes
+  alCambiarEstadoConexiones((conexiones) => terminal.setConexiones(conexiones));
+  disyuntor.alCambiarEstado(manejarCambioDisyuntor);
+
+  // La cuenta regresiva de cada registrador sale de los turnos del planificador
+  planificador.alActualizarCuentaRegresiva((cuentas) => {
+    cuentas.forEach((segundos, regId) => terminal.actualizarRegistrador(regId, { proximaLectura: segundos }));
+  });
+  planificador.alPerderTurnos(manejarTurnosPerdidos);
+  planificador.alOmitirTurno(manejarTurnoOmitido);
+  planificador.alFallarTurno(manejarTurnoFallido);
+
+  // Cola de salida de lecturas: profundidad y latencia de envío a la UI, avisos al log
+  colaLecturas.alCambiarEstado((estadoCola) => {
+    if (terminal.setColaLecturas) terminal.setColaLecturas(estadoCola);
   });
+  colaLecturas.alAvisar((mensaje, tipo) => terminal.log(`[Envío] ${mensaje}`, tipo));
+  colaAlarmas.alAvisar((mensaje, tipo) => terminal.log(`[Alarmas] ${mensaje}`, tipo));
+
+  // Abrir los buffers en disco: lo que quedó sin enviar de la ejecución anterior sale primero
+  let heredadas;
+  try {
+    heredadas = colaLecturas.iniciarCola();
+  } catch (error) {
+    console.error(`\n[ERROR FATAL] No se pudo abrir el buffer de lecturas: ${error.message}\n`);
+    process.exit(1);
+  }
+
+  let eventosHeredados;
+  try {
+    eventosHeredados = colaAlarmas.iniciarColaAlarmas();
+  } catch (error) {
+    console.error(`\n[ERROR FATAL] No se pudo abrir el buffer de eventos de alarma: ${error.message}\n`);
+    process.exit(1);
+  }
 
   // Iniciar reloj de tiempo activo
   terminal.iniciarReloj();
 
   // Log inicial
+  terminal.setModoModbus(MODO_MODBUS);
+  if (MODO_MODBUS === 'simulado') {
+    terminal.log('Modo Modbus SIMULADO: las lecturas se generan localmente, no se consultan dispositivos', 'advertencia');
+  }
+  cargarEscriturasPermitidas();
+  cargarCertificadosTlsLocales();
+  setInterval(revisarCertificadosTls, REVISION_TLS_MS);
+  if (heredadas > 0) {
+    terminal.log(`${heredadas} lectura(s) pendientes de la ejecución anterior en el buffer en disco`, 'advertencia');
+  }
+
+  // Alarmas locales: eventos al log y a su propia cola de salida, lista a la UI
+  alarmas.alEventoAlarma(manejarEventoAlarma);
+  alarmas.alCambiarEstado((lista) => {
+    if (terminal.setAlarmas) terminal.setAlarmas(lista);
+  });
+  canalesVirtuales.alAvisar((mensaje, tipo) => terminal.log(`[Canales] ${mensaje}`, tipo));
+
+  if (eventosHeredados > 0) {
+    terminal.log(`${eventosHeredados} evento(s) de alarma pendientes de la ejecución anterior`, 'advertencia');
+  }
   terminal.log(`Conectando al backend: ${BACKEND_URL}`, 'info');
 
   // Iniciar conexión REST al backend
@@ -554,6 +1041,8 @@ async function main() {
     onConectado: () => {
       terminal.setConectado(true);
       terminal.log('Conectado al backend via REST', 'exito');
+      colaLecturas.reanudarEnvio();
+      colaAlarmas.reanudarEnvioAlarmas();
     },
     onAutenticado: async (agente) => {
       terminal.setAgente(agente);
@@ -580,48 +1069,67 @@ async function main() {
     onLog: (mensaje, tipo) => {
       terminal.log(`[REST] ${mensaje}`, tipo);
     },
-    onRegistradoresActualizar: async (registradoresNuevos) => {
+    onRegistradoresActualizar: async (registradoresNuevos, canalesNuevos) => {
       // Actualización granular: solo afecta a los registradores que cambiaron
-      await actualizarRegistradoresGranular(registradoresNuevos);
+      await actualizarRegistradoresGranular(registradoresNuevos, canalesNuevos);
     },
     onTestPendiente: (test) => {
-      // Ejecutar test de conexión cuando se recibe uno pendiente
-      ejecutarTestConexion(test);
+      // Ejecutar el test (conexión, escaneo o sondeo) cuando se recibe uno pendiente
+      ejecutarTest(test);
+    },
+    onComandoPendiente: (comando) => {
+      // Ejecutar comando de escritura cuando se recibe uno pendiente
+      ejecutarComando(comando);
     },
   });
 }
 
-// Manejar señales de terminación
-process.on('SIGINT', () => {
-  terminal.log('Recibida señal SIGINT...', 'advertencia');
+/**
+ * Cierra el agente ante una señal de terminación
+ * Antes de cortar la conexión se intenta subir lo que quedó en las colas de lecturas y de alarmas (con tope de espera)
+ */
+function terminarPorSenal(senal) {
+  terminal.log(`Recibida señal ${senal}...`, 'advertencia');
   detenerPolling();
-  cerrarConexion();
-  terminal.destruir();
-  setTimeout(() => process.exit(0), 500);
-});
 
-process.on('SIGTERM', () => {
-  terminal.log('Recibida señal SIGTERM...', 'advertencia');
-  detenerPolling();
-  cerrarConexion();
-  terminal.destruir();
-  setTimeout(() => process.exit(0), 500);
-});
-
-// Manejar errores no capturados
-process.on('uncaughtException', (error) => {
-  console.error(`[ERROR FATAL] Error no capturado: ${error.message}`);
-  console.error(error.stack);
-  process.exit(1);
-});
-
-process.on('unhandledRejection', (reason) => {
-  terminal.log(`Promesa rechazada: ${reason}`, 'error');
-});
-
-// Ejecutar
-main().catch((error) => {
-  console.error(`[ERROR FATAL] ${error.message}`);
-  console.error(error.stack);
-  process.exit(1);
-});
+  const tope = new Promise(resolve => setTimeout(resolve, ESPERA_VACIADO_MS));
+  const vaciado = Promise.all([colaLecturas.vaciarCola(), colaAlarmas.vaciarColaAlarmas()]);
+  Promise.race([vaciado, tope]).finally(() => {
+    cerrarConexion();
+    terminal.destruir();
+    setTimeout(() => process.exit(0), 500);
+  });
+}
+
+/**
+ * Registra los manejadores del proceso y arranca el agente
+ */
+function iniciarAgente() {
+  // Manejar señales de terminación
+  process.on('SIGINT', () => terminarPorSenal('SIGINT'));
+  process.on('SIGTERM', () => terminarPorSenal('SIGTERM'));
+
+  // Manejar errores no capturados
+  process.on('uncaughtException', (error) => {
+    console.error(`[ERROR FATAL] Error no capturado: ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  });
+
+  process.on('unhandledRejection', (reason) => {
+    terminal.log(`Promesa rechazada: ${reason}`, 'error');
+  });
+
+  main().catch((error) => {
+    console.error(`[ERROR FATAL] ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  });
+}
+
+// Ejecutar: el comando "simulador" levanta el esclavo Modbus local en lugar del agente
+if (process.argv[2] === 'simulador') {
+  require('./simulador/servidorModbus').ejecutarDesdeConsola(process.argv.slice(3));
+} else {
+  iniciarAgente();
+}
@@ -0,0 +1,170 @@
+// src/modbus/agrupadorLecturas.js
+// Agrupa lecturas simultáneas de rangos contiguos del mismo dispositivo en una sola petición Modbus
+
+const { leerRegistrosModbus, resolverFuncion } = require('./clienteModbus');
+const { claveDispositivo, destinoRegistrador, destinoValido } = require('./gestorConexiones');
+
+// Se puede desactivar con MODBUS_AGRUPAR_LECTURAS=false (cada registrador hace su propia petición)
+const AGRUPAR_LECTURAS = (process.env.MODBUS_AGRUPAR_LECTURAS || 'true').trim().toLowerCase() !== 'false';
+
+// Ventana durante la cual se juntan las lecturas que llegan para un mismo dispositivo (ms)
+const VENTANA_AGRUPACION_MS = 50;
+
+// Excepción Modbus 2: el rango pedido incluye direcciones que el dispositivo no tiene
+const EXCEPCION_DIRECCION_ILEGAL = 2;
+
+// Map de clave de grupo -> lecturas pendientes de la ventana en curso
+const pendientes = new Map();
+
+/**
+ * Clave de compatibilidad: solo se agrupan lecturas que irían igual por el cable
+ * (mismo dispositivo, unidad y función, y misma política de timeout/reintentos)
+ */
+function claveGrupo(p) {
+  return [
+    claveDispositivo(p),
+    Number(p.unitId) || 1,
+    resolverFuncion(p.funcion),
+    p.timeoutMs,
+    p.reintentos,
+    p.backoffMs,
+    p.maxRegistrosPeticion,
+  ].join('|');
+}
+
+/**
+ * Indica si el rango de una lectura es válido para agruparla
+ * Las lecturas inválidas van directo a leerRegistrosModbus, que las rechaza con su propio aviso
+ */
+function rangoValido(p) {
+  const inicio = Number(p.indiceInicial);
+  const cantidad = Number(p.cantRegistros);
+  return destinoValido(p) && Number.isInteger(inicio) && inicio >= 0 && Number.isInteger(cantidad) && cantidad > 0;
+}
+
+/**
+ * Une las lecturas en bloques de direcciones contiguas o superpuestas
+ * @returns {Array<{inicio: number, fin: number, lecturas: Array}>} fin es exclusivo
+ */
+function fusionarRangos(lecturas) {
+  const ordenadas = lecturas
+    .map(l => ({ ...l, inicio: Number(l.parametros.indiceInicial), fin: Number(l.parametros.indiceInicial) + Number(l.parametros.cantRegistros) }))
+    .sort((a, b) => a.inicio - b.inicio);
+
+  const bloques = [];
+
+  for (const lectura of ordenadas) {
+    const ultimo = bloques[bloques.length - 1];
+
+    if (ultimo && lectura.inicio <= ultimo.fin) {
+      ultimo.fin = Math.max(ultimo.fin, lectura.fin);
+      ultimo.lecturas.push(lectura);
+    } else {
+      bloques.push({ inicio: lectura.inicio, fin: lectura.fin, lecturas: [lectura] });
+    }
+  }
+
+  return bloques;
+}
+
+/**
+ * Lee un bloque fusionado y reparte la respuesta entre sus lecturas
+ * Si la petición falla, todas las lecturas del bloque reciben el mismo error
+ * (salvo dirección ilegal: ahí cada lectura se repite por separado)
+ */
+async function ejecutarBloque(bloque) {
+  if (bloque.lecturas.length === 1) {
+    const { parametros, resolve, reject } = bloque.lecturas[0];
+    leerRegistrosModbus(parametros).then(resolve, reject);
+    return;
+  }
+
+  try {
+    const resultado = await leerRegistrosModbus({
+      ...bloque.lecturas[0].parametros,
+      indiceInicial: bloque.inicio,
+      cantRegistros: bloque.fin - bloque.inicio,
+    });
+
+    for (const lectura of bloque.lecturas) {
+      lectura.resolve({
+        ...resultado,
+        valores: resultado.valores.slice(lectura.inicio - bloque.inicio, lectura.fin - bloque.inicio),
+        agrupadas: bloque.lecturas.length,
+      });
+    }
+  } catch (error) {
+    // Dirección ilegal: algún registrador pide direcciones que no existen y no debe arrastrar al resto
+    if (error.modbusCode === EXCEPCION_DIRECCION_ILEGAL) {
+      bloque.lecturas.forEach(lectura => ejecutarBloque({ ...bloque, lecturas: [lectura] }));
+      return;
+    }
+    bloque.lecturas.forEach(lectura => lectura.reject(error));
+  }
+}
+
+/**
+ * Cierra la ventana de un grupo y lanza sus peticiones
+ */
+function despacharGrupo(clave) {
+  const grupo = pendientes.get(clave);
+  pendientes.delete(clave);
+
+  for (const bloque of fusionarRangos(grupo)) {
+    ejecutarBloque(bloque);
+  }
+}
+
+/**
+ * Lee registros como leerRegistrosModbus, pero agrupando con otras lecturas compatibles
+ * Las lecturas que llegan dentro de VENTANA_AGRUPACION_MS para el mismo dispositivo, unidad y función
+ * y con rangos contiguos o superpuestos se resuelven con una única petición
+ *
+ * @param {Object} parametros - Los mismos que leerRegistrosModbus
+ * @returns {Promise<{valores: Array<number>, intentos: number, peticiones: number, agrupadas?: number}>}
+ */
+function leerRegistrosAgrupados(parametros) {
+  if (!AGRUPAR_LECTURAS || !rangoValido(parametros)) {
+    return leerRegistrosModbus(parametros);
+  }
+
+  return new Promise((resolve, reject) => {
+    const clave = claveGrupo(parametros);
+
+    if (!pendientes.has(clave)) {
+      pendientes.set(clave, []);
+      setTimeout(() => despacharGrupo(clave), VENTANA_AGRUPACION_MS);
+    }
+
+    pendientes.get(clave).push({ parametros, resolve, reject });
+  });
+}
+
+/**
+ * Clave para saber si dos registradores pueden compartir petición (misma clave, intervalo y fase)
+ * El planificador la usa para hacerlos coincidir en el tiempo
+ *
+ * @param {Object} registrador - Registrador en formato interno
+ * @returns {string}
+ */
+function claveAgrupacion(registrador) {
+  return [
+    claveGrupo({
+      ...destinoRegistrador(registrador),
+      unitId: registrador.unit_id,
+      funcion: registrador.funcion,
+      timeoutMs: registrador.timeout_ms,
+      reintentos: registrador.reintentos,
+      backoffMs: registrador.backoff_ms,
+      maxRegistrosPeticion: registrador.max_registros_peticion,
+    }),
+    registrador.intervalo_segundos || 60,
+    registrador.fase_segundos || 0,
+  ].join('|');
+}
+
+module.exports = {
+  leerRegistrosAgrupados,
+  claveAgrupacion,
+  AGRUPAR_LECTURAS,
+};
@@ -1,96 +1,314 @@
 // src/modbus/clienteModbus.js
 // Cliente Modbus para leer registros de dispositivos
 
-const ModbusRTU = require('modbus-serial');
+const { ejecutarEnConexion, claveDispositivo, destinoValido } = require('./gestorConexiones');
+const { leerSimulado } = require('./simulador');
+const { CODIGOS_ERROR, crearError, clasificarError } = require('./errores');
+
+// Modo de operación: 'real' lee los dispositivos, 'simulado' genera valores sin tocar la red
+const MODO_MODBUS = (process.env.MODO_MODBUS || 'real').trim().toLowerCase() === 'simulado' ? 'simulado' : 'real';
+
+// Funciones de lectura Modbus soportadas (código de función -> método de modbus-serial)
+// maxCantidad: máximo por petición según el protocolo Modbus
+const FUNCIONES_LECTURA = {
+  1: { nombre: 'coils', metodo: 'readCoils', bits: true, maxCantidad: 2000 },
+  2: { nombre: 'discrete', metodo: 'readDiscreteInputs', bits: true, maxCantidad: 2000 },
+  3: { nombre: 'holding', metodo: 'readHoldingRegisters', bits: false, maxCantidad: 125 },
+  4: { nombre: 'input', metodo: 'readInputRegisters', bits: false, maxCantidad: 125 },
+};
+
+// Límite por petición configurado globalmente (algunos equipos aceptan menos que el protocolo)
+const MAX_REGISTROS_PETICION = Number(process.env.MODBUS_MAX_REGISTROS_PETICION) || null;
+
+// Alias aceptados en la config (campo funcion o tipo del registrador)
+const ALIAS_FUNCIONES = {
+  coil: 1, coils: 1, fc01: 1,
+  discrete: 2, discreta: 2, discretas: 2, discrete_inputs: 2, entradas_discretas: 2, fc02: 2,
+  holding: 3, holding_registers: 3, fc03: 3,
+  input: 4, input_registers: 4, entrada: 4, fc04: 4,
+};
+
+// Función por defecto (compatibilidad con registradores existentes)
+const FUNCION_POR_DEFECTO = 3;
+
+// Política de timeout y reintentos por defecto (cada registrador puede sobreescribirla)
+const TIMEOUT_POR_DEFECTO_MS = Number(process.env.MODBUS_TIMEOUT_MS) || 5000;
+const REINTENTOS_POR_DEFECTO = Number.isInteger(Number(process.env.MODBUS_REINTENTOS)) && process.env.MODBUS_REINTENTOS !== ''
+  ? Number(process.env.MODBUS_REINTENTOS)
+  : 2;
+const BACKOFF_POR_DEFECTO_MS = Number(process.env.MODBUS_BACKOFF_MS) || 500;
+const BACKOFF_MAX_MS = 10000;
+
+// Excepciones Modbus transitorias que vale la pena reintentar
+// 5: Acknowledge, 6: Slave busy, 10: Gateway path unavailable, 11: Gateway target failed to respond
+const EXCEPCIONES_REINTENTABLES = [5, 6, 10, 11];
+
+/**
+ * Resuelve el código de función Modbus de un registrador
+ * Usa el campo funcion si viene, si no intenta mapear el tipo; por defecto holding (FC03)
+ *
+ * @param {number|string} funcion - Código (1-4) o alias ('coils', 'input', 'fc04'...)
+ * @param {string} tipo - Tipo del registrador (se usa solo si nombra un tipo de registro)
+ * @returns {number} Código de función (1-4)
+ */
+function resolverFuncion(funcion, tipo) {
+  for (const valor of [funcion, tipo]) {
+    if (valor === undefined || valor === null || valor === '') continue;
+
+    const numero = Number(valor);
+    if (FUNCIONES_LECTURA[numero]) return numero;
+
+    const alias = ALIAS_FUNCIONES[String(valor).trim().toLowerCase()];
+    if (alias) return alias;
+  }
+
+  return FUNCION_POR_DEFECTO;
+}
+
+/**
+ * Ejecuta la lectura con el código de función indicado
+ * Los bits (coils/discretas) se devuelven como 0/1 para que el payload sea uniforme
+ */
+async function leerSegunFuncion(cliente, funcion, inicio, cantidad) {
+  const { metodo, bits } = FUNCIONES_LECTURA[funcion];
+  const respuesta = await cliente[metodo](inicio, cantidad);
+
+  if (!respuesta.data || respuesta.data.length < cantidad) {
+    const recibidos = respuesta.data ? respuesta.data.length : 0;
+    throw crearError(CODIGOS_ERROR.PARTIAL_RESPONSE, `Respuesta incompleta: ${recibidos} de ${cantidad} valores`);
+  }
+
+  if (bits) {
+    // modbus-serial completa hasta múltiplo de 8: recortar a la cantidad pedida
+    return respuesta.data.slice(0, cantidad).map(b => (b ? 1 : 0));
+  }
+
+  return Array.from(respuesta.data);
+}
+
+/**
+ * Indica si un error de lectura es transitorio y merece un reintento
+ * Las excepciones Modbus definitivas (dirección ilegal, función ilegal...) no se reintentan
+ */
+function esReintentable(error) {
+  if (error.modbusCode === undefined) return true;
+  return EXCEPCIONES_REINTENTABLES.includes(error.modbusCode);
+}
+
+/**
+ * Lee un bloque una sola vez, del dispositivo real o del simulador según MODO_MODBUS
+ */
+function leerBloque({ transporte, ip, puerto, serie, tls, unitId, funcion, inicio, cantidad, timeoutMs }) {
+  if (MODO_MODBUS === 'simulado') {
+    return leerSimulado({ ip: ip || (serie && serie.ruta), puerto, unitId, funcion, inicio, cantidad });
+  }
+
+  // Usar la conexión compartida del dispositivo o del bus (se abre si no existe)
+  return ejecutarEnConexion({ transporte, ip, puerto, serie, tls, timeoutMs }, (cliente) => {
+    cliente.setID(unitId);
+    return leerSegunFuncion(cliente, funcion, inicio, cantidad);
+  });
+}
 
 /**
- * Lee registros holding de un dispositivo Modbus TCP
+ * Lee un bloque aplicando reintentos con backoff exponencial
+ * Si todos los intentos fallan, el error lanzado lleva la cantidad de intentos en error.intentos
+ *
+ * @returns {Promise<{valores: Array<number>, intentos: number}>}
+ */
+async function leerConReintentos(parametros, { reintentos, backoffMs }) {
+  const maxIntentos = 1 + Math.max(0, reintentos);
+  let intento = 0;
+
+  while (true) {
+    intento++;
+    try {
+      const valores = await leerBloque(parametros);
+      return { valores, intentos: intento };
+    } catch (error) {
+      if (intento >= maxIntentos || !esReintentable(error)) {
+        error.intentos = intento;
+        throw error;
+      }
+
+      const esperaMs = Math.min(backoffMs * Math.pow(2, intento - 1), BACKOFF_MAX_MS);
+      console.warn(`[Modbus] Intento ${intento}/${maxIntentos} fallido en ${claveDispositivo(parametros)} (${error.message}), reintentando en ${esperaMs}ms`);
+      await new Promise(resolve => setTimeout(resolve, esperaMs));
+    }
+  }
+}
+
+/**
+ * Divide un rango de direcciones en bloques que respeten el máximo por petición
+ *
+ * @param {number} inicio - Primera dirección
+ * @param {number} cantidad - Cantidad total de direcciones
+ * @param {number} maxBloque - Máximo de direcciones por petición
+ * @returns {Array<{inicio: number, cantidad: number}>}
+ */
+function dividirEnBloques(inicio, cantidad, maxBloque) {
+  const bloques = [];
+
+  for (let desplazamiento = 0; desplazamiento < cantidad; desplazamiento += maxBloque) {
+    bloques.push({
+      inicio: inicio + desplazamiento,
+      cantidad: Math.min(maxBloque, cantidad - desplazamiento),
+    });
+  }
+
+  return bloques;
+}
+
+/**
+ * Resuelve el tamaño máximo de bloque para una función
+ * El límite del dispositivo (o el global) nunca supera el del protocolo
+ */
+function tamanoBloque(funcion, maxRegistrosPeticion) {
+  const maxProtocolo = FUNCIONES_LECTURA[funcion].maxCantidad;
+  const maxDispositivo = Number(maxRegistrosPeticion) || MAX_REGISTROS_PETICION || maxProtocolo;
+  return Math.max(1, Math.min(maxDispositivo, maxProtocolo));
+}
+
+/**
+ * Lee un rango completo, partiéndolo en tantas peticiones como haga falta
+ * Los bloques se leen en orden y se unen en un único array contiguo
+ * Si un bloque falla se aborta el rango: el error lleva bloquesLeidos y bloquesTotales
+ *
+ * @returns {Promise<{valores: Array<number>, intentos: number, peticiones: number}>}
+ */
+async function leerRango(parametros, politica, maxRegistrosPeticion) {
+  const bloques = dividirEnBloques(parametros.inicio, parametros.cantidad, tamanoBloque(parametros.funcion, maxRegistrosPeticion));
+  const valores = [];
+  let intentos = 0;
+
+  for (let i = 0; i < bloques.length; i++) {
+    try {
+      const resultado = await leerConReintentos({ ...parametros, ...bloques[i] }, politica);
+      valores.push(...resultado.valores);
+      // Se informa el peor caso: cuántos intentos necesitó el bloque más problemático
+      intentos = Math.max(intentos, resultado.intentos);
+    } catch (error) {
+      error.bloquesLeidos = i;
+      error.bloquesTotales = bloques.length;
+      throw error;
+    }
+  }
+
+  return { valores, intentos, peticiones: bloques.length };
+}
+
+/**
+ * Normaliza la política de timeout y reintentos (los valores inválidos toman el default)
+ */
+function politicaLectura({ timeoutMs, reintentos, backoffMs }) {
+  const reintentosNum = Number(reintentos);
+  return {
+    timeoutMs: Number(timeoutMs) > 0 ? Number(timeoutMs) : TIMEOUT_POR_DEFECTO_MS,
+    reintentos: reintentos !== undefined && reintentos !== null && Number.isInteger(reintentosNum) && reintentosNum >= 0
+      ? reintentosNum
+      : REINTENTOS_POR_DEFECTO,
+    backoffMs: Number(backoffMs) >= 0 && backoffMs !== null && backoffMs !== undefined ? Number(backoffMs) : BACKOFF_POR_DEFECTO_MS,
+  };
+}
+
+/**
+ * Lee registros (holding, input, coils o entradas discretas) de un dispositivo Modbus
+ * Usa la conexión persistente del dispositivo (o del bus serie), compartida entre registradores
+ * Los rangos mayores al máximo por petición se leen en varios bloques y se unen
  *
  * @param {Object} config - Configuración de lectura
+ * @param {string} config.transporte - 'tcp' (por defecto), 'rtu-tcp', 'udp', 'tls' o 'serie'
  * @param {string} config.ip - Dirección IP del dispositivo
  * @param {number} config.puerto - Puerto Modbus (usualmente 502)
+ * @param {Object} config.serie - Puerto serie ({ ruta, baudios, paridad, bitsDatos, bitsParada }), solo transporte 'serie'
+ * @param {Object} config.tls - Certificados propios ({ ca, certificado, clave }), solo transporte 'tls'
  * @param {number} config.indiceInicial - Primer registro a leer
  * @param {number} config.cantRegistros - Cantidad de registros a leer
  * @param {number} config.unitId - ID de unidad Modbus (por defecto 1)
- * @returns {Promise<Array<number>|null>} Array de valores o null si hay error
+ * @param {number} config.funcion - Código de función de lectura 1-4 (por defecto 3, holding)
+ * @param {number} config.timeoutMs - Timeout por petición (por defecto MODBUS_TIMEOUT_MS o 5000)
+ * @param {number} config.reintentos - Reintentos ante fallas transitorias (por defecto MODBUS_REINTENTOS o 2)
+ * @param {number} config.backoffMs - Espera antes del primer reintento, se duplica en cada uno
+ * @param {number} config.maxRegistrosPeticion - Máximo por petición que acepta el dispositivo (por defecto el del protocolo)
+ * @returns {Promise<{valores: Array<number>, intentos: number, peticiones: number}>} Valores, intentos y peticiones usadas
+ * @throws {Error} Con codigo INVALID_CONFIG si los parámetros son inválidos
  */
-async function leerRegistrosModbus({ ip, puerto, indiceInicial, cantRegistros, unitId = 1 }) {
+async function leerRegistrosModbus({ transporte, ip, puerto, serie, tls, indiceInicial, cantRegistros, unitId = 1, funcion = FUNCION_POR_DEFECTO, timeoutMs, reintentos, backoffMs, maxRegistrosPeticion }) {
   const inicio = Number(indiceInicial);
   const cantidad = Number(cantRegistros);
   const puertoNum = Number(puerto);
+  const codigoFuncion = resolverFuncion(funcion);
+  const politica = politicaLectura({ timeoutMs, reintentos, backoffMs });
+  const destino = { transporte, ip, puerto: puertoNum, serie, tls };
 
   // Validación básica
-  if (!ip || !puertoNum || Number.isNaN(inicio) || Number.isNaN(cantidad) || cantidad <= 0) {
-    console.warn(`[Modbus] Parámetros inválidos: ip=${ip}, puerto=${puertoNum}, inicio=${inicio}, cantidad=${cantidad}`);
-    return null;
+  if (!destinoValido(destino) || Number.isNaN(inicio) || Number.isNaN(cantidad) || cantidad <= 0) {
+    console.warn(`[Modbus] Parámetros inválidos: destino=${claveDispositivo(destino)}, inicio=${inicio}, cantidad=${cantidad}`);
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `Parámetros inválidos: destino=${claveDispositivo(destino)}, inicio=${indiceInicial}, cantidad=${cantRegistros}`);
   }
 
-  const cliente = new ModbusRTU();
-
   try {
-    // Conectar al dispositivo
-    await cliente.connectTCP(ip, { port: puertoNum });
-    cliente.setID(unitId);
-    cliente.setTimeout(5000); // 5 segundos de timeout
-
-    // Leer registros holding
-    const respuesta = await cliente.readHoldingRegisters(inicio, cantidad);
-
-    return respuesta.data;
+    return await leerRango(
+      { ...destino, unitId, funcion: codigoFuncion, inicio, cantidad, timeoutMs: politica.timeoutMs },
+      politica,
+      maxRegistrosPeticion
+    );
   } catch (error) {
-    console.error(`[Modbus] Error leyendo ${ip}:${puertoNum} - ${error.message}`);
+    console.error(`[Modbus] Error leyendo ${claveDispositivo(destino)} tras ${error.intentos} intento(s) - ${clasificarError(error)}: ${error.message}`);
     throw error;
-  } finally {
-    // Siempre cerrar la conexión
-    try {
-      cliente.close();
-    } catch (e) {
-      // Ignorar errores al cerrar
-    }
   }
 }
 
 /**
- * Prueba la conexión a un dispositivo Modbus TCP y lee registros
+ * Prueba la conexión a un dispositivo Modbus y lee registros
  * Lee los registros especificados y devuelve los valores
  *
  * @param {Object} config - Configuración de conexión
+ * @param {string} config.transporte - 'tcp' (por defecto), 'rtu-tcp', 'udp', 'tls' o 'serie'
  * @param {string} config.ip - Dirección IP del dispositivo
  * @param {number} config.puerto - Puerto Modbus (usualmente 502)
+ * @param {Object} config.serie - Puerto serie ({ ruta, baudios, paridad, bitsDatos, bitsParada }), solo transporte 'serie'
+ * @param {Object} config.tls - Certificados propios ({ ca, certificado, clave }), solo transporte 'tls'
  * @param {number} config.unitId - ID de unidad Modbus (por defecto 1)
  * @param {number} config.indiceInicial - Primer registro a leer (por defecto 0)
  * @param {number} config.cantRegistros - Cantidad de registros a leer (por defecto 10)
- * @returns {Promise<{exito: boolean, error?: string, tiempoMs?: number, registros?: Array}>}
+ * @param {number} config.funcion - Código de función de lectura 1-4 (por defecto 3, holding)
+ * @param {number} config.timeoutMs - Timeout por petición (por defecto MODBUS_TIMEOUT_MS o 5000)
+ * @param {number} config.reintentos - Reintentos ante fallas transitorias (por defecto MODBUS_REINTENTOS o 2)
+ * @param {number} config.backoffMs - Espera antes del primer reintento, se duplica en cada uno
+ * @param {number} config.maxRegistrosPeticion - Máximo por petición que acepta el dispositivo (por defecto el del protocolo)
+ * @returns {Promise<{exito: boolean, error?: string, codigoError?: string, codigoExcepcion?: number, tiempoMs?: number, funcion?: number, intentos?: number, registros?: Array}>}
  */
-async function testConexionModbus({ ip, puerto, unitId = 1, indiceInicial = 0, cantRegistros = 10 }) {
+async function testConexionModbus({ transporte, ip, puerto, serie, tls, unitId = 1, indiceInicial = 0, cantRegistros = 10, funcion = FUNCION_POR_DEFECTO, timeoutMs, reintentos, backoffMs, maxRegistrosPeticion }) {
   const puertoNum = Number(puerto);
+  const codigoFuncion = resolverFuncion(funcion);
+  const politica = politicaLectura({ timeoutMs, reintentos, backoffMs });
   const inicio = Number(indiceInicial) || 0;
   const cantidad = Number(cantRegistros) || 10;
 
   // Validación básica
-  if (!ip || !puertoNum) {
+  if (!destinoValido({ transporte, ip, puerto: puertoNum, serie })) {
     return {
       exito: false,
-      error: 'IP y puerto son requeridos',
+      error: 'IP y puerto (o puerto serie) son requeridos',
+      codigoError: CODIGOS_ERROR.INVALID_CONFIG,
     };
   }
 
-  const cliente = new ModbusRTU();
   const tiempoInicio = Date.now();
 
   try {
-    // Intentar conectar con timeout de 5 segundos
-    await cliente.connectTCP(ip, { port: puertoNum });
-    cliente.setID(unitId);
-    cliente.setTimeout(5000);
-
-    // Leer los registros especificados
-    const respuesta = await cliente.readHoldingRegisters(inicio, cantidad);
+    // Leer los registros especificados (reutiliza la conexión si el dispositivo ya se está leyendo)
+    const { valores, intentos } = await leerRango(
+      { transporte, ip, puerto: puertoNum, serie, tls, unitId, funcion: codigoFuncion, inicio, cantidad, timeoutMs: politica.timeoutMs },
+      politica,
+      maxRegistrosPeticion
+    );
 
     const tiempoMs = Date.now() - tiempoInicio;
 
     // Formatear los registros para la respuesta
-    const registros = respuesta.data.map((valor, i) => ({
+    const registros = valores.map((valor, i) => ({
       indice: i,
       direccion: inicio + i,
       valor: valor,
@@ -99,7 +317,9 @@ async function testConexionModbus({ ip, puerto, unitId = 1, indiceInicial = 0, c
     return {
       exito: true,
       tiempoMs,
-      mensaje: `Conexión exitosa en ${tiempoMs}ms`,
+      mensaje: MODO_MODBUS === 'simulado' ? `Conexión simulada exitosa en ${tiempoMs}ms` : `Conexión exitosa en ${tiempoMs}ms`,
+      funcion: codigoFuncion,
+      intentos,
       registros,
     };
   } catch (error) {
@@ -108,15 +328,54 @@ async function testConexionModbus({ ip, puerto, unitId = 1, indiceInicial = 0, c
     return {
       exito: false,
       error: error.message || 'Error de conexión desconocido',
+      codigoError: clasificarError(error),
+      codigoExcepcion: error.modbusCode,
       tiempoMs,
+      funcion: codigoFuncion,
+      intentos: error.intentos,
     };
-  } finally {
-    try {
-      cliente.close();
-    } catch (e) {
-      // Ignorar errores al cerrar
-    }
   }
 }
 
-module.exports = { leerRegistrosModbus, testConexionModbus };
+/**
+ * Escribe registros o coils en un dispositivo Modbus
+ * Usa FC06/FC05 para un solo valor y FC16/FC15 para varios
+ * No reintenta: una escritura que pudo haberse aplicado no se repite a ciegas
+ *
+ * @param {Object} config - Configuración de escritura
+ * @param {string} config.transporte - 'tcp' (por defecto), 'rtu-tcp', 'udp', 'tls' o 'serie'
+ * @param {string} config.ip - Dirección IP del dispositivo
+ * @param {number} config.puerto - Puerto Modbus
+ * @param {Object} config.serie - Puerto serie ({ ruta, baudios, paridad, bitsDatos, bitsParada }), solo transporte 'serie'
+ * @param {Object} config.tls - Certificados propios ({ ca, certificado, clave }), solo transporte 'tls'
+ * @param {number} config.unitId - ID de unidad Modbus (por defecto 1)
+ * @param {string} config.tabla - 'holding' o 'coils'
+ * @param {number} config.direccion - Primera dirección a escribir
+ * @param {Array<number>} config.valores - Valores a escribir (registros 0-65535, coils 0/1)
+ * @param {number} config.timeoutMs - Timeout de la petición (por defecto MODBUS_TIMEOUT_MS o 5000)
+ * @returns {Promise<void>}
+ */
+async function escribirModbus({ transporte, ip, puerto, serie, tls, unitId = 1, tabla, direccion, valores, timeoutMs }) {
+  if (MODO_MODBUS === 'simulado') {
+    throw new Error('Las escrituras no están disponibles en modo simulado');
+  }
+
+  const esCoil = tabla === 'coils';
+  const timeout = Number(timeoutMs) || TIMEOUT_POR_DEFECTO_MS;
+
+  await ejecutarEnConexion({ transporte, ip, puerto: Number(puerto), serie, tls, timeoutMs: timeout }, async (cliente) => {
+    cliente.setID(unitId);
+
+    if (valores.length === 1) {
+      await (esCoil
+        ? cliente.writeCoil(direccion, valores[0] === 1)
+        : cliente.writeRegister(direccion, valores[0]));
+    } else {
+      await (esCoil
+        ? cliente.writeCoils(direccion, valores.map(v => v === 1))
+        : cliente.writeRegisters(direccion, valores));
+    }
+  });
+}
+
+module.exports = { leerRegistrosModbus, testConexionModbus, escribirModbus, resolverFuncion, FUNCIONES_LECTURA, MODO_MODBUS };
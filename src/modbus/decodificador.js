@@ -0,0 +1,188 @@
+// src/modbus/decodificador.js
+// Decodifica las palabras crudas de una lectura en valores de ingeniería según el mapa del registrador
+
+const { crearError, CODIGOS_ERROR } = require('./errores');
+
+// Tipos de dato soportados -> cantidad de palabras de 16 bits que ocupan
+const TIPOS = {
+  bool: 1,
+  int16: 1,
+  uint16: 1,
+  int32: 2,
+  uint32: 2,
+  float32: 2,
+  int64: 4,
+  uint64: 4,
+  float64: 4,
+};
+
+/**
+ * Número opcional de un campo: el valor por defecto si no está
+ * @throws {Error} Con codigo INVALID_CONFIG si no es un número finito
+ */
+function numeroDeCampo(campo, propiedad, porDefecto) {
+  const valor = campo[propiedad];
+  if (valor === undefined || valor === null || valor === '') return porDefecto;
+
+  const numero = Number(valor);
+  if (!Number.isFinite(numero)) {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `Campo ${campo.nombre}: valor de ${propiedad} inválido (${JSON.stringify(valor)})`);
+  }
+  return numero;
+}
+
+/**
+ * Normaliza un campo del mapa de registros
+ * Acepta los nombres del backend (camelCase) y devuelve null si el campo es inválido
+ *
+ * @param {Object} campo - Definición del campo
+ * @returns {Object|null}
+ * @throws {Error} Con codigo INVALID_CONFIG si la escala o el desplazamiento no son números:
+ *   descartar el campo en silencio haría perder el dato, y usarlo subiría valores falsos
+ */
+function normalizarCampo(campo) {
+  if (!campo || !campo.nombre) return null;
+
+  const tipo = String(campo.tipo || 'uint16').trim().toLowerCase();
+  const offset = Number(campo.offset);
+
+  if (!TIPOS[tipo] || !Number.isInteger(offset) || offset < 0) return null;
+
+  const escala = numeroDeCampo(campo, 'escala', 1);
+  const desplazamiento = numeroDeCampo(campo, 'desplazamiento', 0);
+
+  return {
+    nombre: String(campo.nombre),
+    offset,
+    tipo,
+    intercambiarBytes: campo.intercambiarBytes === true,
+    intercambiarPalabras: campo.intercambiarPalabras === true,
+    escala,
+    desplazamiento,
+    unidad: campo.unidad || null,
+  };
+}
+
+/**
+ * Normaliza el mapa de registros de un registrador
+ * El backend puede mandarlo como array o como JSON serializado; los campos inválidos se descartan
+ *
+ * @param {Array|string} mapa - Lista de campos
+ * @returns {{campos: Array<Object>, descartados: number}|null} null si el registrador no tiene mapa
+ * @throws {Error} Con codigo INVALID_CONFIG si algún campo tiene escala o desplazamiento no numérico
+ */
+function normalizarMapa(mapa) {
+  if (mapa === undefined || mapa === null || mapa === '') return null;
+
+  let lista = mapa;
+  if (typeof mapa === 'string') {
+    try {
+      lista = JSON.parse(mapa);
+    } catch (error) {
+      return { campos: [], descartados: 1 };
+    }
+  }
+
+  if (!Array.isArray(lista)) return { campos: [], descartados: 1 };
+
+  const campos = lista.map(normalizarCampo).filter(Boolean);
+  return { campos, descartados: lista.length - campos.length };
+}
+
+/**
+ * Arma el buffer big-endian de un campo aplicando el orden de palabras y de bytes configurado
+ */
+function bufferCampo(palabras, campo) {
+  const ordenadas = campo.intercambiarPalabras ? [...palabras].reverse() : palabras;
+  const buffer = Buffer.alloc(ordenadas.length * 2);
+
+  ordenadas.forEach((palabra, i) => {
+    const alto = (palabra >> 8) & 0xFF;
+    const bajo = palabra & 0xFF;
+    buffer[i * 2] = campo.intercambiarBytes ? bajo : alto;
+    buffer[i * 2 + 1] = campo.intercambiarBytes ? alto : bajo;
+  });
+
+  return buffer;
+}
+
+/**
+ * Interpreta las palabras de un campo según su tipo de dato
+ * Los enteros de 64 bits se convierten a Number (pierden precisión por encima de 2^53)
+ */
+function interpretar(palabras, campo) {
+  const buffer = bufferCampo(palabras, campo);
+
+  switch (campo.tipo) {
+    case 'bool': return palabras[0] ? 1 : 0;
+    case 'int16': return buffer.readInt16BE(0);
+    case 'uint16': return buffer.readUInt16BE(0);
+    case 'int32': return buffer.readInt32BE(0);
+    case 'uint32': return buffer.readUInt32BE(0);
+    // float32 tiene ~7 dígitos significativos: el resto es ruido de la conversión a double
+    case 'float32': return Number(buffer.readFloatBE(0).toPrecision(7));
+    case 'int64': return Number(buffer.readBigInt64BE(0));
+    case 'uint64': return Number(buffer.readBigUInt64BE(0));
+    case 'float64': return buffer.readDoubleBE(0);
+    default: return null;
+  }
+}
+
+/**
+ * Decodifica los campos del mapa a partir de las palabras crudas de una lectura
+ * El offset de cada campo es relativo al primer registro leído (indice_inicial)
+ * Un campo fuera de rango o no numérico se informa con valor null y su error, sin afectar al resto
+ *
+ * @param {Array<number>} valores - Palabras de 16 bits (o bits 0/1) de la lectura
+ * @param {Array<Object>} campos - Campos normalizados del mapa
+ * @returns {Array<{nombre: string, valor: number|null, unidad: string|null, error?: string}>}
+ */
+function decodificarValores(valores, campos) {
+  return campos.map((campo) => {
+    const largo = TIPOS[campo.tipo];
+
+    if (campo.offset + largo > valores.length) {
+      return { nombre: campo.nombre, valor: null, unidad: campo.unidad, error: `Offset ${campo.offset} fuera del rango leído` };
+    }
+
+    const crudo = interpretar(valores.slice(campo.offset, campo.offset + largo), campo);
+
+    if (!Number.isFinite(crudo)) {
+      return { nombre: campo.nombre, valor: null, unidad: campo.unidad, error: 'Valor no numérico' };
+    }
+
+    const valor = crudo * campo.escala + campo.desplazamiento;
+
+    return {
+      nombre: campo.nombre,
+      // Recortar el ruido de coma flotante de la escala (ej. 2296 * 0.1 = 229.60000000000002)
+      valor: Number.isInteger(valor) ? valor : Number(valor.toPrecision(12)),
+      unidad: campo.unidad,
+    };
+  });
+}
+
+/**
+ * Valor de un campo en una lectura: por nombre en los campos decodificados o, si el registrador
+ * no tiene mapa, por posición en las palabras crudas
+ *
+ * @param {Object} lectura - Lectura con valores y, si hay mapa, campos decodificados
+ * @param {string|number} campo - Nombre del campo o posición de la palabra
+ * @returns {number|null} null si el campo no existe o no tiene valor
+ */
+function valorDeCampo(lectura, campo) {
+  if (lectura.campos) {
+    const decodificado = lectura.campos.find(c => c.nombre === campo);
+    return decodificado ? decodificado.valor : null;
+  }
+
+  const indice = Number(campo);
+  return Number.isInteger(indice) && indice >= 0 && indice < lectura.valores.length ? lectura.valores[indice] : null;
+}
+
+module.exports = {
+  normalizarMapa,
+  decodificarValores,
+  valorDeCampo,
+  TIPOS,
+};
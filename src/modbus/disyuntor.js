@@ -0,0 +1,173 @@
+// src/modbus/disyuntor.js
+// Disyuntor (circuit breaker) por dispositivo: deja de insistir con equipos caídos
+
+const { CODIGOS_ERROR } = require('./errores');
+
+// Fallas consecutivas para considerar un dispositivo caído
+const UMBRAL_FALLOS = Number(process.env.DISYUNTOR_UMBRAL_FALLOS) || 5;
+
+// Intervalo entre sondeos mientras el dispositivo está caído (ms)
+const INTERVALO_SONDEO_MS = Number(process.env.DISYUNTOR_SONDEO_MS) || 60000;
+
+// Excepciones Modbus que indican que el equipo detrás de un gateway no responde
+const EXCEPCIONES_DE_CAIDA = [10, 11];
+
+// Estados posibles
+const ESTADOS = {
+  CERRADO: 'cerrado', // Normal: se lee en cada intervalo
+  ABIERTO: 'abierto', // Dispositivo caído: no se lee hasta el próximo sondeo
+  SEMIABIERTO: 'semiabierto', // Sondeo en curso: una sola lectura de prueba
+};
+
+// Map de clave de dispositivo (ip:puerto) -> estado del disyuntor
+const disyuntores = new Map();
+
+// Callback para notificar transiciones (dispositivo caído / recuperado)
+let onCambioEstado = null;
+
+/**
+ * Obtiene (o crea) el disyuntor de un dispositivo
+ */
+function obtenerDisyuntor(clave) {
+  if (!disyuntores.has(clave)) {
+    disyuntores.set(clave, {
+      clave,
+      estado: ESTADOS.CERRADO,
+      fallosConsecutivos: 0,
+      caidoDesde: null,
+      proximoSondeo: null,
+      ultimoError: null,
+    });
+  }
+  return disyuntores.get(clave);
+}
+
+/**
+ * Cambia el estado de un disyuntor y notifica la transición
+ */
+function transicionar(disyuntor, nuevoEstado) {
+  const anterior = disyuntor.estado;
+  disyuntor.estado = nuevoEstado;
+
+  if (anterior !== nuevoEstado && onCambioEstado) {
+    onCambioEstado(disyuntor.clave, nuevoEstado, anterior, { ...disyuntor });
+  }
+}
+
+/**
+ * Indica si un error significa que el dispositivo no responde
+ * Una excepción Modbus común (ej. dirección ilegal) viene de un equipo vivo y no cuenta
+ */
+function esFallaDeDispositivo(error) {
+  if (!error) return false;
+  if (error.modbusCode === undefined) return true;
+  return EXCEPCIONES_DE_CAIDA.includes(error.modbusCode);
+}
+
+/**
+ * Indica si se puede leer el dispositivo ahora
+ * Con el disyuntor abierto solo deja pasar una lectura de sondeo cada INTERVALO_SONDEO_MS
+ *
+ * @param {string} clave - Clave del dispositivo (ip:puerto)
+ * @returns {boolean}
+ */
+function permitirLectura(clave) {
+  const disyuntor = obtenerDisyuntor(clave);
+
+  if (disyuntor.estado === ESTADOS.CERRADO) return true;
+
+  // Ya hay un sondeo en curso: el resto espera su resultado
+  if (disyuntor.estado === ESTADOS.SEMIABIERTO) return false;
+
+  if (Date.now() >= disyuntor.proximoSondeo) {
+    transicionar(disyuntor, ESTADOS.SEMIABIERTO);
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Registra una lectura exitosa: el dispositivo responde, se cierra el disyuntor
+ * @param {string} clave - Clave del dispositivo (ip:puerto)
+ */
+function registrarExito(clave) {
+  const disyuntor = obtenerDisyuntor(clave);
+  disyuntor.fallosConsecutivos = 0;
+  disyuntor.caidoDesde = null;
+  disyuntor.proximoSondeo = null;
+  disyuntor.ultimoError = null;
+  transicionar(disyuntor, ESTADOS.CERRADO);
+}
+
+/**
+ * Registra una lectura fallida y abre el disyuntor si se supera el umbral
+ * @param {string} clave - Clave del dispositivo (ip:puerto)
+ * @param {Error} error - Error de la lectura
+ */
+function registrarFallo(clave, error) {
+  // Un registrador mal configurado no dice nada sobre el estado del equipo; si era el sondeo,
+  // el disyuntor vuelve a abierto y el próximo sondeo lo hace otra lectura
+  if (error && error.codigo === CODIGOS_ERROR.INVALID_CONFIG) {
+    const disyuntor = disyuntores.get(clave);
+    if (disyuntor && disyuntor.estado === ESTADOS.SEMIABIERTO) {
+      disyuntor.proximoSondeo = Date.now() + INTERVALO_SONDEO_MS;
+      transicionar(disyuntor, ESTADOS.ABIERTO);
+    }
+    return;
+  }
+
+  if (!esFallaDeDispositivo(error)) {
+    // El equipo respondió (con una excepción): está vivo
+    registrarExito(clave);
+    return;
+  }
+
+  const disyuntor = obtenerDisyuntor(clave);
+  disyuntor.fallosConsecutivos++;
+  disyuntor.ultimoError = error.message;
+
+  const sondeoFallido = disyuntor.estado === ESTADOS.SEMIABIERTO;
+
+  if (sondeoFallido || disyuntor.fallosConsecutivos >= UMBRAL_FALLOS) {
+    if (!disyuntor.caidoDesde) disyuntor.caidoDesde = new Date().toISOString();
+    disyuntor.proximoSondeo = Date.now() + INTERVALO_SONDEO_MS;
+    transicionar(disyuntor, ESTADOS.ABIERTO);
+  }
+}
+
+/**
+ * Indica si el dispositivo está caído (disyuntor abierto o sondeando)
+ * @param {string} clave - Clave del dispositivo (ip:puerto)
+ * @returns {boolean}
+ */
+function estaCaido(clave) {
+  const disyuntor = disyuntores.get(clave);
+  return !!disyuntor && disyuntor.estado !== ESTADOS.CERRADO;
+}
+
+/**
+ * Registra un callback para transiciones de estado
+ * @param {Function} callback - (clave, estadoNuevo, estadoAnterior, disyuntor) => void
+ */
+function alCambiarEstado(callback) {
+  onCambioEstado = callback;
+}
+
+/**
+ * Olvida el estado de todos los disyuntores (al recargar la configuración)
+ */
+function reiniciarDisyuntores() {
+  disyuntores.clear();
+}
+
+module.exports = {
+  permitirLectura,
+  registrarExito,
+  registrarFallo,
+  estaCaido,
+  alCambiarEstado,
+  reiniciarDisyuntores,
+  ESTADOS,
+  INTERVALO_SONDEO_MS,
+};
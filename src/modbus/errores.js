@@ -0,0 +1,68 @@
+// src/modbus/errores.js
+// Clasificación de errores Modbus en códigos estables (para agrupar fallas en el backend)
+
+// Códigos de error (MODBUS_EXCEPTION_<n> se arma con el código de excepción recibido)
+const CODIGOS_ERROR = {
+  TIMEOUT: 'TIMEOUT',
+  CONNECTION_REFUSED: 'CONNECTION_REFUSED',
+  CONNECTION_CLOSED: 'CONNECTION_CLOSED',
+  HOST_UNREACHABLE: 'HOST_UNREACHABLE',
+  DNS: 'DNS',
+  SERIAL_PORT_UNAVAILABLE: 'SERIAL_PORT_UNAVAILABLE',
+  TLS_HANDSHAKE: 'TLS_HANDSHAKE',
+  INVALID_CONFIG: 'INVALID_CONFIG',
+  PARTIAL_RESPONSE: 'PARTIAL_RESPONSE',
+  UNKNOWN: 'UNKNOWN',
+};
+
+// Errores de sistema (errno/code de Node o texto de modbus-serial) -> código
+const ERRORES_DE_SISTEMA = [
+  { codigos: ['ETIMEDOUT', 'Timed out'], codigo: CODIGOS_ERROR.TIMEOUT },
+  { codigos: ['ECONNREFUSED'], codigo: CODIGOS_ERROR.CONNECTION_REFUSED },
+  { codigos: ['ECONNRESET', 'EPIPE', 'Port Not Open'], codigo: CODIGOS_ERROR.CONNECTION_CLOSED },
+  { codigos: ['EHOSTUNREACH', 'ENETUNREACH', 'EHOSTDOWN', 'ENETDOWN'], codigo: CODIGOS_ERROR.HOST_UNREACHABLE },
+  { codigos: ['ENOTFOUND', 'EAI_AGAIN'], codigo: CODIGOS_ERROR.DNS },
+  { codigos: ['cannot open', 'Access denied', 'Permission denied'], codigo: CODIGOS_ERROR.SERIAL_PORT_UNAVAILABLE },
+];
+
+/**
+ * Crea un error con código de clasificación propio
+ * @param {string} codigo - Uno de CODIGOS_ERROR
+ * @param {string} mensaje - Mensaje legible
+ * @returns {Error}
+ */
+function crearError(codigo, mensaje) {
+  const error = new Error(mensaje);
+  error.codigo = codigo;
+  return error;
+}
+
+/**
+ * Clasifica un error de lectura, escritura o conexión en un código estable
+ * Una lectura en varios bloques que falló a mitad de camino cuenta como PARTIAL_RESPONSE
+ *
+ * @param {Error} error - Error a clasificar
+ * @returns {string} Código (ej. TIMEOUT, MODBUS_EXCEPTION_2)
+ */
+function clasificarError(error) {
+  if (!error) return CODIGOS_ERROR.UNKNOWN;
+  if (error.codigo) return error.codigo;
+  if (error.bloquesLeidos > 0) return CODIGOS_ERROR.PARTIAL_RESPONSE;
+  if (error.modbusCode !== undefined) return `MODBUS_EXCEPTION_${error.modbusCode}`;
+  if (error.name === 'TransactionTimedOutError') return CODIGOS_ERROR.TIMEOUT;
+
+  const mensaje = error.message || '';
+  for (const { codigos, codigo } of ERRORES_DE_SISTEMA) {
+    if (codigos.some(c => error.code === c || error.errno === c || mensaje.includes(c))) {
+      return codigo;
+    }
+  }
+
+  return CODIGOS_ERROR.UNKNOWN;
+}
+
+module.exports = {
+  CODIGOS_ERROR,
+  crearError,
+  clasificarError,
+};
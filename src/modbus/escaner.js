@@ -0,0 +1,272 @@
+// src/modbus/escaner.js
+// Escaneo de red: busca dispositivos Modbus TCP en un rango CIDR, puertos y unit IDs
+// Usa conexiones propias de un solo uso, fuera del pool: no compite por los cupos del polling
+// (MODBUS_MAX_CONCURRENCIA) ni deja los hosts probados en la tabla de conexiones
+
+const net = require('net');
+const ModbusRTU = require('modbus-serial');
+const { resolverFuncion, FUNCIONES_LECTURA, MODO_MODBUS } = require('./clienteModbus');
+const { CODIGOS_ERROR, crearError } = require('./errores');
+
+// Límite de hosts por escaneo (una /22) para no barrer redes enteras por error
+const MAX_HOSTS = 1024;
+
+// Valores por defecto de un escaneo
+const PUERTOS_POR_DEFECTO = [502];
+const CONCURRENCIA_POR_DEFECTO = 32;
+const CONCURRENCIA_MAXIMA = 128;
+const TIMEOUT_POR_DEFECTO_MS = 1000;
+
+// Excepciones de gateway: el gateway respondió, pero no hay equipo detrás con ese unit ID
+const EXCEPCIONES_SIN_EQUIPO = [10, 11];
+
+/**
+ * Convierte una IPv4 en texto a número (null si es inválida)
+ */
+function ipANumero(ip) {
+  const partes = String(ip).trim().split('.');
+  if (partes.length !== 4) return null;
+
+  let numero = 0;
+  for (const parte of partes) {
+    const octeto = Number(parte);
+    if (!/^\d{1,3}$/.test(parte) || octeto > 255) return null;
+    numero = numero * 256 + octeto;
+  }
+  return numero;
+}
+
+/**
+ * Convierte un número a IPv4 en texto
+ */
+function numeroAIp(numero) {
+  return [24, 16, 8, 0].map(desplazamiento => Math.floor(numero / Math.pow(2, desplazamiento)) % 256).join('.');
+}
+
+/**
+ * Expande un rango CIDR ("192.168.1.0/24") o una IP suelta a la lista de hosts
+ * Excluye las direcciones de red y broadcast salvo en /31 y /32
+ *
+ * @param {string} cidr - Rango a expandir
+ * @returns {Array<string>}
+ * @throws {Error} Si el rango es inválido o supera MAX_HOSTS
+ */
+function expandirCidr(cidr) {
+  const [ip, prefijoTexto] = String(cidr || '').trim().split('/');
+  const base = ipANumero(ip);
+  const prefijo = prefijoTexto === undefined ? 32 : Number(prefijoTexto);
+
+  if (base === null || !Number.isInteger(prefijo) || prefijo < 0 || prefijo > 32) {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `Rango CIDR inválido: ${cidr}`);
+  }
+
+  const tamano = Math.pow(2, 32 - prefijo);
+  const red = Math.floor(base / tamano) * tamano;
+  const [desde, hasta] = prefijo >= 31 ? [red, red + tamano - 1] : [red + 1, red + tamano - 2];
+
+  if (hasta - desde + 1 > MAX_HOSTS) {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `El rango ${cidr} tiene ${hasta - desde + 1} hosts (máximo ${MAX_HOSTS})`);
+  }
+
+  const hosts = [];
+  for (let n = desde; n <= hasta; n++) hosts.push(numeroAIp(n));
+  return hosts;
+}
+
+/**
+ * Normaliza la lista de puertos ([502, 5020] o "502,5020")
+ */
+function normalizarPuertos(puertos) {
+  const lista = Array.isArray(puertos) ? puertos : String(puertos || '').split(',');
+  const validos = lista.map(Number).filter(p => Number.isInteger(p) && p > 0 && p <= 65535);
+  return validos.length > 0 ? [...new Set(validos)] : PUERTOS_POR_DEFECTO;
+}
+
+/**
+ * Entero opcional de las opciones: el valor por defecto si no está o no es un número
+ * (un 0 explícito vale: el unit ID 0 es el broadcast o el propio gateway)
+ */
+function enteroOpcional(valor, porDefecto) {
+  if (valor === undefined || valor === null || valor === '') return porDefecto;
+  const numero = Number(valor);
+  return Number.isInteger(numero) ? numero : porDefecto;
+}
+
+/**
+ * Rango de unit IDs a probar (por defecto solo el 1; hasta, por defecto igual a desde)
+ * @param {Object} opciones - { unitIdDesde, unitIdHasta }
+ * @returns {{desde: number, hasta: number}}
+ */
+function rangoUnidades({ unitIdDesde, unitIdHasta } = {}) {
+  const desde = Math.min(Math.max(enteroOpcional(unitIdDesde, 1), 0), 255);
+  const hasta = Math.min(Math.max(enteroOpcional(unitIdHasta, desde), desde), 255);
+  return { desde, hasta };
+}
+
+/**
+ * Abre una conexión TCP propia del escaneo
+ * @returns {Promise<net.Socket|null>} Socket conectado, o null si el puerto no acepta conexiones
+ */
+function conectarPuerto(ip, puerto, timeoutMs) {
+  return new Promise((resolve) => {
+    const socket = net.connect({ host: ip, port: puerto });
+
+    const fallar = () => {
+      socket.destroy();
+      resolve(null);
+    };
+
+    socket.setTimeout(timeoutMs, fallar);
+    socket.once('error', fallar);
+    socket.once('connect', () => {
+      socket.setTimeout(0);
+      socket.removeListener('error', fallar);
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Prueba los unit IDs de un equipo sobre su conexión de escaneo y la cierra al terminar
+ * Un equipo que responde con una excepción Modbus (salvo las de gateway) también cuenta como encontrado
+ *
+ * @returns {Promise<Array<{unitId: number, tiempoMs: number, excepcion?: number}>>} Unidades que respondieron
+ */
+async function probarUnidades(socket, { unitIdDesde, unitIdHasta, funcion, indiceInicial, timeoutMs }) {
+  const cliente = new ModbusRTU();
+  const { metodo } = FUNCIONES_LECTURA[funcion];
+  const encontradas = [];
+
+  cliente.setTimeout(timeoutMs);
+  // Sin listener, un 'error' del socket tiraría el proceso
+  cliente.on('error', () => {});
+
+  try {
+    await cliente.linkTCP(socket);
+
+    // Los unit IDs de un mismo equipo van en serie sobre la misma conexión
+    for (let unitId = unitIdDesde; unitId <= unitIdHasta && cliente.isOpen; unitId++) {
+      cliente.setID(unitId);
+      const inicio = Date.now();
+
+      try {
+        await cliente[metodo](indiceInicial, 1);
+        encontradas.push({ unitId, tiempoMs: Date.now() - inicio });
+      } catch (error) {
+        if (error.modbusCode !== undefined && !EXCEPCIONES_SIN_EQUIPO.includes(error.modbusCode)) {
+          encontradas.push({ unitId, tiempoMs: Date.now() - inicio, excepcion: error.modbusCode });
+        }
+      }
+    }
+  } catch (error) {
+    // La conexión se cayó: el equipo queda con lo que haya respondido hasta acá
+  } finally {
+    try {
+      cliente.close(() => {});
+    } catch (e) {
+      // Ignorar errores al cerrar
+    }
+    socket.destroy();
+  }
+
+  return encontradas;
+}
+
+/**
+ * Ejecuta tareas async con un máximo de concurrencia
+ * @param {Array<Function>} tareas - Funciones async sin argumentos
+ * @param {number} concurrencia - Tareas simultáneas como máximo
+ */
+async function ejecutarConLimite(tareas, concurrencia) {
+  let siguiente = 0;
+
+  async function trabajador() {
+    while (siguiente < tareas.length) {
+      const tarea = tareas[siguiente++];
+      await tarea();
+    }
+  }
+
+  const trabajadores = Array.from({ length: Math.min(concurrencia, tareas.length) }, trabajador);
+  await Promise.all(trabajadores);
+}
+
+/**
+ * Escanea un rango de red buscando dispositivos Modbus TCP
+ * Por cada host y puerto abierto prueba los unit IDs del rango con una lectura corta
+ * Un equipo que responde con una excepción Modbus (salvo las de gateway) también cuenta como encontrado
+ * La concurrencia es propia del escaneo: cada host/puerto en prueba ocupa una conexión temporal
+ *
+ * @param {Object} opciones - Parámetros del escaneo
+ * @param {string} opciones.cidr - Rango de red ("192.168.1.0/24") o IP suelta
+ * @param {Array<number>|string} opciones.puertos - Puertos a probar (por defecto 502)
+ * @param {number} opciones.unitIdDesde - Primer unit ID (por defecto 1)
+ * @param {number} opciones.unitIdHasta - Último unit ID (por defecto igual a unitIdDesde)
+ * @param {number} opciones.concurrencia - Hosts/puertos probados en paralelo (por defecto 32)
+ * @param {number} opciones.timeoutMs - Timeout de conexión y de cada lectura (por defecto 1000)
+ * @param {number} opciones.funcion - Función usada para la lectura de prueba (por defecto 3)
+ * @param {number} opciones.indiceInicial - Dirección leída en la prueba (por defecto 0)
+ * @param {Function} onProgreso - Opcional: (probados, total) => void
+ * @returns {Promise<{exito: boolean, dispositivos: Array, hostsProbados: number, puertosAbiertos: number, tiempoMs: number}>}
+ */
+async function escanearRed(opciones = {}, onProgreso = null) {
+  if (MODO_MODBUS === 'simulado') {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, 'El escaneo de red no está disponible en modo simulado');
+  }
+
+  const hosts = expandirCidr(opciones.cidr);
+  const puertos = normalizarPuertos(opciones.puertos);
+  const { desde: unitIdDesde, hasta: unitIdHasta } = rangoUnidades(opciones);
+  const concurrencia = Math.min(Number(opciones.concurrencia) || CONCURRENCIA_POR_DEFECTO, CONCURRENCIA_MAXIMA);
+  const timeoutMs = Number(opciones.timeoutMs) || TIMEOUT_POR_DEFECTO_MS;
+  const prueba = {
+    unitIdDesde,
+    unitIdHasta,
+    funcion: resolverFuncion(opciones.funcion),
+    indiceInicial: Math.max(enteroOpcional(opciones.indiceInicial, 0), 0),
+    timeoutMs,
+  };
+
+  const tiempoInicio = Date.now();
+  const dispositivos = [];
+  const total = hosts.length * puertos.length;
+  let probados = 0;
+  let puertosAbiertos = 0;
+
+  const tareas = [];
+  for (const ip of hosts) {
+    for (const puerto of puertos) {
+      tareas.push(async () => {
+        const socket = await conectarPuerto(ip, puerto, timeoutMs);
+
+        if (socket) {
+          puertosAbiertos++;
+          const encontradas = await probarUnidades(socket, prueba);
+          encontradas.forEach(({ unitId, tiempoMs, excepcion }) => dispositivos.push({ ip, puerto, unitId, tiempoMs, excepcion }));
+        }
+
+        probados++;
+        if (onProgreso) onProgreso(probados, total);
+      });
+    }
+  }
+
+  await ejecutarConLimite(tareas, concurrencia);
+
+  // Resultado ordenado por IP, puerto y unidad
+  dispositivos.sort((a, b) => ipANumero(a.ip) - ipANumero(b.ip) || a.puerto - b.puerto || a.unitId - b.unitId);
+
+  return {
+    exito: true,
+    dispositivos,
+    hostsProbados: hosts.length,
+    puertosAbiertos,
+    tiempoMs: Date.now() - tiempoInicio,
+  };
+}
+
+module.exports = {
+  escanearRed,
+  expandirCidr,
+  rangoUnidades,
+};
@@ -0,0 +1,365 @@
+// src/modbus/escrituras.js
+// Comandos de escritura Modbus pedidos por el backend, con enclavamientos de seguridad locales
+
+const fs = require('fs');
+const path = require('path');
+const { escribirModbus, leerRegistrosModbus } = require('./clienteModbus');
+const { destinoRegistrador } = require('./gestorConexiones');
+
+// Interruptor general: mientras esté activo el agente rechaza toda escritura
+// Por seguridad solo se desactiva con SOLO_LECTURA=false explícito
+const SOLO_LECTURA = (process.env.SOLO_LECTURA || 'true').trim().toLowerCase() !== 'false';
+
+// Archivo local con las direcciones escribibles de cada registrador
+const ARCHIVO_PERMITIDAS = process.env.ESCRITURAS_PERMITIDAS_ARCHIVO || 'escrituras.json';
+
+// Tipos de comando aceptados -> tabla Modbus sobre la que escriben
+const TIPOS_COMANDO = {
+  registro: 'holding',
+  registros: 'holding',
+  coil: 'coils',
+  coils: 'coils',
+};
+
+// Máximo de valores por comando: lo que entra en una sola petición FC16 (registros) o FC15 (coils)
+const MAX_VALORES = {
+  holding: 123,
+  coils: 1968,
+};
+
+// Archivo con los comandos ya ejecutados y su resultado: un comando llega al dispositivo una sola
+// vez aunque falle el reporte al backend y el comando vuelva a aparecer como pendiente
+const ARCHIVO_EJECUTADOS = process.env.COMANDOS_EJECUTADOS_ARCHIVO || 'comandos-ejecutados.json';
+
+// Tiempo que se recuerda un comando ya reportado, por si el backend lo vuelve a entregar (ms)
+const RETENCION_EJECUTADOS_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Lista blanca cargada: Map de registradorId -> { holding: Set, coils: Set }
+let permitidas = new Map();
+
+// Comandos ejecutados: Map de comandoId -> { resultado, ejecutadoEn, reportadoEn }
+// resultado null = escritura en curso (si queda así en disco, el agente se cerró a mitad de camino)
+let rutaEjecutados = null;
+let ejecutados = new Map();
+
+/**
+ * Expande una lista de direcciones y rangos ("100", 101, "200-210") a un Set
+ * @param {Array<string|number>} lista - Direcciones y rangos
+ * @param {string} contexto - Dónde está la lista (para el mensaje de error)
+ * @throws {Error} Si algún elemento no es una dirección o un rango válido: la lista blanca no se adivina
+ */
+function expandirDirecciones(lista = [], contexto) {
+  if (!Array.isArray(lista)) throw new Error(`${contexto}: se esperaba una lista de direcciones`);
+
+  const direcciones = new Set();
+
+  for (const item of lista) {
+    const coincidencia = /^(\d+)(?:-(\d+))?$/.exec(String(item).trim());
+    const desde = coincidencia && Number(coincidencia[1]);
+    const fin = coincidencia && coincidencia[2] !== undefined ? Number(coincidencia[2]) : desde;
+
+    if (!coincidencia || fin < desde) throw new Error(`${contexto}: dirección o rango inválido "${item}"`);
+
+    for (let d = desde; d <= fin; d++) direcciones.add(d);
+  }
+
+  return direcciones;
+}
+
+/**
+ * Carga la lista blanca de direcciones escribibles
+ * Formato: { "<registradorId>": { "holding": ["100", "200-210"], "coils": [0, "5-7"] } }
+ * Sin archivo no hay nada escribible; un archivo con errores se rechaza entero
+ *
+ * @param {string} ruta - Ruta al archivo (por defecto ESCRITURAS_PERMITIDAS_ARCHIVO)
+ * @returns {number} Cantidad de registradores con direcciones escribibles
+ * @throws {Error} Si el archivo es ilegible o tiene direcciones inválidas
+ */
+function cargarPermitidas(ruta = ARCHIVO_PERMITIDAS) {
+  const rutaAbsoluta = path.resolve(process.cwd(), ruta);
+  permitidas = new Map();
+
+  if (!fs.existsSync(rutaAbsoluta)) return 0;
+
+  let contenido;
+  try {
+    contenido = JSON.parse(fs.readFileSync(rutaAbsoluta, 'utf8'));
+  } catch (error) {
+    throw new Error(`JSON inválido en ${rutaAbsoluta}: ${error.message}`);
+  }
+
+  const cargadas = new Map();
+  for (const [registradorId, tablas] of Object.entries(contenido || {})) {
+    const { holding, coils } = tablas || {};
+    cargadas.set(String(registradorId), {
+      holding: expandirDirecciones(holding, `Registrador ${registradorId}, holding`),
+      coils: expandirDirecciones(coils, `Registrador ${registradorId}, coils`),
+    });
+  }
+
+  permitidas = cargadas;
+  return permitidas.size;
+}
+
+/**
+ * Guarda los comandos ejecutados en disco (archivo temporal + rename para no dejarlo a medias)
+ * @throws {Error} Si no se pudo guardar
+ */
+function guardarEjecutados() {
+  if (!rutaEjecutados) return;
+
+  const contenido = Object.fromEntries(ejecutados);
+  fs.writeFileSync(`${rutaEjecutados}.tmp`, JSON.stringify(contenido));
+  fs.renameSync(`${rutaEjecutados}.tmp`, rutaEjecutados);
+}
+
+/**
+ * Carga los comandos ejecutados en una ejecución anterior
+ * Una escritura que quedó en curso se da por fallida sin repetirla: no se sabe si llegó al dispositivo
+ *
+ * @param {string} ruta - Ruta al archivo (por defecto COMANDOS_EJECUTADOS_ARCHIVO)
+ * @returns {number} Comandos ejecutados cuyo resultado falta reportar
+ */
+function cargarEjecutados(ruta = ARCHIVO_EJECUTADOS) {
+  rutaEjecutados = path.resolve(process.cwd(), ruta);
+  ejecutados = new Map();
+
+  if (!fs.existsSync(rutaEjecutados)) return 0;
+
+  let contenido;
+  try {
+    contenido = JSON.parse(fs.readFileSync(rutaEjecutados, 'utf8'));
+  } catch (error) {
+    throw new Error(`JSON inválido en ${rutaEjecutados}: ${error.message}`);
+  }
+
+  const limite = Date.now() - RETENCION_EJECUTADOS_MS;
+
+  for (const [id, registro] of Object.entries(contenido || {})) {
+    if (!registro || (registro.reportadoEn && Date.parse(registro.reportadoEn) < limite)) continue;
+
+    if (!registro.resultado) {
+      registro.resultado = {
+        exito: false,
+        error: 'El agente se cerró durante la escritura: no se repite, verificar el dispositivo',
+        tiempoMs: 0,
+      };
+    }
+    ejecutados.set(id, registro);
+  }
+
+  return [...ejecutados.values()].filter(r => !r.reportadoEn).length;
+}
+
+/**
+ * Registra el resultado (o el inicio, con resultado null) de un comando
+ */
+function registrarEjecutado(comandoId, resultado) {
+  const anterior = ejecutados.get(String(comandoId));
+  ejecutados.set(String(comandoId), {
+    resultado,
+    ejecutadoEn: anterior ? anterior.ejecutadoEn : new Date().toISOString(),
+    reportadoEn: null,
+  });
+  guardarEjecutados();
+}
+
+/**
+ * Marca el resultado de un comando como reportado al backend y olvida los reportados hace tiempo
+ * @param {string} comandoId - ID del comando
+ */
+function marcarComandoReportado(comandoId) {
+  const registro = ejecutados.get(String(comandoId));
+  if (!registro) return;
+
+  registro.reportadoEn = new Date().toISOString();
+
+  const limite = Date.now() - RETENCION_EJECUTADOS_MS;
+  for (const [id, r] of ejecutados) {
+    if (r.reportadoEn && Date.parse(r.reportadoEn) < limite) ejecutados.delete(id);
+  }
+
+  try {
+    guardarEjecutados();
+  } catch (error) {
+    // Si no se guarda, un comando que vuelva a llegar solo repite el reporte
+  }
+}
+
+/**
+ * Normaliza y valida los valores de un comando según la tabla destino
+ * @returns {Array<number>|null} null si algún valor es inválido
+ */
+function normalizarValores(comando, tabla) {
+  const crudos = comando.valores !== undefined ? comando.valores : [comando.valor];
+  if (!Array.isArray(crudos) || crudos.length === 0) return null;
+
+  const valores = crudos.map((v) => {
+    if (tabla === 'coils') {
+      if (v === true || v === 1 || v === '1') return 1;
+      if (v === false || v === 0 || v === '0') return 0;
+      return null;
+    }
+    const numero = Number(v);
+    return Number.isInteger(numero) && numero >= 0 && numero <= 0xFFFF ? numero : null;
+  });
+
+  return valores.includes(null) ? null : valores;
+}
+
+/**
+ * Crea un error de rechazo (el comando no llegó a enviarse al dispositivo)
+ */
+function rechazo(mensaje) {
+  const error = new Error(mensaje);
+  error.rechazado = true;
+  return error;
+}
+
+/**
+ * Verifica un comando contra los enclavamientos locales y lo traduce a una escritura
+ * El destino (transporte, ip, puerto o puerto serie, unidad) sale siempre del registrador local, nunca del comando
+ *
+ * @param {Object} comando - Comando del backend { registradorId, tipo, direccion, valor | valores, verificar }
+ * @param {Object} registrador - Registrador destino en formato interno (o undefined si no existe)
+ * @returns {{tabla: string, direccion: number, valores: Array<number>}}
+ * @throws {Error} Con rechazado: true si el comando no está permitido
+ */
+function validarComando(comando, registrador) {
+  if (SOLO_LECTURA) {
+    throw rechazo('Agente en modo solo lectura (SOLO_LECTURA)');
+  }
+
+  if (!registrador) {
+    throw rechazo(`Registrador ${comando.registradorId} desconocido para este agente`);
+  }
+
+  const tabla = TIPOS_COMANDO[String(comando.tipo || '').toLowerCase()];
+  if (!tabla) {
+    throw rechazo(`Tipo de comando no soportado: ${comando.tipo}`);
+  }
+
+  const direccion = Number(comando.direccion);
+  if (!Number.isInteger(direccion) || direccion < 0) {
+    throw rechazo(`Dirección inválida: ${comando.direccion}`);
+  }
+
+  const valores = normalizarValores(comando, tabla);
+  if (!valores) {
+    throw rechazo('Valores inválidos para el tipo de comando');
+  }
+
+  if (valores.length > MAX_VALORES[tabla]) {
+    throw rechazo(`Demasiados valores: ${valores.length} (máximo ${MAX_VALORES[tabla]} ${tabla === 'coils' ? 'coils' : 'registros'} por comando)`);
+  }
+
+  const lista = permitidas.get(String(registrador.id));
+  for (let i = 0; i < valores.length; i++) {
+    if (!lista || !lista[tabla].has(direccion + i)) {
+      throw rechazo(`Dirección ${direccion + i} (${tabla}) no habilitada para escritura en ${registrador.nombre}`);
+    }
+  }
+
+  return { tabla, direccion, valores };
+}
+
+/**
+ * Ejecuta un comando de escritura: valida, escribe y relee para verificar
+ * Un comando ya ejecutado no vuelve a escribirse: devuelve el resultado guardado (con repetido: true)
+ * Un comando rechazado no se registra como ejecutado: nunca llegó al dispositivo
+ * La relectura se omite con verificar: false (coils de pulso o que se reponen solas nunca coincidirían)
+ *
+ * @param {Object} comando - Comando del backend
+ * @param {Object} registrador - Registrador destino en formato interno
+ * @returns {Promise<{exito: boolean, rechazado?: boolean, verificado?: boolean, valoresLeidos?: Array<number>, error?: string, tiempoMs: number, repetido?: boolean}>}
+ */
+async function ejecutarComandoEscritura(comando, registrador) {
+  const registro = ejecutados.get(String(comando.id));
+  if (registro && registro.resultado) {
+    return { ...registro.resultado, repetido: true };
+  }
+
+  const resultado = await ejecutarUnaVez(comando, registrador);
+  if (resultado.rechazado) return resultado;
+
+  try {
+    registrarEjecutado(comando.id, resultado);
+  } catch (error) {
+    resultado.error = `${resultado.error ? `${resultado.error}. ` : ''}No se pudo guardar el resultado: ${error.message}`;
+  }
+  return resultado;
+}
+
+/**
+ * Valida, escribe y (si corresponde) relee un comando
+ */
+async function ejecutarUnaVez(comando, registrador) {
+  const tiempoInicio = Date.now();
+
+  let escritura;
+  try {
+    escritura = validarComando(comando, registrador);
+  } catch (error) {
+    return { exito: false, rechazado: true, error: error.message, tiempoMs: 0 };
+  }
+
+  // Antes de escribir queda registrado: si el agente se cierra a mitad de camino no se repite
+  try {
+    registrarEjecutado(comando.id, null);
+  } catch (error) {
+    ejecutados.delete(String(comando.id));
+    return { exito: false, rechazado: true, error: `No se pudo registrar el comando antes de escribir: ${error.message}`, tiempoMs: 0 };
+  }
+
+  const destino = {
+    ...destinoRegistrador(registrador),
+    unitId: registrador.unit_id || 1,
+    timeoutMs: registrador.timeout_ms,
+  };
+
+  try {
+    await escribirModbus({ ...destino, ...escritura });
+  } catch (error) {
+    return { exito: false, error: error.message, tiempoMs: Date.now() - tiempoInicio };
+  }
+
+  if (comando.verificar === false) {
+    return { exito: true, verificado: false, tiempoMs: Date.now() - tiempoInicio };
+  }
+
+  // Relectura: la escritura solo cuenta como exitosa si el dispositivo quedó con los valores pedidos
+  try {
+    const { valores: valoresLeidos } = await leerRegistrosModbus({
+      ...destino,
+      indiceInicial: escritura.direccion,
+      cantRegistros: escritura.valores.length,
+      funcion: escritura.tabla === 'coils' ? 1 : 3,
+      reintentos: 1,
+    });
+
+    const verificado = escritura.valores.every((v, i) => valoresLeidos[i] === v);
+
+    return {
+      exito: verificado,
+      verificado,
+      valoresLeidos,
+      error: verificado ? undefined : 'La relectura no coincide con los valores escritos',
+      tiempoMs: Date.now() - tiempoInicio,
+    };
+  } catch (error) {
+    return {
+      exito: false,
+      verificado: false,
+      error: `Escrito, pero no se pudo verificar: ${error.message}`,
+      tiempoMs: Date.now() - tiempoInicio,
+    };
+  }
+}
+
+module.exports = {
+  cargarPermitidas,
+  cargarEjecutados,
+  ejecutarComandoEscritura,
+  marcarComandoReportado,
+  SOLO_LECTURA,
+};
@@ -0,0 +1,599 @@
+// src/modbus/gestorConexiones.js
+// Pool de conexiones Modbus persistentes, una por dispositivo (ip:puerto) o por bus serie
+// Cada dispositivo tiene una cola: nunca hay dos peticiones en vuelo hacia el mismo equipo
+
+const crypto = require('crypto');
+const dns = require('dns');
+const ModbusRTU = require('modbus-serial');
+const { conectarTls, PUERTO_TLS } = require('./tls');
+
+// Tiempo sin uso tras el cual se cierra una conexión (ms)
+const IDLE_TIMEOUT_MS = Number(process.env.MODBUS_IDLE_TIMEOUT_MS) || 120000;
+
+// Backoff de reconexión automática (ms)
+const RECONEXION_MIN_MS = 1000;
+const RECONEXION_MAX_MS = 30000;
+
+// Timeout por defecto para establecer la conexión y para cada petición (ms)
+const TIMEOUT_POR_DEFECTO_MS = 5000;
+
+// Separación mínima entre el fin de una petición y el inicio de la siguiente al mismo dispositivo (ms)
+// Útil para gateways serie lentos o equipos que se saturan con peticiones seguidas
+const SEPARACION_MS = Math.max(Number(process.env.MODBUS_SEPARACION_MS) || 0, 0);
+
+// Máximo de operaciones Modbus en curso a la vez en todo el agente (sumando todos los dispositivos)
+const MAX_OPERACIONES_SIMULTANEAS = Math.max(Number(process.env.MODBUS_MAX_CONCURRENCIA) || 16, 1);
+
+// Transportes soportados:
+// tcp: Modbus TCP (por defecto)
+// rtu-tcp: tramas RTU sobre TCP (conversores serie-Ethernet transparentes)
+// udp: Modbus sobre UDP (medidores viejos que no hablan TCP)
+// tls: Modbus/TCP Security (TLS mutuo, puerto 802 por defecto)
+// serie: puerto serie local (RS-485/RS-232), compartido por todos los registradores del bus
+const TRANSPORTES = ['tcp', 'rtu-tcp', 'udp', 'tls', 'serie'];
+
+// Alias aceptados en la config (campo transporte del registrador)
+const ALIAS_TRANSPORTES = {
+  modbus_tcp: 'tcp', 'modbus-tcp': 'tcp',
+  rtu_tcp: 'rtu-tcp', rtutcp: 'rtu-tcp', 'rtu-over-tcp': 'rtu-tcp', rtuovertcp: 'rtu-tcp',
+  modbus_udp: 'udp', 'modbus-udp': 'udp',
+  'tcp-tls': 'tls', tcp_tls: 'tls', 'modbus-tls': 'tls', modbus_tls: 'tls', 'modbus-security': 'tls',
+  serial: 'serie', rtu: 'serie',
+};
+
+// Parámetros de línea por defecto de un puerto serie (9600 8N1)
+const SERIE_POR_DEFECTO = { baudios: 9600, paridad: 'none', bitsDatos: 8, bitsParada: 1 };
+const PARIDADES = ['none', 'even', 'odd', 'mark', 'space'];
+
+// Errores que indican que el socket quedó inutilizable y hay que descartarlo
+const ERRORES_DE_CONEXION = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'Port Not Open'];
+
+// Map de clave (ip:puerto, <transporte>:ip:puerto, tls:ip:puerto#huella o serie:ruta) -> conexión
+const conexiones = new Map();
+
+// Callback para notificar cambios de estado (UI)
+let onCambioEstado = null;
+
+/**
+ * Normaliza el transporte de un destino ('tcp' si no viene o no se reconoce)
+ * @param {string} transporte - 'tcp', 'rtu-tcp', 'udp', 'tls', 'serie' o un alias
+ * @returns {string}
+ */
+function normalizarTransporte(transporte) {
+  const valor = String(transporte || '').trim().toLowerCase();
+  if (TRANSPORTES.includes(valor)) return valor;
+  return ALIAS_TRANSPORTES[valor] || 'tcp';
+}
+
+/**
+ * Normaliza los parámetros de línea de un puerto serie (los inválidos toman el default)
+ */
+function normalizarSerie(serie = {}) {
+  const paridad = String(serie.paridad || '').trim().toLowerCase();
+  return {
+    ruta: serie.ruta,
+    baudios: Number(serie.baudios) > 0 ? Number(serie.baudios) : SERIE_POR_DEFECTO.baudios,
+    paridad: PARIDADES.includes(paridad) ? paridad : SERIE_POR_DEFECTO.paridad,
+    bitsDatos: [5, 6, 7, 8].includes(Number(serie.bitsDatos)) ? Number(serie.bitsDatos) : SERIE_POR_DEFECTO.bitsDatos,
+    bitsParada: [1, 2].includes(Number(serie.bitsParada)) ? Number(serie.bitsParada) : SERIE_POR_DEFECTO.bitsParada,
+  };
+}
+
+/**
+ * Arma el destino de conexión de un registrador en formato interno
+ * @param {Object} registrador - Registrador (transporte, ip, puerto, puerto_serie, baudios, tls_ca...)
+ * @returns {{transporte: string, ip: string, puerto: number, serie: Object|undefined, tls: Object|undefined}}
+ */
+function destinoRegistrador(registrador) {
+  const transporte = normalizarTransporte(registrador.transporte);
+  return {
+    transporte,
+    ip: registrador.ip,
+    puerto: transporte === 'tls' ? registrador.puerto || PUERTO_TLS : registrador.puerto,
+    tls: transporte === 'tls'
+      ? { ca: registrador.tls_ca, certificado: registrador.tls_certificado, clave: registrador.tls_clave }
+      : undefined,
+    serie: transporte === 'serie'
+      ? normalizarSerie({
+        ruta: registrador.puerto_serie,
+        baudios: registrador.baudios,
+        paridad: registrador.paridad,
+        bitsDatos: registrador.bits_datos,
+        bitsParada: registrador.bits_parada,
+      })
+      : undefined,
+  };
+}
+
+/**
+ * Indica si un destino tiene lo mínimo para conectarse (ip y puerto, o ruta del puerto serie)
+ */
+function destinoValido({ transporte, ip, puerto, serie }) {
+  if (normalizarTransporte(transporte) === 'serie') return Boolean(serie && serie.ruta);
+  return Boolean(ip) && Number(puerto) > 0;
+}
+
+/**
+ * Huella corta de los certificados propios de un registrador TLS (null si usa los de tls.json)
+ */
+function huellaTls(tls) {
+  const propias = ['ca', 'certificado', 'clave'].map(campo => (tls && tls[campo]) || '');
+  if (propias.every(valor => valor === '')) return null;
+  return crypto.createHash('sha256').update(JSON.stringify(propias)).digest('hex').slice(0, 8);
+}
+
+/**
+ * Genera la clave de un dispositivo
+ * Los registradores de un mismo bus serie comparten clave (y por lo tanto conexión y cola)
+ * En TLS la clave lleva la huella de los certificados propios del registrador: dos registradores
+ * con identidades distintas hacia el mismo equipo usan conexiones distintas, cada una con la suya
+ *
+ * @param {Object} destino - Destino de conexión
+ * @param {string} destino.transporte - 'tcp' (por defecto), 'rtu-tcp', 'udp', 'tls' o 'serie'
+ * @param {string} destino.ip - Dirección IP (todos salvo serie)
+ * @param {number} destino.puerto - Puerto Modbus (todos salvo serie)
+ * @param {Object} destino.serie - Parámetros del puerto serie ({ ruta, baudios, paridad, bitsDatos, bitsParada })
+ * @param {Object} destino.tls - Certificados propios del registrador ({ ca, certificado, clave }), solo transporte 'tls'
+ * @returns {string}
+ */
+function claveDispositivo({ transporte, ip, puerto, serie, tls }) {
+  switch (normalizarTransporte(transporte)) {
+    case 'serie':
+      return `serie:${serie && serie.ruta}`;
+    case 'tls': {
+      const huella = huellaTls(tls);
+      return `tls:${ip}:${Number(puerto)}${huella ? `#${huella}` : ''}`;
+    }
+    case 'rtu-tcp':
+    case 'udp':
+      return `${normalizarTransporte(transporte)}:${ip}:${Number(puerto)}`;
+    default:
+      return `${ip}:${Number(puerto)}`;
+  }
+}
+
+/**
+ * Notifica a la UI que cambió el estado de alguna conexión
+ */
+function notificarCambio() {
+  if (onCambioEstado) {
+    onCambioEstado(obtenerEstadoConexiones());
+  }
+}
+
+/**
+ * Determina si un error invalida el socket (vs. un error Modbus del esclavo)
+ */
+function esErrorDeConexion(error, entrada) {
+  if (!error) return false;
+  // Las excepciones Modbus (código de función + 0x80) vienen de un dispositivo vivo
+  if (error.modbusCode !== undefined) return false;
+  // En un bus serie un timeout es un esclavo que no contesta: el puerto sigue sirviendo al resto
+  // En UDP es un datagrama perdido: no hay conexión que rehacer
+  if (error.name === 'TransactionTimedOutError') return !['serie', 'udp'].includes(entrada.transporte);
+  return ERRORES_DE_CONEXION.some(codigo => error.errno === codigo || error.code === codigo || (error.message || '').includes(codigo));
+}
+
+/**
+ * Obtiene (o crea) la entrada del pool para un dispositivo
+ * En un bus serie vale la configuración de línea del primero que lo abre
+ */
+function obtenerEntrada(destino) {
+  const clave = claveDispositivo(destino);
+  const transporte = normalizarTransporte(destino.transporte);
+
+  if (!conexiones.has(clave)) {
+    conexiones.set(clave, {
+      clave,
+      transporte,
+      ip: destino.ip,
+      puerto: transporte === 'serie' ? undefined : Number(destino.puerto),
+      serie: transporte === 'serie' ? normalizarSerie(destino.serie) : undefined,
+      tls: transporte === 'tls' ? destino.tls : undefined,
+      avisoSerie: false, // Ya se avisó de una configuración de línea distinta en el mismo bus
+      cliente: null,
+      estado: 'desconectado', // desconectado | conectando | conectado | reconectando
+      conectando: null, // Promesa de conexión en curso (evita conexiones duplicadas)
+      ultimoError: null,
+      ultimoErrorEn: null,
+      conectadoDesde: null,
+      ultimoUso: Date.now(),
+      reconexiones: 0,
+      intentosFallidos: 0,
+      reconexionTimerId: null,
+      cola: Promise.resolve(), // Última petición encolada (las siguientes esperan a que termine)
+      enCola: 0, // Peticiones esperando o en curso
+      ultimaPeticionEn: 0, // Fin de la última petición (para respetar SEPARACION_MS)
+    });
+  }
+
+  const entrada = conexiones.get(clave);
+
+  if (transporte === 'serie' && !entrada.avisoSerie) {
+    const pedida = normalizarSerie(destino.serie);
+    const distinta = ['baudios', 'paridad', 'bitsDatos', 'bitsParada'].some(c => pedida[c] !== entrada.serie[c]);
+    if (distinta) {
+      entrada.avisoSerie = true;
+      console.warn(`[Modbus] ${clave}: configuración de línea distinta entre registradores del mismo bus, se usa ${describirSerie(entrada.serie)}`);
+    }
+  }
+
+  return entrada;
+}
+
+/**
+ * Describe la configuración de línea de un puerto serie (ej. 9600 8N1)
+ */
+function describirSerie(serie) {
+  return `${serie.baudios} ${serie.bitsDatos}${serie.paridad[0].toUpperCase()}${serie.bitsParada}`;
+}
+
+// Cada cuánto se revisa si terminó el bind del socket UDP (ms)
+const ESPERA_BIND_UDP_MS = 5;
+
+/**
+ * Abre un cliente Modbus UDP
+ * modbus-serial descarta las respuestas cuyo origen no coincide con la ip pedida, así que
+ * los nombres se resuelven antes; y la promesa de connectUDP se resuelve antes de que termine
+ * el bind del socket, así que se espera (con la API pública isOpen) a que quede abierto
+ */
+async function abrirUdp(cliente, entrada, timeoutMs) {
+  const { address } = await dns.promises.lookup(entrada.ip, { family: 4 });
+  await cliente.connectUDP(address, { port: entrada.puerto });
+
+  const limite = Date.now() + timeoutMs;
+  while (!cliente.isOpen) {
+    if (Date.now() >= limite) throw new Error(`Timed out: el socket UDP hacia ${entrada.ip}:${entrada.puerto} no quedó abierto`);
+    await new Promise(resolve => setTimeout(resolve, ESPERA_BIND_UDP_MS));
+  }
+}
+
+/**
+ * Abre un cliente Modbus/TCP Security: handshake TLS mutuo y Modbus TCP normal sobre el socket cifrado
+ */
+async function abrirTls(cliente, entrada, timeoutMs) {
+  const socket = await conectarTls(entrada, timeoutMs);
+  await cliente.linkTCP(socket);
+}
+
+/**
+ * Abre el cliente según el transporte de la entrada
+ * @returns {Promise<void>}
+ */
+function abrirCliente(cliente, entrada, timeoutMs) {
+  switch (entrada.transporte) {
+    case 'serie':
+      return cliente.connectRTUBuffered(entrada.serie.ruta, {
+        baudRate: entrada.serie.baudios,
+        parity: entrada.serie.paridad,
+        dataBits: entrada.serie.bitsDatos,
+        stopBits: entrada.serie.bitsParada,
+      });
+    case 'rtu-tcp':
+      // TelnetPort manda la trama RTU tal cual (con CRC); connectTcpRTUBuffered le agrega cabecera MBAP
+      // y los conversores transparentes no la entienden
+      return cliente.connectTelnet(entrada.ip, { port: entrada.puerto });
+    case 'udp':
+      return abrirUdp(cliente, entrada, timeoutMs);
+    case 'tls':
+      return abrirTls(cliente, entrada, timeoutMs);
+    default:
+      return cliente.connectTCP(entrada.ip, { port: entrada.puerto });
+  }
+}
+
+/**
+ * Cierra el socket de una entrada sin eliminarla del pool
+ */
+function cerrarCliente(entrada) {
+  if (entrada.cliente) {
+    const cliente = entrada.cliente;
+    entrada.cliente = null;
+    cliente.removeAllListeners('close');
+    cerrarSilencioso(cliente);
+  }
+}
+
+/**
+ * Cierra un cliente ignorando errores
+ * Con callback explícito: sin él modbus-serial devuelve una promesa que puede rechazarse sin manejar
+ */
+function cerrarSilencioso(cliente) {
+  try {
+    cliente.close(() => {});
+  } catch (e) {
+    // Ignorar errores al cerrar
+  }
+}
+
+/**
+ * Programa una reconexión automática con backoff exponencial
+ */
+function programarReconexion(entrada) {
+  if (entrada.reconexionTimerId) return;
+
+  // Si nadie usa el dispositivo hace rato, no vale la pena reconectar
+  if (Date.now() - entrada.ultimoUso > IDLE_TIMEOUT_MS) {
+    eliminarEntrada(entrada);
+    return;
+  }
+
+  const delayMs = Math.min(RECONEXION_MIN_MS * Math.pow(2, entrada.intentosFallidos), RECONEXION_MAX_MS);
+  entrada.estado = 'reconectando';
+  notificarCambio();
+
+  entrada.reconexionTimerId = setTimeout(() => {
+    entrada.reconexionTimerId = null;
+    if (!conexiones.has(entrada.clave)) return;
+
+    conectar(entrada).catch(() => {
+      // El error ya quedó registrado en la entrada; reintentar más tarde
+      programarReconexion(entrada);
+    });
+  }, delayMs);
+}
+
+/**
+ * Elimina una entrada del pool cerrando su socket
+ */
+function eliminarEntrada(entrada) {
+  if (entrada.reconexionTimerId) {
+    clearTimeout(entrada.reconexionTimerId);
+    entrada.reconexionTimerId = null;
+  }
+  cerrarCliente(entrada);
+  conexiones.delete(entrada.clave);
+  notificarCambio();
+}
+
+/**
+ * Registra un error en la entrada y, si corresponde, descarta el socket
+ */
+function registrarError(entrada, error) {
+  entrada.ultimoError = error.message || String(error);
+  entrada.ultimoErrorEn = new Date().toISOString();
+
+  if (esErrorDeConexion(error, entrada)) {
+    cerrarCliente(entrada);
+    entrada.conectadoDesde = null;
+    programarReconexion(entrada);
+  }
+
+  notificarCambio();
+}
+
+/**
+ * Abre el socket (o el puerto serie) de una entrada (comparte la promesa si ya hay una conexión en curso)
+ */
+function conectar(entrada, timeoutMs = TIMEOUT_POR_DEFECTO_MS) {
+  if (entrada.conectando) return entrada.conectando;
+
+  const eraReconexion = entrada.estado === 'reconectando';
+  if (!eraReconexion) entrada.estado = 'conectando';
+  notificarCambio();
+
+  const cliente = new ModbusRTU();
+  cliente.setTimeout(timeoutMs);
+
+  // Sin listener, un 'error' del puerto tiraría el proceso
+  cliente.on('error', (error) => {
+    registrarError(entrada, error);
+  });
+
+  entrada.conectando = abrirCliente(cliente, entrada, timeoutMs)
+    .then(() => {
+      entrada.cliente = cliente;
+      entrada.estado = 'conectado';
+      entrada.conectadoDesde = new Date().toISOString();
+      entrada.intentosFallidos = 0;
+      if (eraReconexion) entrada.reconexiones++;
+
+      // El dispositivo (o la red) cerró el socket: reconectar por nuestra cuenta
+      cliente.once('close', () => {
+        if (entrada.cliente !== cliente) return;
+        entrada.cliente = null;
+        entrada.conectadoDesde = null;
+        programarReconexion(entrada);
+      });
+
+      notificarCambio();
+      return cliente;
+    })
+    .catch((error) => {
+      cerrarSilencioso(cliente);
+      entrada.intentosFallidos++;
+      entrada.estado = eraReconexion ? 'reconectando' : 'desconectado';
+      entrada.ultimoError = error.message || 'Error de conexión desconocido';
+      entrada.ultimoErrorEn = new Date().toISOString();
+      notificarCambio();
+      throw error;
+    })
+    .finally(() => {
+      entrada.conectando = null;
+    });
+
+  return entrada.conectando;
+}
+
+// Cupos de operación del agente: en uso, pendientes (FIFO) y cuántas operaciones tuvieron que esperar
+let operacionesEnCurso = 0;
+const esperandoCupo = [];
+let esperasPorCupo = 0;
+
+/**
+ * Toma un cupo de operación del agente; si no hay, espera a que se libere uno
+ */
+function tomarCupo() {
+  if (operacionesEnCurso < MAX_OPERACIONES_SIMULTANEAS) {
+    operacionesEnCurso++;
+    return Promise.resolve();
+  }
+
+  esperasPorCupo++;
+  return new Promise(resolve => esperandoCupo.push(resolve));
+}
+
+/**
+ * Libera un cupo: pasa directo a la siguiente operación en espera, si la hay
+ */
+function liberarCupo() {
+  const siguiente = esperandoCupo.shift();
+  if (siguiente) {
+    siguiente();
+  } else {
+    operacionesEnCurso--;
+  }
+}
+
+/**
+ * Encola una tarea en la cola del dispositivo
+ * La tarea empieza cuando terminó la anterior y pasó la separación mínima configurada
+ * El resultado (o el error) de una tarea no afecta a las siguientes
+ */
+function encolar(entrada, tarea) {
+  entrada.enCola++;
+
+  const turno = entrada.cola.then(async () => {
+    const espera = entrada.ultimaPeticionEn + SEPARACION_MS - Date.now();
+    if (espera > 0) {
+      await new Promise(resolve => setTimeout(resolve, espera));
+    }
+
+    try {
+      return await tarea();
+    } finally {
+      entrada.ultimaPeticionEn = Date.now();
+      entrada.enCola--;
+    }
+  });
+
+  entrada.cola = turno.catch(() => {});
+  return turno;
+}
+
+/**
+ * Ejecuta una operación sobre la conexión compartida de un dispositivo
+ * Las operaciones se serializan en la cola del dispositivo (una petición en vuelo a la vez)
+ * y además respetan el máximo de operaciones simultáneas del agente (MODBUS_MAX_CONCURRENCIA)
+ * Conecta si hace falta y descarta el socket si la operación falla a nivel de conexión
+ *
+ * @param {Object} dispositivo - Dispositivo destino
+ * @param {string} dispositivo.transporte - 'tcp' (por defecto), 'rtu-tcp', 'udp', 'tls' o 'serie'
+ * @param {string} dispositivo.ip - Dirección IP del dispositivo
+ * @param {number} dispositivo.puerto - Puerto Modbus
+ * @param {Object} dispositivo.serie - Parámetros del puerto serie (solo transporte 'serie')
+ * @param {Object} dispositivo.tls - Certificados propios del registrador (solo transporte 'tls')
+ * @param {number} dispositivo.timeoutMs - Timeout de conexión y de la petición (ms)
+ * @param {Function} operacion - async (cliente) => resultado
+ * @returns {Promise<*>} Resultado de la operación
+ */
+async function ejecutarEnConexion({ transporte, ip, puerto, serie, tls, timeoutMs = TIMEOUT_POR_DEFECTO_MS }, operacion) {
+  const entrada = obtenerEntrada({ transporte, ip, puerto, serie, tls });
+  entrada.ultimoUso = Date.now();
+
+  return encolar(entrada, async () => {
+    // El cupo se pide ya al frente de la cola del dispositivo: un equipo ocupa como mucho uno
+    await tomarCupo();
+
+    try {
+      // Una reconexión pendiente se adelanta: alguien necesita el dispositivo ahora
+      if (entrada.reconexionTimerId) {
+        clearTimeout(entrada.reconexionTimerId);
+        entrada.reconexionTimerId = null;
+      }
+
+      const cliente = entrada.cliente && entrada.cliente.isOpen
+        ? entrada.cliente
+        : await conectar(entrada, timeoutMs);
+
+      try {
+        // El timeout se toma al enviar la petición: cada registrador usa el suyo
+        cliente.setTimeout(timeoutMs);
+        const resultado = await operacion(cliente);
+        entrada.ultimoUso = Date.now();
+        return resultado;
+      } catch (error) {
+        registrarError(entrada, error);
+        throw error;
+      }
+    } finally {
+      liberarCupo();
+    }
+  });
+}
+
+/**
+ * Cierra las conexiones que no se usan hace más de IDLE_TIMEOUT_MS
+ */
+function limpiarInactivas() {
+  const ahora = Date.now();
+  for (const entrada of conexiones.values()) {
+    if (!entrada.conectando && entrada.enCola === 0 && ahora - entrada.ultimoUso > IDLE_TIMEOUT_MS) {
+      eliminarEntrada(entrada);
+    }
+  }
+}
+
+const limpiezaIntervalId = setInterval(limpiarInactivas, Math.min(IDLE_TIMEOUT_MS, 30000));
+limpiezaIntervalId.unref();
+
+/**
+ * Devuelve el estado de todas las conexiones del pool (para la UI)
+ * @returns {Array<Object>}
+ */
+function obtenerEstadoConexiones() {
+  return Array.from(conexiones.values()).map(e => ({
+    clave: e.clave,
+    transporte: e.transporte,
+    ip: e.ip,
+    puerto: e.puerto,
+    estado: e.estado === 'conectado' && !(e.cliente && e.cliente.isOpen) ? 'desconectado' : e.estado,
+    ultimoError: e.ultimoError,
+    ultimoErrorEn: e.ultimoErrorEn,
+    conectadoDesde: e.conectadoDesde,
+    reconexiones: e.reconexiones,
+    enCola: e.enCola,
+  }));
+}
+
+/**
+ * Devuelve el uso de los cupos de operación del agente (para la UI)
+ * @returns {{maximo: number, enCurso: number, enEspera: number, esperas: number}}
+ */
+function obtenerEstadoConcurrencia() {
+  return {
+    maximo: MAX_OPERACIONES_SIMULTANEAS,
+    enCurso: operacionesEnCurso,
+    enEspera: esperandoCupo.length,
+    esperas: esperasPorCupo,
+  };
+}
+
+/**
+ * Registra un callback para cambios de estado de las conexiones
+ * @param {Function} callback - (estadoConexiones) => void
+ */
+function alCambiarEstado(callback) {
+  onCambioEstado = callback;
+}
+
+/**
+ * Cierra todas las conexiones del pool
+ */
+function cerrarTodas() {
+  for (const entrada of Array.from(conexiones.values())) {
+    eliminarEntrada(entrada);
+  }
+}
+
+module.exports = {
+  ejecutarEnConexion,
+  obtenerEstadoConexiones,
+  obtenerEstadoConcurrencia,
+  alCambiarEstado,
+  cerrarTodas,
+  claveDispositivo,
+  destinoRegistrador,
+  destinoValido,
+  normalizarTransporte,
+};
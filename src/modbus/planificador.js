@@ -0,0 +1,265 @@
+// src/modbus/planificador.js
+// Planificador de lecturas periódicas sin deriva: cada tarea corre en una grilla fija de turnos
+// (alineada al reloj, ej. cada 60 s justo en :00) y no se corre por la duración de cada ejecución
+// Cada tarea tiene como mucho una ejecución en curso: un turno que llega antes de que termine la anterior se omite
+
+// Alinear los turnos al reloj de pared (por defecto); con false la grilla arranca al programar la tarea
+const ALINEAR_RELOJ = (process.env.POLLING_ALINEAR_RELOJ || 'true').trim().toLowerCase() !== 'false';
+
+// Map de id -> tarea programada
+const tareas = new Map();
+
+// Callbacks de turnos perdidos, turnos omitidos, turnos fallidos y cuenta regresiva
+let onTurnosPerdidos = null;
+let onTurnoOmitido = null;
+let onTurnoFallido = null;
+let onCuentaRegresiva = null;
+
+// Timer de la cuenta regresiva (uno solo para todas las tareas, en el borde de cada segundo)
+let cuentaTimer = null;
+
+/**
+ * Primer turno de la grilla (origen + k * intervalo) que cae en o después de un instante
+ */
+function siguienteTurno(origen, intervaloMs, desde) {
+  const transcurridos = Math.ceil((desde - origen) / intervaloMs);
+  return origen + Math.max(transcurridos, 0) * intervaloMs;
+}
+
+/**
+ * Arma el timer de una tarea hacia su próximo turno
+ */
+function armar(tarea) {
+  clearTimeout(tarea.timer);
+  tarea.timer = setTimeout(() => disparar(tarea), Math.max(tarea.proxima - Date.now(), 0));
+}
+
+/**
+ * Ejecuta el turno vencido de una tarea y arma el siguiente
+ * Si el timer llegó tarde (proceso bloqueado, equipo suspendido, reloj adelantado) no se recuperan
+ * los turnos que pasaron: se ejecuta solo el más reciente y los demás se informan como perdidos
+ * Si la ejecución anterior sigue en curso (equipo lento) el turno se omite y se cuenta
+ */
+function disparar(tarea) {
+  if (tareas.get(tarea.id) !== tarea) return;
+
+  const ahora = Date.now();
+
+  // Reloj atrasado: la grilla se recalcula desde ahora en lugar de esperar de más
+  if (tarea.proxima - ahora > tarea.intervaloMs) {
+    tarea.proxima = siguienteTurno(tarea.origen, tarea.intervaloMs, ahora);
+  }
+
+  // Timer adelantado respecto del reloj de pared: esperar lo que falta
+  if (ahora < tarea.proxima) {
+    armar(tarea);
+    return;
+  }
+
+  const perdidos = Math.floor((ahora - tarea.proxima) / tarea.intervaloMs);
+  const turno = tarea.proxima + perdidos * tarea.intervaloMs;
+
+  tarea.proxima = turno + tarea.intervaloMs;
+  armar(tarea);
+
+  if (perdidos > 0) {
+    tarea.turnosPerdidos += perdidos;
+    if (onTurnosPerdidos) onTurnosPerdidos(tarea.id, perdidos, new Date(turno - perdidos * tarea.intervaloMs));
+  }
+
+  if (tarea.enCurso) {
+    tarea.turnosOmitidos++;
+    if (onTurnoOmitido) onTurnoOmitido(tarea.id, tarea.turnosOmitidos, new Date(turno));
+    return;
+  }
+
+  ejecutarTurno(tarea, turno);
+}
+
+/**
+ * Ejecuta un turno de una tarea y la marca en curso hasta que termine
+ * Un error de la tarea se cuenta e informa: no debe quedar como rechazo sin manejar (tiraría el proceso)
+ */
+function ejecutarTurno(tarea, turno) {
+  const enCurso = Promise.resolve()
+    .then(() => tarea.ejecutar(turno))
+    .catch((error) => {
+      tarea.turnosFallidos++;
+      if (onTurnoFallido) {
+        onTurnoFallido(tarea.id, error, tarea.turnosFallidos);
+      } else {
+        console.error(`[Planificador] Error en el turno de ${tarea.id}: ${error && error.message}`);
+      }
+    })
+    .finally(() => {
+      // Si la tarea se reprogramó mientras tanto, la nueva heredó esta ejecución
+      for (const t of [tarea, tareas.get(tarea.id)]) {
+        if (t && t.enCurso === enCurso) t.enCurso = null;
+      }
+    });
+
+  tarea.enCurso = enCurso;
+}
+
+/**
+ * Calcula los segundos que faltan para el próximo turno de cada tarea
+ * @returns {Map<string, number>} id -> segundos restantes
+ */
+function cuentasRegresivas() {
+  const ahora = Date.now();
+  const cuentas = new Map();
+  tareas.forEach((tarea, id) => {
+    cuentas.set(id, Math.max(Math.ceil((tarea.proxima - ahora) / 1000), 0));
+  });
+  return cuentas;
+}
+
+/**
+ * Mantiene la cuenta regresiva mientras haya tareas, en el borde de cada segundo
+ */
+function asegurarCuentaRegresiva() {
+  if (cuentaTimer || tareas.size === 0) return;
+
+  const tick = () => {
+    cuentaTimer = null;
+    if (tareas.size === 0) return;
+
+    if (onCuentaRegresiva) onCuentaRegresiva(cuentasRegresivas());
+    cuentaTimer = setTimeout(tick, 1000 - (Date.now() % 1000));
+  };
+
+  cuentaTimer = setTimeout(tick, 1000 - (Date.now() % 1000));
+}
+
+/**
+ * Programa (o reprograma) una tarea periódica
+ * Los turnos son origen + k * intervalo. Con el reloj alineado el origen es la época más la fase,
+ * así distintos agentes con el mismo intervalo leen en los mismos instantes; sin alinear es el
+ * momento de programar
+ * La primera ejecución es el primer turno de la grilla, también para una tarea nueva: así queda
+ * alineada al reloj y en el mismo instante que las tareas con las que comparte origen
+ *
+ * @param {string} id - Identificador de la tarea (reemplaza a la anterior con el mismo id)
+ * @param {Object} opciones - Parámetros de la grilla
+ * @param {number} opciones.intervaloMs - Intervalo entre turnos
+ * @param {number} opciones.faseMs - Desplazamiento respecto del borde del reloj (por defecto 0)
+ * @param {number} opciones.origen - Opcional: instante de referencia explícito (ej. para compartir
+ *   la grilla de otra tarea); tiene prioridad sobre la alineación y la fase
+ * @param {Function} ejecutar - (turno) => Promise|void, recibe el instante (ms) del turno que se ejecuta;
+ *   mientras la promesa no termina los turnos siguientes se omiten
+ * @returns {{proxima: number, origen: number}} Instante de la primera ejecución y origen de la grilla
+ */
+function programar(id, { intervaloMs, faseMs = 0, origen } = {}, ejecutar) {
+  // Al reprogramar, una ejecución en curso sigue contando: no se larga otra en paralelo
+  const anterior = tareas.get(id);
+  cancelar(id);
+
+  const ahora = Date.now();
+  const origenGrilla = origen !== undefined ? origen : (ALINEAR_RELOJ ? faseMs % intervaloMs : ahora);
+
+  const tarea = {
+    id,
+    intervaloMs,
+    origen: origenGrilla,
+    proxima: siguienteTurno(origenGrilla, intervaloMs, ahora),
+    ejecutar,
+    turnosPerdidos: 0,
+    turnosOmitidos: 0,
+    turnosFallidos: 0,
+    enCurso: anterior ? anterior.enCurso : null,
+    timer: null,
+  };
+
+  tareas.set(id, tarea);
+  armar(tarea);
+  asegurarCuentaRegresiva();
+
+  return { proxima: tarea.proxima, origen: tarea.origen };
+}
+
+/**
+ * Cancela una tarea programada
+ * @param {string} id - Identificador de la tarea
+ * @returns {boolean} true si la tarea existía
+ */
+function cancelar(id) {
+  const tarea = tareas.get(id);
+  if (!tarea) return false;
+
+  clearTimeout(tarea.timer);
+  tareas.delete(id);
+  return true;
+}
+
+/**
+ * Cancela todas las tareas y la cuenta regresiva
+ */
+function cancelarTodas() {
+  tareas.forEach(tarea => clearTimeout(tarea.timer));
+  tareas.clear();
+
+  clearTimeout(cuentaTimer);
+  cuentaTimer = null;
+}
+
+/**
+ * Indica si hay una tarea programada con ese id
+ */
+function estaProgramada(id) {
+  return tareas.has(id);
+}
+
+/**
+ * Origen de la grilla de una tarea (para que otra tarea comparta sus turnos)
+ * @returns {number|undefined}
+ */
+function origenDe(id) {
+  const tarea = tareas.get(id);
+  return tarea ? tarea.origen : undefined;
+}
+
+/**
+ * Registra un callback para los turnos perdidos
+ * @param {Function} callback - (id, cantidad, desde) => void; desde es el primer turno perdido
+ */
+function alPerderTurnos(callback) {
+  onTurnosPerdidos = callback;
+}
+
+/**
+ * Registra un callback para los turnos omitidos por solapamiento (ejecución anterior aún en curso)
+ * @param {Function} callback - (id, totalOmitidos, turno) => void
+ */
+function alOmitirTurno(callback) {
+  onTurnoOmitido = callback;
+}
+
+/**
+ * Registra un callback para los turnos cuya ejecución falló (la tarea lanzó o rechazó)
+ * @param {Function} callback - (id, error, totalFallidos) => void
+ */
+function alFallarTurno(callback) {
+  onTurnoFallido = callback;
+}
+
+/**
+ * Registra un callback para la cuenta regresiva (una vez por segundo mientras haya tareas)
+ * @param {Function} callback - (Map de id -> segundos restantes) => void
+ */
+function alActualizarCuentaRegresiva(callback) {
+  onCuentaRegresiva = callback;
+}
+
+module.exports = {
+  programar,
+  cancelar,
+  cancelarTodas,
+  estaProgramada,
+  origenDe,
+  cuentasRegresivas,
+  alPerderTurnos,
+  alOmitirTurno,
+  alFallarTurno,
+  alActualizarCuentaRegresiva,
+  ALINEAR_RELOJ,
+};
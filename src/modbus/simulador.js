@@ -0,0 +1,219 @@
+// src/modbus/simulador.js
+// Generador de lecturas simuladas para MODO_MODBUS=simulado (demo y desarrollo sin equipos)
+
+// Probabilidad de que una lectura simulada falle (0 a 1); con 0 no falla nunca
+const TASA_FALLOS_CONFIGURADA = Number.parseFloat(process.env.SIMULADO_TASA_FALLOS);
+const TASA_FALLOS = Math.min(Math.max(Number.isFinite(TASA_FALLOS_CONFIGURADA) ? TASA_FALLOS_CONFIGURADA : 0.02, 0), 1);
+
+// Latencia simulada de cada lectura (ms)
+const LATENCIA_MIN_MS = 20;
+const LATENCIA_MAX_MS = 120;
+
+// Período de la variación de carga (ms) - la carga sube y baja cada 10 minutos
+const PERIODO_CARGA_MS = 10 * 60 * 1000;
+
+// Probabilidad de que un bit (coil/discreta) cambie de estado en cada lectura
+const PROBABILIDAD_CAMBIO_BIT = 0.01;
+
+// Estado de los contadores de energía y de los bits simulados
+const contadores = new Map(); // clave -> { wh, ultimoTs }
+const bits = new Map(); // clave -> 0 | 1
+
+/**
+ * Hash simple de un texto (para que cada dispositivo tenga valores propios pero estables)
+ */
+function hashTexto(texto) {
+  let hash = 0;
+  for (let i = 0; i < texto.length; i++) {
+    hash = ((hash << 5) - hash + texto.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Ruido uniforme en el rango [-amplitud, amplitud]
+ */
+function ruido(amplitud) {
+  return (Math.random() * 2 - 1) * amplitud;
+}
+
+/**
+ * Factor de carga del dispositivo (0.5 a 1.0) que varía senoidalmente en el tiempo
+ */
+function factorCarga(semilla, ahora) {
+  const fase = (semilla % 360) * Math.PI / 180;
+  return 0.75 + 0.25 * Math.sin((2 * Math.PI * ahora) / PERIODO_CARGA_MS + fase);
+}
+
+/**
+ * Avanza un contador de energía (Wh) según la potencia y el tiempo transcurrido
+ * Los contadores solo crecen, como en un medidor real
+ */
+function avanzarContador(clave, potenciaKw, semilla, ahora) {
+  let contador = contadores.get(clave);
+
+  if (!contador) {
+    contador = { wh: 1000000 + (semilla % 500000), ultimoTs: ahora };
+    contadores.set(clave, contador);
+  }
+
+  const horas = (ahora - contador.ultimoTs) / 3600000;
+  contador.wh += Math.max(0, Math.round(potenciaKw * 1000 * horas));
+  contador.ultimoTs = ahora;
+
+  // El contador es de 32 bits: dar la vuelta como un medidor real
+  contador.wh = contador.wh % 0x100000000;
+
+  return contador.wh;
+}
+
+/**
+ * Genera el valor de un registro de 16 bits simulado
+ *
+ * Cada bloque de 16 direcciones imita un analizador de red:
+ *   0-2   Tensiones de fase (V x10)          3-5   Corrientes de fase (A x100)
+ *   6     Frecuencia (Hz x100)               7     Factor de potencia (x1000)
+ *   8     Potencia activa (kW x10)           9     Potencia reactiva (kvar x10)
+ *   10-11 Energía activa (Wh, 32 bits H/L)   12-13 Energía reactiva (varh, 32 bits H/L)
+ *   14    Temperatura (°C x10)               15    Palabra de estado
+ */
+function valorRegistro(claveDispositivo, direccion, ahora) {
+  const bloque = Math.floor(direccion / 16);
+  const offset = direccion % 16;
+  const semilla = hashTexto(`${claveDispositivo}:${bloque}`);
+  const carga = factorCarga(semilla, ahora);
+
+  // Magnitudes base del bloque
+  const corrienteNominal = 100 + (semilla % 150); // A
+  const corriente = corrienteNominal * carga;
+  const tension = 220;
+  const factorPotencia = 0.9 + 0.05 * Math.sin((2 * Math.PI * ahora) / (PERIODO_CARGA_MS / 3));
+  const potenciaKw = (3 * tension * corriente * factorPotencia) / 1000;
+  const potenciaKvar = potenciaKw * Math.tan(Math.acos(factorPotencia));
+
+  let valor;
+
+  switch (offset) {
+    case 0:
+    case 1:
+    case 2: {
+      // Tensión con oscilación lenta desfasada por fase
+      const fase = (offset * 2 * Math.PI) / 3;
+      valor = (tension + 3 * Math.sin((2 * Math.PI * ahora) / 60000 + fase) + ruido(0.5)) * 10;
+      break;
+    }
+    case 3:
+    case 4:
+    case 5: {
+      // Corriente siguiendo la carga, con un pequeño desbalance entre fases
+      const desbalance = 1 + ((offset - 4) * 0.03);
+      valor = (corriente * desbalance + ruido(corriente * 0.01)) * 100;
+      break;
+    }
+    case 6:
+      valor = (50 + ruido(0.03)) * 100;
+      break;
+    case 7:
+      valor = factorPotencia * 1000;
+      break;
+    case 8:
+      valor = potenciaKw * 10;
+      break;
+    case 9:
+      valor = potenciaKvar * 10;
+      break;
+    case 10:
+    case 11: {
+      const wh = avanzarContador(`${claveDispositivo}:${bloque}:activa`, potenciaKw, semilla, ahora);
+      valor = offset === 10 ? Math.floor(wh / 0x10000) : wh % 0x10000;
+      break;
+    }
+    case 12:
+    case 13: {
+      const varh = avanzarContador(`${claveDispositivo}:${bloque}:reactiva`, potenciaKvar, semilla + 1, ahora);
+      valor = offset === 12 ? Math.floor(varh / 0x10000) : varh % 0x10000;
+      break;
+    }
+    case 14:
+      valor = (35 + 10 * carga + ruido(0.2)) * 10;
+      break;
+    default:
+      valor = 0x0001; // Equipo en servicio
+  }
+
+  return Math.max(0, Math.min(0xFFFF, Math.round(valor)));
+}
+
+/**
+ * Genera el valor de un bit simulado (coil o entrada discreta)
+ * Los bits son estables y cambian de estado con baja probabilidad
+ */
+function valorBit(claveDispositivo, direccion) {
+  const clave = `${claveDispositivo}:${direccion}`;
+
+  if (!bits.has(clave)) {
+    bits.set(clave, hashTexto(clave) % 5 === 0 ? 1 : 0);
+  } else if (Math.random() < PROBABILIDAD_CAMBIO_BIT) {
+    bits.set(clave, bits.get(clave) ? 0 : 1);
+  }
+
+  return bits.get(clave);
+}
+
+/**
+ * Genera valores simulados para un rango de direcciones
+ * Usado por el modo simulado y por el servidor simulador para las direcciones sin valor fijo
+ *
+ * @param {string} claveDispositivo - Identifica al dispositivo (valores propios por dispositivo)
+ * @param {number} funcion - Código de función (1-4)
+ * @param {number} inicio - Primera dirección
+ * @param {number} cantidad - Cantidad de direcciones
+ * @returns {Array<number>}
+ */
+function generarValores(claveDispositivo, funcion, inicio, cantidad) {
+  const clave = `${claveDispositivo}:${funcion}`;
+  const ahora = Date.now();
+  const esBit = funcion === 1 || funcion === 2;
+  const valores = [];
+
+  for (let i = 0; i < cantidad; i++) {
+    valores.push(esBit
+      ? valorBit(clave, inicio + i)
+      : valorRegistro(clave, inicio + i, ahora));
+  }
+
+  return valores;
+}
+
+/**
+ * Simula la lectura de un dispositivo Modbus
+ * Misma firma de resultado que la lectura real: array de números (bits como 0/1)
+ *
+ * @param {Object} config - Configuración de lectura
+ * @param {string} config.ip - Dirección IP del dispositivo
+ * @param {number} config.puerto - Puerto Modbus
+ * @param {number} config.unitId - ID de unidad Modbus
+ * @param {number} config.funcion - Código de función (1-4)
+ * @param {number} config.inicio - Primer registro a leer
+ * @param {number} config.cantidad - Cantidad de registros a leer
+ * @returns {Promise<Array<number>>}
+ */
+async function leerSimulado({ ip, puerto, unitId = 1, funcion, inicio, cantidad }) {
+  const latencia = LATENCIA_MIN_MS + Math.random() * (LATENCIA_MAX_MS - LATENCIA_MIN_MS);
+  await new Promise(resolve => setTimeout(resolve, latencia));
+
+  if (Math.random() < TASA_FALLOS) {
+    const error = new Error('Timed out');
+    error.name = 'TransactionTimedOutError';
+    error.simulado = true;
+    throw error;
+  }
+
+  return generarValores(`${ip}:${puerto}:${unitId}`, funcion, inicio, cantidad);
+}
+
+module.exports = {
+  leerSimulado,
+  generarValores,
+  TASA_FALLOS,
+};
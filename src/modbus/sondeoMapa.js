@@ -0,0 +1,184 @@
+// src/modbus/sondeoMapa.js
+// Sondeo de mapa de registros: recorre un rango de direcciones y detecta qué bloques son legibles
+
+const { testConexionModbus, resolverFuncion, FUNCIONES_LECTURA, MODO_MODBUS } = require('./clienteModbus');
+const { CODIGOS_ERROR, crearError } = require('./errores');
+const { destinoValido, claveDispositivo } = require('./gestorConexiones');
+
+// Límite de direcciones por sondeo (un sondeo recorre el rango de a bloques, en serie)
+const MAX_DIRECCIONES = 10000;
+
+// Valores por defecto de un sondeo
+const TAMANO_BLOQUE_POR_DEFECTO = 10;
+const TIMEOUT_POR_DEFECTO_MS = 2000;
+
+// Cantidad de valores de muestra informados por bloque legible
+const VALORES_MUESTRA = 10;
+
+// Bloques seguidos sin respuesta tras los cuales se abandona el sondeo (equipo caído)
+const MAX_ERRORES_SEGUIDOS = 3;
+
+// Excepción Modbus 2: dirección ilegal (la dirección no existe en el equipo)
+const EXCEPCION_DIRECCION_ILEGAL = 2;
+
+/**
+ * Unit ID de un sondeo: el 0 es válido (gateways y equipos que solo responden al 0); si no viene
+ * o no es un entero 0-255, el 1
+ * @param {*} valor - Unit ID pedido (número o texto del formulario)
+ * @returns {number}
+ */
+function unidadSondeo(valor) {
+  if (valor === undefined || valor === null || valor === '') return 1;
+  const numero = Number(valor);
+  return Number.isInteger(numero) && numero >= 0 && numero <= 255 ? numero : 1;
+}
+
+/**
+ * Une direcciones consecutivas con el mismo resultado en rangos compactos
+ * @param {Array<{direccion: number}>} entradas - Ordenadas por dirección
+ * @returns {Array<{inicio: number, fin: number, entradas: Array}>}
+ */
+function compactar(entradas) {
+  const rangos = [];
+
+  for (const entrada of entradas) {
+    const ultimo = rangos[rangos.length - 1];
+    if (ultimo && entrada.direccion === ultimo.fin + 1) {
+      ultimo.fin = entrada.direccion;
+      ultimo.entradas.push(entrada);
+    } else {
+      rangos.push({ inicio: entrada.direccion, fin: entrada.direccion, entradas: [entrada] });
+    }
+  }
+
+  return rangos;
+}
+
+/**
+ * Sondea un rango de direcciones de un dispositivo
+ * Lee de a bloques; si un bloque da "dirección ilegal" lo parte a la mitad hasta aislar
+ * las direcciones inexistentes, así los límites del mapa quedan exactos
+ * Si el equipo deja de responder varios bloques seguidos se corta y se devuelve lo obtenido (interrumpido)
+ *
+ * @param {Object} opciones - Parámetros del sondeo
+ * @param {string} opciones.transporte - 'tcp' (por defecto), 'rtu-tcp', 'udp', 'tls' o 'serie'
+ * @param {string} opciones.ip - Dirección IP del dispositivo
+ * @param {number} opciones.puerto - Puerto Modbus
+ * @param {Object} opciones.serie - Puerto serie ({ ruta, baudios, paridad, bitsDatos, bitsParada }), solo transporte 'serie'
+ * @param {Object} opciones.tls - Certificados propios ({ ca, certificado, clave }), solo transporte 'tls'
+ * @param {number} opciones.unitId - ID de unidad Modbus 0-255 (por defecto 1)
+ * @param {number} opciones.funcion - Código de función de lectura 1-4 (por defecto 3)
+ * @param {number} opciones.desde - Primera dirección del rango
+ * @param {number} opciones.hasta - Última dirección del rango (inclusive)
+ * @param {number} opciones.tamanoBloque - Direcciones por petición (por defecto 10)
+ * @param {number} opciones.timeoutMs - Timeout por petición (por defecto 2000)
+ * @param {Function} onProgreso - Opcional: (direccionesProcesadas, total) => void
+ * @returns {Promise<{exito: boolean, funcion: number, legibles: Array, ilegales: Array, errores: Array, interrumpido: boolean, peticiones: number, tiempoMs: number}>}
+ */
+async function sondearMapa(opciones = {}, onProgreso = null) {
+  if (MODO_MODBUS === 'simulado') {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, 'El sondeo de mapa no está disponible en modo simulado');
+  }
+
+  const funcion = resolverFuncion(opciones.funcion);
+  const desde = Number(opciones.desde) || 0;
+  const hasta = Number(opciones.hasta);
+  const maxProtocolo = FUNCIONES_LECTURA[funcion].maxCantidad;
+  const tamanoBloque = Math.min(Math.max(Number(opciones.tamanoBloque) || TAMANO_BLOQUE_POR_DEFECTO, 1), maxProtocolo);
+  const timeoutMs = Number(opciones.timeoutMs) || TIMEOUT_POR_DEFECTO_MS;
+  const unitId = unidadSondeo(opciones.unitId);
+
+  const destino = {
+    transporte: opciones.transporte,
+    ip: opciones.ip,
+    puerto: Number(opciones.puerto),
+    serie: opciones.serie,
+    tls: opciones.tls,
+  };
+
+  if (!destinoValido(destino)) {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `Se requiere ip y puerto (o puerto serie): ${claveDispositivo(destino)}`);
+  }
+  if (!Number.isInteger(desde) || !Number.isInteger(hasta) || desde < 0 || hasta < desde || hasta > 0xFFFF) {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `Rango de direcciones inválido: ${opciones.desde}-${opciones.hasta}`);
+  }
+  if (hasta - desde + 1 > MAX_DIRECCIONES) {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `El rango tiene ${hasta - desde + 1} direcciones (máximo ${MAX_DIRECCIONES})`);
+  }
+
+  const tiempoInicio = Date.now();
+  const total = hasta - desde + 1;
+  const legibles = [];
+  const ilegales = [];
+  const errores = [];
+  let peticiones = 0;
+  let procesadas = 0;
+  let erroresSeguidos = 0;
+
+  /**
+   * Lee un bloque y lo clasifica; con dirección ilegal lo parte y sondea cada mitad
+   */
+  async function sondearBloque(inicio, cantidad) {
+    peticiones++;
+    const resultado = await testConexionModbus({
+      ...destino,
+      unitId,
+      indiceInicial: inicio,
+      cantRegistros: cantidad,
+      funcion,
+      timeoutMs,
+      reintentos: 0,
+    });
+
+    erroresSeguidos = resultado.exito || resultado.codigoExcepcion !== undefined ? 0 : erroresSeguidos + 1;
+
+    if (resultado.exito) {
+      resultado.registros.forEach(r => legibles.push({ direccion: r.direccion, valor: r.valor }));
+    } else if (resultado.codigoExcepcion === EXCEPCION_DIRECCION_ILEGAL && cantidad > 1) {
+      const mitad = Math.ceil(cantidad / 2);
+      await sondearBloque(inicio, mitad);
+      await sondearBloque(inicio + mitad, cantidad - mitad);
+      return;
+    } else if (resultado.codigoExcepcion === EXCEPCION_DIRECCION_ILEGAL) {
+      ilegales.push({ direccion: inicio });
+    } else {
+      for (let i = 0; i < cantidad; i++) errores.push({ direccion: inicio + i, error: resultado.error, codigoError: resultado.codigoError });
+    }
+
+    procesadas += cantidad;
+    if (onProgreso) onProgreso(procesadas, total);
+  }
+
+  // Los bloques van en serie: es un solo equipo y su cola no admite peticiones en paralelo
+  let interrumpido = false;
+  for (let inicio = desde; inicio <= hasta; inicio += tamanoBloque) {
+    if (erroresSeguidos >= MAX_ERRORES_SEGUIDOS) {
+      interrumpido = true;
+      break;
+    }
+    await sondearBloque(inicio, Math.min(tamanoBloque, hasta - inicio + 1));
+  }
+
+  const ordenar = lista => lista.sort((a, b) => a.direccion - b.direccion);
+
+  return {
+    exito: true,
+    funcion,
+    legibles: compactar(ordenar(legibles)).map(r => ({
+      inicio: r.inicio,
+      fin: r.fin,
+      cantidad: r.fin - r.inicio + 1,
+      muestra: r.entradas.slice(0, VALORES_MUESTRA).map(e => e.valor),
+    })),
+    ilegales: compactar(ordenar(ilegales)).map(r => ({ inicio: r.inicio, fin: r.fin })),
+    errores: compactar(ordenar(errores)).map(r => ({ inicio: r.inicio, fin: r.fin, error: r.entradas[0].error, codigoError: r.entradas[0].codigoError })),
+    interrumpido,
+    peticiones,
+    tiempoMs: Date.now() - tiempoInicio,
+  };
+}
+
+module.exports = {
+  sondearMapa,
+  unidadSondeo,
+};
@@ -0,0 +1,214 @@
+// src/modbus/tls.js
+// Modbus/TCP Security: conexiones TLS con certificado de cliente (TLS mutuo) y aviso de vencimientos
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const { X509Certificate } = require('crypto');
+const { CODIGOS_ERROR, crearError } = require('./errores');
+
+// Puerto estándar de Modbus/TCP Security
+const PUERTO_TLS = 802;
+
+// Archivo local con los certificados de cada dispositivo
+const ARCHIVO_TLS = process.env.MODBUS_TLS_ARCHIVO || 'tls.json';
+
+// Días de anticipación con que se avisa que un certificado está por vencer
+const DIAS_AVISO_VENCIMIENTO = Number(process.env.MODBUS_TLS_AVISO_DIAS) || 30;
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Certificados cargados del archivo: Map de "ip:puerto" (o "*" para todos) -> credenciales
+let porDispositivo = new Map();
+
+/**
+ * Carga los certificados por dispositivo
+ * Formato: { "<ip>:<puerto>": { "ca": "ca.pem", "certificado": "agente.pem", "clave": "agente.key", "verificarNombre": false }, "*": {...} }
+ * "*" aplica a todo dispositivo TLS sin entrada propia; sin archivo solo valen los campos del registrador
+ *
+ * @param {string} ruta - Ruta al archivo (por defecto MODBUS_TLS_ARCHIVO)
+ * @returns {number} Cantidad de entradas cargadas
+ */
+function cargarCertificadosTls(ruta = ARCHIVO_TLS) {
+  const rutaAbsoluta = path.resolve(process.cwd(), ruta);
+  porDispositivo = new Map();
+
+  if (!fs.existsSync(rutaAbsoluta)) return 0;
+
+  let contenido;
+  try {
+    contenido = JSON.parse(fs.readFileSync(rutaAbsoluta, 'utf8'));
+  } catch (error) {
+    throw new Error(`JSON inválido en ${rutaAbsoluta}: ${error.message}`);
+  }
+
+  for (const [clave, credenciales] of Object.entries(contenido || {})) {
+    porDispositivo.set(clave, credenciales || {});
+  }
+
+  return porDispositivo.size;
+}
+
+/**
+ * Resuelve las credenciales TLS de un destino
+ * Los campos del registrador pisan a los del dispositivo en el archivo, y estos a los de "*"
+ *
+ * @param {Object} destino - { ip, puerto, tls: { ca, certificado, clave } }
+ * @returns {{ca?: string, certificado?: string, clave?: string, verificarNombre?: boolean}}
+ */
+function credencialesTls({ ip, puerto, tls: propias = {} }) {
+  const credenciales = {
+    ...porDispositivo.get('*'),
+    ...porDispositivo.get(`${ip}:${Number(puerto)}`),
+  };
+
+  for (const [campo, valor] of Object.entries(propias || {})) {
+    if (valor !== undefined && valor !== null && valor !== '') credenciales[campo] = valor;
+  }
+
+  return credenciales;
+}
+
+/**
+ * Lee un archivo PEM de las credenciales (ruta relativa al directorio de trabajo)
+ */
+function leerPem(ruta, descripcion) {
+  const rutaAbsoluta = path.resolve(process.cwd(), ruta);
+  try {
+    return fs.readFileSync(rutaAbsoluta);
+  } catch (error) {
+    throw crearError(CODIGOS_ERROR.INVALID_CONFIG, `No se pudo leer ${descripcion} TLS ${rutaAbsoluta}: ${error.message}`);
+  }
+}
+
+/**
+ * Días que faltan para el vencimiento de un certificado (negativo si ya venció)
+ */
+function diasParaVencer(validTo) {
+  return Math.floor((new Date(validTo).getTime() - Date.now()) / MS_POR_DIA);
+}
+
+/**
+ * Abre un socket TLS mutuo hacia un dispositivo
+ * Los errores durante el handshake (certificado rechazado, CA desconocida...) se marcan TLS_HANDSHAKE;
+ * los de la conexión TCP previa conservan su clasificación normal
+ *
+ * @param {Object} destino - { ip, puerto, tls }
+ * @param {number} timeoutMs - Timeout de conexión y handshake
+ * @returns {Promise<tls.TLSSocket>} Socket ya cifrado
+ */
+function conectarTls(destino, timeoutMs) {
+  const credenciales = credencialesTls(destino);
+
+  if (!credenciales.certificado || !credenciales.clave) {
+    return Promise.reject(crearError(CODIGOS_ERROR.INVALID_CONFIG, `Sin certificado de cliente para ${destino.ip}:${destino.puerto} (tls.json o campos TLS del registrador)`));
+  }
+
+  let opciones;
+  try {
+    opciones = {
+      host: destino.ip,
+      port: Number(destino.puerto),
+      ca: credenciales.ca ? leerPem(credenciales.ca, 'CA') : undefined,
+      cert: leerPem(credenciales.certificado, 'certificado'),
+      key: leerPem(credenciales.clave, 'clave'),
+      // SNI solo con nombres: con una IP Node lo rechaza
+      servername: net.isIP(destino.ip) ? undefined : destino.ip,
+    };
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  // Muchos relés traen certificados sin la IP en el SAN: se puede desactivar solo esa comprobación
+  if (credenciales.verificarNombre === false) {
+    opciones.checkServerIdentity = () => undefined;
+  }
+
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect(opciones);
+    let tcpConectado = false;
+
+    const fallar = (error) => {
+      clearTimeout(timer);
+      socket.destroy();
+      if (tcpConectado && !error.codigo) error.codigo = CODIGOS_ERROR.TLS_HANDSHAKE;
+      reject(error);
+    };
+
+    const timer = setTimeout(() => {
+      const error = new Error(tcpConectado ? 'Timed out durante el handshake TLS' : 'Timed out');
+      error.code = 'ETIMEDOUT';
+      fallar(error);
+    }, timeoutMs);
+
+    socket.once('connect', () => { tcpConectado = true; });
+    socket.once('error', fallar);
+    socket.once('secureConnect', () => {
+      clearTimeout(timer);
+      socket.removeListener('error', fallar);
+
+      // Con TLS 1.3 el dispositivo valida el certificado del cliente después del handshake: si lo rechaza
+      // corta la sesión sin responder y la petición termina en timeout, así que se deja constancia
+      let respondio = false;
+      socket.once('data', () => { respondio = true; });
+      socket.once('close', () => {
+        if (!respondio) {
+          console.warn(`[Modbus] ${destino.ip}:${destino.puerto} cortó la sesión TLS sin responder (¿certificado de cliente rechazado?)`);
+        }
+      });
+
+      const certificado = socket.getPeerCertificate();
+      if (certificado && certificado.valid_to) {
+        const dias = diasParaVencer(certificado.valid_to);
+        if (dias <= DIAS_AVISO_VENCIMIENTO) {
+          console.warn(`[Modbus] El certificado del dispositivo ${destino.ip}:${destino.puerto} ${dias < 0 ? 'venció' : 'vence'} el ${new Date(certificado.valid_to).toISOString().slice(0, 10)}`);
+        }
+      }
+
+      resolve(socket);
+    });
+  });
+}
+
+/**
+ * Revisa el vencimiento de los certificados (cliente y CA) usados por una lista de destinos TLS
+ * Cada archivo se revisa una sola vez aunque lo compartan varios destinos
+ *
+ * @param {Array<Object>} destinos - Destinos con transporte 'tls'
+ * @returns {Array<{ruta: string, tipo: string, venceEl: string, diasRestantes: number}|{ruta: string, tipo: string, error: string}>}
+ *   Solo los certificados vencidos, por vencer (DIAS_AVISO_VENCIMIENTO) o ilegibles
+ */
+function revisarVencimientos(destinos) {
+  const archivos = new Map();
+
+  for (const destino of destinos) {
+    const credenciales = credencialesTls(destino);
+    if (credenciales.certificado) archivos.set(credenciales.certificado, 'certificado');
+    if (credenciales.ca && !archivos.has(credenciales.ca)) archivos.set(credenciales.ca, 'CA');
+  }
+
+  const avisos = [];
+
+  for (const [ruta, tipo] of archivos) {
+    try {
+      const { validTo } = new X509Certificate(leerPem(ruta, tipo));
+      const diasRestantes = diasParaVencer(validTo);
+
+      if (diasRestantes <= DIAS_AVISO_VENCIMIENTO) {
+        avisos.push({ ruta, tipo, venceEl: new Date(validTo).toISOString().slice(0, 10), diasRestantes });
+      }
+    } catch (error) {
+      avisos.push({ ruta, tipo, error: error.message });
+    }
+  }
+
+  return avisos;
+}
+
+module.exports = {
+  cargarCertificadosTls,
+  conectarTls,
+  revisarVencimientos,
+  PUERTO_TLS,
+};
@@ -0,0 +1,326 @@
+// src/servicios/alarmas.js
+// Alarmas locales por umbral: se evalúan en el agente apenas llega cada lectura, así un límite
+// superado se detecta aunque el backend esté caído o tarde en procesar las lecturas
+//
+// Cada regla de un registrador vigila un campo con límite alto y/o bajo. Una condición se activa
+// si se sostiene durante el retardo y se normaliza al volver más allá de la histéresis; el operador
+// la reconoce desde la UI. Activación, normalización y reconocimiento generan eventos para el backend
+
+const { valorDeCampo } = require('../modbus/decodificador');
+
+// Tipos de condición de una regla
+const TIPOS_ALARMA = {
+  ALTA: 'alta',
+  BAJA: 'baja',
+};
+
+// Eventos que se informan
+const EVENTOS_ALARMA = {
+  ACTIVADA: 'activada',
+  NORMALIZADA: 'normalizada',
+  RECONOCIDA: 'reconocida',
+};
+
+// Condiciones conocidas: Map de id ("registradorId:regla:campo:tipo") -> estado de la condición
+const condiciones = new Map();
+
+// Callbacks para eventos y cambios de la lista de alarmas
+let onEvento = null;
+let onCambioEstado = null;
+
+/**
+ * Número de la regla: null si no está, NaN si no es un número
+ */
+function numeroOpcional(valor) {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = Number(valor);
+  return Number.isFinite(numero) ? numero : NaN;
+}
+
+/**
+ * Normaliza una regla de alarma
+ * Acepta los nombres del backend (camelCase) y devuelve null si la regla es inválida
+ *
+ * @param {Object} regla - { campo, alto, bajo, histeresis, retardoSegundos }
+ * @returns {Object|null}
+ */
+function normalizarRegla(regla) {
+  if (!regla || regla.campo === undefined || regla.campo === null || regla.campo === '') return null;
+
+  const alto = numeroOpcional(regla.alto);
+  const bajo = numeroOpcional(regla.bajo);
+  const histeresis = numeroOpcional(regla.histeresis);
+  const retardoSegundos = numeroOpcional(regla.retardoSegundos);
+
+  if (Number.isNaN(alto) || Number.isNaN(bajo) || Number.isNaN(histeresis) || Number.isNaN(retardoSegundos)) return null;
+  if (alto === null && bajo === null) return null;
+  if (alto !== null && bajo !== null && bajo >= alto) return null;
+  if ((histeresis !== null && histeresis < 0) || (retardoSegundos !== null && retardoSegundos < 0)) return null;
+
+  return {
+    campo: String(regla.campo),
+    alto,
+    bajo,
+    histeresis: histeresis || 0,
+    retardoMs: (retardoSegundos || 0) * 1000,
+  };
+}
+
+/**
+ * Normaliza las reglas de alarma de un registrador
+ * El backend puede mandarlas como array o como JSON serializado; las reglas inválidas se descartan
+ *
+ * @param {Array|string} reglas - Lista de reglas
+ * @returns {{reglas: Array<Object>, descartadas: number}|null} null si el registrador no tiene alarmas
+ */
+function normalizarReglas(reglas) {
+  if (reglas === undefined || reglas === null || reglas === '') return null;
+
+  let lista = reglas;
+  if (typeof reglas === 'string') {
+    try {
+      lista = JSON.parse(reglas);
+    } catch (error) {
+      return { reglas: [], descartadas: 1 };
+    }
+  }
+
+  if (!Array.isArray(lista)) return { reglas: [], descartadas: 1 };
+
+  const validas = lista.map(normalizarRegla).filter(Boolean);
+  return { reglas: validas, descartadas: lista.length - validas.length };
+}
+
+/**
+ * Condiciones (alta, baja) que arma una regla
+ */
+function condicionesDeRegla(regla) {
+  const resultado = [];
+  if (regla.alto !== null) {
+    resultado.push({ tipo: TIPOS_ALARMA.ALTA, limite: regla.alto, retorno: regla.alto - regla.histeresis });
+  }
+  if (regla.bajo !== null) {
+    resultado.push({ tipo: TIPOS_ALARMA.BAJA, limite: regla.bajo, retorno: regla.bajo + regla.histeresis });
+  }
+  return resultado;
+}
+
+/**
+ * Id de una condición: lleva la posición de la regla porque un mismo campo puede tener varias
+ * reglas con el mismo tipo de límite (ej. un aviso y un disparo por temperatura alta)
+ */
+function idCondicion(registrador, indiceRegla, regla, tipo) {
+  return `${registrador.id}:${indiceRegla}:${regla.campo}:${tipo}`;
+}
+
+/**
+ * Emite un evento de alarma
+ */
+function emitir(condicion, evento, motivo) {
+  if (!onEvento) return;
+
+  onEvento({
+    alarmaId: condicion.id,
+    registradorId: condicion.registradorId,
+    registradorNombre: condicion.registradorNombre,
+    campo: condicion.campo,
+    tipo: condicion.tipo,
+    evento,
+    valor: condicion.valor,
+    limite: condicion.limite,
+    motivo,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+/**
+ * Notifica la lista de alarmas visibles a quien la haya pedido
+ */
+function notificarCambio() {
+  if (onCambioEstado) onCambioEstado(obtenerAlarmas());
+}
+
+/**
+ * Evalúa las reglas de un registrador con una lectura exitosa
+ * El retardo se mide entre lecturas: su resolución es el intervalo de polling del registrador
+ * Un campo sin valor (fuera de rango, no numérico) no cambia el estado de sus condiciones
+ *
+ * @param {Object} registrador - Registrador transformado (con alarmas normalizadas)
+ * @param {Object} lectura - Lectura en el formato de /agente/lecturas
+ */
+function evaluarAlarmas(registrador, lectura) {
+  if (!registrador.alarmas || registrador.alarmas.length === 0 || !lectura.exito) return;
+
+  const ahora = Date.now();
+  let cambio = false;
+
+  for (const [indiceRegla, regla] of registrador.alarmas.entries()) {
+    const valor = valorDeCampo(lectura, regla.campo);
+    if (typeof valor !== 'number') continue;
+
+    for (const { tipo, limite, retorno } of condicionesDeRegla(regla)) {
+      const id = idCondicion(registrador, indiceRegla, regla, tipo);
+      let condicion = condiciones.get(id);
+
+      if (!condicion) {
+        condicion = {
+          id,
+          registradorId: registrador.id,
+          registradorNombre: registrador.nombre,
+          campo: regla.campo,
+          tipo,
+          activa: false,
+          reconocida: true,
+          pendienteDesde: null,
+          activadaEn: null,
+          normalizadaEn: null,
+        };
+        condiciones.set(id, condicion);
+      }
+
+      condicion.valor = valor;
+      condicion.limite = limite;
+      condicion.registradorNombre = registrador.nombre;
+
+      const superado = tipo === TIPOS_ALARMA.ALTA ? valor > limite : valor < limite;
+      const normalizado = tipo === TIPOS_ALARMA.ALTA ? valor <= retorno : valor >= retorno;
+
+      if (!condicion.activa) {
+        if (!superado) {
+          condicion.pendienteDesde = null;
+          continue;
+        }
+
+        // El retardo arranca con la primera lectura fuera de límite y se reinicia si vuelve
+        if (condicion.pendienteDesde === null) condicion.pendienteDesde = ahora;
+        if (ahora - condicion.pendienteDesde < regla.retardoMs) continue;
+
+        condicion.activa = true;
+        condicion.reconocida = false;
+        condicion.activadaEn = new Date(ahora).toISOString();
+        condicion.normalizadaEn = null;
+        emitir(condicion, EVENTOS_ALARMA.ACTIVADA);
+        cambio = true;
+      } else if (normalizado) {
+        condicion.activa = false;
+        condicion.pendienteDesde = null;
+        condicion.normalizadaEn = new Date(ahora).toISOString();
+        emitir(condicion, EVENTOS_ALARMA.NORMALIZADA);
+        cambio = true;
+      } else {
+        // Sigue activa: se refresca el valor que se muestra
+        cambio = true;
+      }
+    }
+  }
+
+  if (cambio) notificarCambio();
+}
+
+/**
+ * Ajusta las condiciones a la configuración actual de los registradores
+ * Las de reglas que ya no existen (registrador eliminado o desactivado, regla borrada o sin ese límite)
+ * se descartan; si estaban activas se informan normalizadas por configuración
+ *
+ * @param {Array<Object>} registradores - Registradores transformados
+ */
+function sincronizarReglas(registradores) {
+  const vigentes = new Set();
+
+  for (const registrador of registradores) {
+    if (!registrador.activo || !registrador.alarmas) continue;
+    for (const [indiceRegla, regla] of registrador.alarmas.entries()) {
+      for (const { tipo } of condicionesDeRegla(regla)) {
+        vigentes.add(idCondicion(registrador, indiceRegla, regla, tipo));
+      }
+    }
+  }
+
+  let cambio = false;
+
+  condiciones.forEach((condicion, id) => {
+    if (vigentes.has(id)) return;
+
+    if (condicion.activa || !condicion.reconocida) cambio = true;
+    if (condicion.activa) {
+      condicion.activa = false;
+      emitir(condicion, EVENTOS_ALARMA.NORMALIZADA, 'configuracion');
+    }
+    condiciones.delete(id);
+  });
+
+  if (cambio) notificarCambio();
+}
+
+/**
+ * Reconoce una alarma (o todas las que falten reconocer)
+ * Una alarma ya normalizada desaparece de la lista al reconocerla
+ *
+ * @param {string} [id] - Id de la alarma; sin id se reconocen todas
+ * @returns {number} Alarmas reconocidas
+ */
+function reconocerAlarma(id) {
+  const candidatas = id ? [condiciones.get(id)].filter(Boolean) : [...condiciones.values()];
+  let reconocidas = 0;
+
+  for (const condicion of candidatas) {
+    if (condicion.reconocida) continue;
+
+    condicion.reconocida = true;
+    emitir(condicion, EVENTOS_ALARMA.RECONOCIDA);
+    reconocidas++;
+  }
+
+  if (reconocidas > 0) notificarCambio();
+  return reconocidas;
+}
+
+/**
+ * Alarmas visibles: las activas y las normalizadas que todavía no se reconocieron
+ * @returns {Array<{id: string, registradorId: string, registradorNombre: string, campo: string, tipo: string, valor: number, limite: number, activa: boolean, reconocida: boolean, activadaEn: string, normalizadaEn: string|null}>}
+ */
+function obtenerAlarmas() {
+  return [...condiciones.values()]
+    .filter(c => c.activa || !c.reconocida)
+    .map(c => ({
+      id: c.id,
+      registradorId: c.registradorId,
+      registradorNombre: c.registradorNombre,
+      campo: c.campo,
+      tipo: c.tipo,
+      valor: c.valor,
+      limite: c.limite,
+      activa: c.activa,
+      reconocida: c.reconocida,
+      activadaEn: c.activadaEn,
+      normalizadaEn: c.normalizadaEn,
+    }));
+}
+
+/**
+ * Registra un callback para los eventos de alarma (activada, normalizada, reconocida)
+ * @param {Function} callback - (evento) => void
+ */
+function alEventoAlarma(callback) {
+  onEvento = callback;
+}
+
+/**
+ * Registra un callback para cambios de la lista de alarmas visibles
+ * @param {Function} callback - (alarmas) => void
+ */
+function alCambiarEstado(callback) {
+  onCambioEstado = callback;
+}
+
+module.exports = {
+  normalizarReglas,
+  evaluarAlarmas,
+  sincronizarReglas,
+  reconocerAlarma,
+  obtenerAlarmas,
+  alEventoAlarma,
+  alCambiarEstado,
+  TIPOS_ALARMA,
+  EVENTOS_ALARMA,
+};
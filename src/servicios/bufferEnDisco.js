@@ -0,0 +1,334 @@
+// src/servicios/bufferEnDisco.js
+// Buffer en disco de datos pendientes de envío (store-and-forward): sobrevive a cortes de internet
+// largos y a reinicios del agente. Cada cola de salida crea el suyo con sus propios límites
+//
+// Diario de solo agregado partido en segmentos JSONL numerados (000001.jsonl, 000002.jsonl...).
+// Cada línea es { t: encoladoEn, d: dato }. Se escribe siempre al último segmento y se lee
+// desde el más viejo; un segmento leído y confirmado entero se borra. La posición de lectura
+// (segmento y línea) se guarda en cursor.json después de cada lote confirmado.
+
+const fs = require('fs');
+const path = require('path');
+
+// Tamaño a partir del cual se empieza un segmento nuevo (solo el segmento en lectura vive en memoria)
+const SEGMENTO_MAX_BYTES = 1024 * 1024;
+
+const ARCHIVO_CURSOR = 'cursor.json';
+
+/**
+ * Crea un buffer en disco
+ * Lo que supere los límites se descarta empezando por lo más viejo (ver purgar)
+ *
+ * @param {Object} limites
+ * @param {number} limites.maxBytes - Tope de lo que ocupan los segmentos en disco
+ * @param {number|null} [limites.maxEdadMs] - Antigüedad máxima de un dato pendiente (null = sin límite)
+ * @returns {{abrir: Function, agregar: Function, tomar: Function, confirmar: Function, purgar: Function, estado: Function}}
+ */
+function crearBuffer({ maxBytes, maxEdadMs = null }) {
+  let rutaDirectorio = null;
+
+  // Segmentos en disco: Map ordenado de número -> { lineas, bytes }
+  const segmentos = new Map();
+
+  // Segmento donde se escribe
+  let escritura = null;
+
+  // Segmento en lectura: sus entradas en memoria ({ t, dato, bytes, segmento, linea } o null si la
+  // línea estaba corrupta) y la primera línea sin confirmar
+  let lectura = null;
+
+  /**
+   * Ruta del archivo de un segmento
+   */
+  function rutaSegmento(numero) {
+    return path.join(rutaDirectorio, `${String(numero).padStart(6, '0')}.jsonl`);
+  }
+
+  /**
+   * Lee las entradas de un segmento (una por línea, null si la línea no se puede interpretar:
+   * una escritura cortada por un apagón deja la última línea a medias)
+   */
+  function leerSegmento(numero) {
+    const contenido = fs.readFileSync(rutaSegmento(numero), 'utf8');
+    const lineas = contenido.split('\n');
+    if (lineas[lineas.length - 1] === '') lineas.pop();
+
+    return lineas.map((linea, i) => {
+      try {
+        // Las líneas de versiones anteriores (solo lecturas) guardaban el dato en "l"
+        const { t, d, l } = JSON.parse(linea);
+        return { t, dato: d !== undefined ? d : l, bytes: Buffer.byteLength(linea) + 1, segmento: numero, linea: i };
+      } catch (error) {
+        return null;
+      }
+    });
+  }
+
+  /**
+   * Guarda la posición de lectura (archivo temporal + rename para no dejarlo a medias)
+   */
+  function guardarCursor() {
+    const ruta = path.join(rutaDirectorio, ARCHIVO_CURSOR);
+    const datos = lectura ? { segmento: lectura.numero, linea: lectura.siguiente } : {};
+    fs.writeFileSync(`${ruta}.tmp`, JSON.stringify(datos));
+    fs.renameSync(`${ruta}.tmp`, ruta);
+  }
+
+  /**
+   * Borra un segmento del disco y de la lista
+   */
+  function borrarSegmento(numero) {
+    try {
+      fs.unlinkSync(rutaSegmento(numero));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    segmentos.delete(numero);
+  }
+
+  /**
+   * Pone en lectura el segmento más viejo que quede (o ninguno si no hay)
+   * @param {number} linea - Línea desde la que se retoma (la guardada en el cursor al arrancar)
+   */
+  function abrirLectura(linea = 0) {
+    const [numero] = segmentos.keys();
+    if (numero === undefined) {
+      lectura = null;
+      return;
+    }
+
+    const entradas = leerSegmento(numero);
+    segmentos.get(numero).lineas = entradas.length;
+    lectura = { numero, entradas, siguiente: Math.min(linea, entradas.length) };
+  }
+
+  /**
+   * Avanza la lectura: si el segmento en lectura quedó confirmado entero y ya no se escribe en él,
+   * se borra y se pasa al siguiente
+   */
+  function avanzarLectura() {
+    while (lectura && lectura.siguiente >= lectura.entradas.length && lectura.numero !== escritura.numero) {
+      borrarSegmento(lectura.numero);
+      abrirLectura();
+    }
+
+    // Las líneas corruptas del frente no se pueden enviar: se saltean
+    while (lectura && lectura.siguiente < lectura.entradas.length && lectura.entradas[lectura.siguiente] === null) {
+      lectura.siguiente++;
+    }
+  }
+
+  /**
+   * Empieza un segmento de escritura nuevo
+   */
+  function nuevoSegmento() {
+    const numeros = [...segmentos.keys()];
+    const numero = (numeros.length > 0 ? numeros[numeros.length - 1] : 0) + 1;
+
+    fs.writeFileSync(rutaSegmento(numero), '');
+    segmentos.set(numero, { lineas: 0, bytes: 0 });
+    escritura = { numero };
+
+    if (!lectura) abrirLectura();
+  }
+
+  /**
+   * Bytes que ocupan los segmentos en disco
+   */
+  function bytesTotales() {
+    let total = 0;
+    segmentos.forEach((segmento) => { total += segmento.bytes; });
+    return total;
+  }
+
+  /**
+   * Cantidad de datos pendientes (sin confirmar) en todo el buffer
+   */
+  function contarPendientes() {
+    let total = 0;
+    segmentos.forEach((segmento) => { total += segmento.lineas || 0; });
+    return lectura ? total - lectura.siguiente : total;
+  }
+
+  /**
+   * Abre el buffer: carga los segmentos que quedaron de una ejecución anterior y retoma desde el cursor
+   * Siempre se escribe en un segmento nuevo (el último de la ejecución anterior puede haber quedado cortado)
+   *
+   * @param {string} directorio - Directorio del buffer
+   * @returns {{pendientes: number}} Datos pendientes heredados
+   */
+  function abrir(directorio) {
+    rutaDirectorio = path.resolve(process.cwd(), directorio);
+    fs.mkdirSync(rutaDirectorio, { recursive: true });
+
+    segmentos.clear();
+    lectura = null;
+
+    const numeros = fs.readdirSync(rutaDirectorio)
+      .map(nombre => /^(\d+)\.jsonl$/.exec(nombre))
+      .filter(Boolean)
+      .map(coincidencia => Number(coincidencia[1]))
+      .sort((a, b) => a - b);
+
+    for (const numero of numeros) {
+      segmentos.set(numero, { lineas: null, bytes: fs.statSync(rutaSegmento(numero)).size });
+    }
+
+    let cursor = {};
+    try {
+      cursor = JSON.parse(fs.readFileSync(path.join(rutaDirectorio, ARCHIVO_CURSOR), 'utf8'));
+    } catch (error) {
+      // Sin cursor se retoma desde el principio del segmento más viejo
+    }
+
+    // Los segmentos anteriores al del cursor ya se habían confirmado enteros
+    for (const numero of numeros) {
+      if (numero < cursor.segmento) borrarSegmento(numero);
+    }
+
+    abrirLectura([...segmentos.keys()][0] === cursor.segmento ? cursor.linea : 0);
+
+    // Contar las líneas del resto de los segmentos para saber cuánto hay pendiente
+    for (const [numero, segmento] of segmentos) {
+      if (segmento.lineas === null) segmento.lineas = leerSegmento(numero).length;
+    }
+
+    nuevoSegmento();
+    avanzarLectura();
+
+    return { pendientes: contarPendientes() };
+  }
+
+  /**
+   * Agrega un dato al final del buffer
+   * @param {Object} dato - Dato serializable a JSON (lectura, evento de alarma)
+   */
+  function agregar(dato) {
+    const t = Date.now();
+    const linea = `${JSON.stringify({ t, d: dato })}\n`;
+    const bytes = Buffer.byteLength(linea);
+
+    if (segmentos.get(escritura.numero).bytes >= SEGMENTO_MAX_BYTES) {
+      nuevoSegmento();
+    }
+
+    fs.appendFileSync(rutaSegmento(escritura.numero), linea);
+
+    const segmento = segmentos.get(escritura.numero);
+    segmento.lineas++;
+    segmento.bytes += bytes;
+
+    // El segmento en lectura es el de escritura: la entrada también va a memoria
+    if (lectura && lectura.numero === escritura.numero) {
+      lectura.entradas.push({ t, dato, bytes, segmento: escritura.numero, linea: lectura.entradas.length });
+    }
+  }
+
+  /**
+   * Devuelve (sin quitarlos) los próximos datos a enviar, en orden de llegada
+   * @param {number} maxDatos - Tope de datos
+   * @param {number} [maxBytesLote] - Tope de bytes (siempre al menos un dato)
+   * @returns {Array<{t: number, dato: Object, bytes: number, segmento: number, linea: number}>}
+   */
+  function tomar(maxDatos, maxBytesLote = Infinity) {
+    // El segmento en lectura pudo quedar agotado cuando la escritura pasó a uno nuevo
+    avanzarLectura();
+    if (!lectura) return [];
+
+    const lote = [];
+    let bytes = 0;
+
+    for (let i = lectura.siguiente; i < lectura.entradas.length && lote.length < maxDatos; i++) {
+      const entrada = lectura.entradas[i];
+      if (entrada === null) break;
+      if (lote.length > 0 && bytes + entrada.bytes > maxBytesLote) break;
+      lote.push(entrada);
+      bytes += entrada.bytes;
+    }
+
+    return lote;
+  }
+
+  /**
+   * Confirma un lote devuelto por tomar (ya enviado o descartado) y guarda la posición
+   * Se confirma por posición (segmento y línea de su última entrada), no por cantidad: si mientras
+   * tanto purgar descartó parte del lote o más, no se saltea nada que siga pendiente
+   *
+   * @param {Array<Object>} lote - Entradas devueltas por tomar
+   */
+  function confirmar(lote) {
+    const ultima = lote[lote.length - 1];
+    if (!lectura || !ultima || ultima.segmento !== lectura.numero) return;
+
+    lectura.siguiente = Math.max(lectura.siguiente, Math.min(ultima.linea + 1, lectura.entradas.length));
+    avanzarLectura();
+    guardarCursor();
+  }
+
+  /**
+   * Aplica los límites de tamaño y antigüedad descartando lo más viejo
+   * @returns {number} Datos descartados
+   */
+  function purgar() {
+    let descartados = 0;
+
+    // Tamaño: se tiran segmentos enteros desde el más viejo (nunca el de escritura)
+    while (bytesTotales() > maxBytes && lectura && lectura.numero !== escritura.numero) {
+      descartados += lectura.entradas.length - lectura.siguiente;
+      lectura.siguiente = lectura.entradas.length;
+      avanzarLectura();
+    }
+
+    // Antigüedad: se saltean los datos más viejos que el límite
+    if (maxEdadMs !== null) {
+      const limite = Date.now() - maxEdadMs;
+      while (lectura && lectura.siguiente < lectura.entradas.length && lectura.entradas[lectura.siguiente].t < limite) {
+        lectura.siguiente++;
+        descartados++;
+        avanzarLectura();
+      }
+    }
+
+    if (descartados > 0) guardarCursor();
+    return descartados;
+  }
+
+  /**
+   * Estado del buffer
+   * @returns {{pendientes: number, bytes: number, bytesEnDisco: number, masViejoEn: number|null}}
+   *   bytes: lo que ocupan los datos pendientes; masViejoEn: cuándo se encoló el pendiente más viejo
+   */
+  function estado() {
+    const pendientes = contarPendientes();
+    const primera = lectura && pendientes > 0 ? lectura.entradas[lectura.siguiente] : null;
+    const bytesEnDisco = bytesTotales();
+
+    // Lo ya confirmado del segmento en lectura sigue en disco hasta que se borra el segmento
+    let confirmados = 0;
+    if (lectura) {
+      for (let i = 0; i < lectura.siguiente; i++) {
+        if (lectura.entradas[i]) confirmados += lectura.entradas[i].bytes;
+      }
+    }
+
+    return {
+      pendientes,
+      bytes: Math.max(bytesEnDisco - confirmados, 0),
+      bytesEnDisco,
+      masViejoEn: primera ? primera.t : null,
+    };
+  }
+
+  return {
+    abrir,
+    agregar,
+    tomar,
+    confirmar,
+    purgar,
+    estado,
+  };
+}
+
+module.exports = {
+  crearBuffer,
+};
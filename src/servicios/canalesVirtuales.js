@@ -0,0 +1,219 @@
+// src/servicios/canalesVirtuales.js
+// Canales virtuales: valores calculados en el agente con una expresión sobre campos decodificados
+// de uno o más registradores (ej. potencia P = V * I * pf) y subidos como una lectura más
+//
+// Un canal se evalúa una vez por ciclo de lectura: cuando todos los registradores que usa se
+// leyeron bien desde la evaluación anterior. Si alguno falla, el canal espera (no calcula con
+// valores viejos). Su lectura lleva como registradorId el id propio del canal y virtual: true
+
+const { valorDeCampo } = require('../modbus/decodificador');
+const { compilarExpresion, evaluarExpresion, esNombreReservado } = require('./expresiones');
+
+// Canales cargados: Array de { id, nombre, unidad, expresion, variables, arbol, registradores, evaluadoHasta, fallando }
+let canales = [];
+
+// Última lectura exitosa de cada registrador usado por algún canal: Map de id -> { lectura, secuencia }
+// La secuencia crece con cada lectura guardada y marca hasta dónde evaluó cada canal
+const ultimasLecturas = new Map();
+let secuencia = 0;
+
+// Callback para avisos (canal que empieza a fallar o se recupera)
+let onAviso = null;
+
+/**
+ * Avisa un cambio en la evaluación de un canal
+ */
+function avisar(mensaje, tipo) {
+  if (onAviso) onAviso(mensaje, tipo);
+}
+
+/**
+ * Normaliza y compila un canal virtual
+ * Formato del backend: { id, nombre, unidad, expresion, variables: { V: { registradorId, campo }, ... } }
+ * Las variables pueden venir como JSON serializado
+ *
+ * @param {Object} canal - Definición del canal
+ * @param {Map<string, Object>} registradores - Registradores transformados por id
+ * @returns {Object} Canal listo para evaluar
+ * @throws {Error} Si la definición es inválida
+ */
+function compilarCanal(canal, registradores) {
+  if (!canal || !canal.id) throw new Error('Canal sin id');
+
+  let variables = canal.variables;
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      throw new Error('Variables con JSON inválido');
+    }
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    throw new Error('Sin variables');
+  }
+
+  const lista = Object.entries(variables).map(([nombre, origen]) => {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(nombre) || esNombreReservado(nombre)) {
+      throw new Error(`Nombre de variable inválido "${nombre}"`);
+    }
+
+    const registrador = origen && registradores.get(origen.registradorId);
+    if (!registrador) throw new Error(`La variable ${nombre} usa un registrador inexistente`);
+
+    // Con mapa se referencia un campo por nombre; sin mapa, la posición de una palabra
+    const campo = origen.campo;
+    const existe = registrador.mapa_registros
+      ? registrador.mapa_registros.some(c => c.nombre === campo)
+      : Number.isInteger(Number(campo)) && Number(campo) >= 0 && Number(campo) < registrador.cantidad_registros;
+    if (!existe) throw new Error(`La variable ${nombre} usa el campo "${campo}", que ${registrador.nombre} no tiene`);
+
+    return { nombre, registradorId: registrador.id, campo };
+  });
+
+  return {
+    id: canal.id,
+    nombre: canal.nombre || canal.id,
+    unidad: canal.unidad || null,
+    expresion: canal.expresion,
+    variables: lista,
+    arbol: compilarExpresion(canal.expresion, lista.map(v => v.nombre)),
+    registradores: [...new Set(lista.map(v => v.registradorId))],
+    // Recién cargado espera un ciclo completo: no calcula con lecturas anteriores a la carga
+    evaluadoHasta: secuencia,
+    fallando: false,
+  };
+}
+
+/**
+ * Carga (o recarga) los canales virtuales
+ * Los canales inválidos se descartan con su motivo; los de registradores inactivos se cargan
+ * igual pero no se evalúan hasta que esos registradores vuelvan a leerse
+ *
+ * @param {Array<Object>} definiciones - Canales del backend
+ * @param {Array<Object>} registradores - Registradores transformados
+ * @returns {{cantidad: number, descartados: Array<{id: string, error: string}>}}
+ */
+function cargarCanales(definiciones, registradores) {
+  const porId = new Map(registradores.map(r => [r.id, r]));
+  const descartados = [];
+
+  canales = [];
+  for (const definicion of definiciones || []) {
+    try {
+      canales.push(compilarCanal(definicion, porId));
+    } catch (error) {
+      descartados.push({ id: (definicion && (definicion.nombre || definicion.id)) || '?', error: error.message });
+    }
+  }
+
+  // Solo se guardan lecturas de registradores que algún canal usa
+  const usados = new Set(canales.flatMap(c => c.registradores));
+  for (const id of ultimasLecturas.keys()) {
+    if (!usados.has(id)) ultimasLecturas.delete(id);
+  }
+
+  return { cantidad: canales.length, descartados };
+}
+
+/**
+ * Evalúa un canal con las últimas lecturas de sus registradores
+ * @returns {Object} Lectura del canal en el formato de /agente/lecturas
+ */
+function evaluarCanal(canal, ahora) {
+  const valores = {};
+  let error = null;
+
+  for (const variable of canal.variables) {
+    const valor = valorDeCampo(ultimasLecturas.get(variable.registradorId).lectura, variable.campo);
+    if (typeof valor !== 'number') {
+      error = `La variable ${variable.nombre} no tiene valor`;
+      break;
+    }
+    valores[variable.nombre] = valor;
+  }
+
+  let resultado = null;
+  if (!error) {
+    resultado = evaluarExpresion(canal.arbol, valores);
+    if (!Number.isFinite(resultado)) {
+      error = 'Resultado no numérico (¿división por cero?)';
+      resultado = null;
+    }
+  }
+
+  if (error && !canal.fallando) avisar(`Canal ${canal.nombre}: ${error}`, 'advertencia');
+  if (!error && canal.fallando) avisar(`Canal ${canal.nombre}: se recuperó`, 'exito');
+  canal.fallando = Boolean(error);
+
+  const lectura = {
+    registradorId: canal.id,
+    virtual: true,
+    valores: [],
+    campos: [{
+      nombre: canal.nombre,
+      // Recortar el ruido de coma flotante igual que los campos decodificados
+      valor: resultado === null || Number.isInteger(resultado) ? resultado : Number(resultado.toPrecision(12)),
+      unidad: canal.unidad,
+    }],
+    exito: !error,
+    estadoDispositivo: error ? 'error' : 'ok',
+    timestamp: new Date(ahora).toISOString(),
+  };
+  if (error) lectura.error = error;
+
+  return lectura;
+}
+
+/**
+ * Registra la lectura de un registrador y evalúa los canales que quedaron con un ciclo completo
+ * Las lecturas fallidas no se guardan: el canal sigue esperando una exitosa
+ *
+ * @param {Object} registrador - Registrador transformado
+ * @param {Object} lectura - Lectura en el formato de /agente/lecturas
+ * @returns {Array<Object>} Lecturas de los canales evaluados
+ */
+function registrarLectura(registrador, lectura) {
+  if (!lectura.exito || !canales.some(c => c.registradores.includes(registrador.id))) return [];
+
+  const ahora = Date.now();
+  ultimasLecturas.set(registrador.id, { lectura, secuencia: ++secuencia });
+
+  const lecturas = [];
+  for (const canal of canales) {
+    if (!canal.registradores.includes(registrador.id)) continue;
+
+    const completo = canal.registradores.every((id) => {
+      const ultima = ultimasLecturas.get(id);
+      return ultima && ultima.secuencia > canal.evaluadoHasta;
+    });
+    if (!completo) continue;
+
+    canal.evaluadoHasta = secuencia;
+    lecturas.push(evaluarCanal(canal, ahora));
+  }
+
+  return lecturas;
+}
+
+/**
+ * Olvida la última lectura de un registrador (al dejar de leerlo): sus canales esperan una nueva
+ * @param {string} registradorId - ID del registrador
+ */
+function olvidarLecturas(registradorId) {
+  ultimasLecturas.delete(registradorId);
+}
+
+/**
+ * Registra un callback para los avisos de los canales
+ * @param {Function} callback - (mensaje, tipo) => void
+ */
+function alAvisar(callback) {
+  onAviso = callback;
+}
+
+module.exports = {
+  cargarCanales,
+  registrarLectura,
+  olvidarLecturas,
+  alAvisar,
+};
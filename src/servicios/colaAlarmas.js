@@ -0,0 +1,174 @@
+// src/servicios/colaAlarmas.js
+// Cola de salida de eventos de alarma hacia /agente/alarmas
+// Los eventos son pocos y urgentes: se envían apenas ocurren, en orden, y mientras el backend no
+// responde quedan en un buffer en disco (el mismo diario que usan las lecturas) que sobrevive a
+// reinicios del agente
+
+const { enviarEventosAlarma } = require('./restService');
+const { crearBuffer } = require('./bufferEnDisco');
+
+// Directorio del buffer y tope (con el backend caído mucho tiempo se descartan los más viejos)
+const BUFFER_DIRECTORIO = process.env.ALARMAS_BUFFER_DIR || 'buffer-alarmas';
+const BUFFER_MAX_BYTES = (Number(process.env.ALARMAS_BUFFER_MAX_MB) || 10) * 1024 * 1024;
+
+// Eventos por envío
+const LOTE_MAX_EVENTOS = 100;
+
+// Espera tras un envío fallido (ms), se duplica en cada falla seguida
+const REINTENTO_MIN_MS = 2000;
+const REINTENTO_MAX_MS = 60000;
+
+// Los eventos de alarma no vencen: solo se descartan por tamaño
+const buffer = crearBuffer({ maxBytes: BUFFER_MAX_BYTES });
+
+// Envío en curso y timer del reintento
+let envioEnCurso = null;
+let reintentoTimer = null;
+let fallosSeguidos = 0;
+let errorDeDisco = false;
+
+// Callback para avisos
+let onAviso = null;
+
+/**
+ * Avisa un evento de la cola (envío fallido, eventos descartados)
+ */
+function avisar(mensaje, tipo) {
+  if (onAviso) onAviso(mensaje, tipo);
+}
+
+/**
+ * Aplica el tope del buffer y avisa lo descartado
+ * Solo se llama sin envío en curso: nada de lo que se descarta puede estar en un lote sin confirmar
+ */
+function descartarExcedentes() {
+  const descartados = buffer.purgar();
+  if (descartados > 0) {
+    avisar(`Buffer de eventos de alarma lleno: se descartaron los ${descartados} más viejos`, 'advertencia');
+  }
+}
+
+/**
+ * Envía al backend los próximos eventos pendientes, en el orden en que ocurrieron
+ * Si el envío falla quedan pendientes y se reintenta con espera creciente
+ */
+async function enviarPendientes() {
+  if (envioEnCurso) return;
+
+  clearTimeout(reintentoTimer);
+  reintentoTimer = null;
+
+  descartarExcedentes();
+
+  const lote = buffer.tomar(LOTE_MAX_EVENTOS);
+  if (lote.length === 0) return;
+
+  envioEnCurso = enviarEventosAlarma(lote.map(p => p.dato))
+    .then(() => {
+      // Los eventos que se encolaron mientras tanto quedan detrás del lote
+      buffer.confirmar(lote);
+      fallosSeguidos = 0;
+    })
+    .catch((error) => {
+      fallosSeguidos++;
+      if (fallosSeguidos === 1) {
+        avisar(`Error enviando ${lote.length} evento(s) de alarma: ${error.message}. Quedan guardados en disco (${buffer.estado().pendientes} pendientes)`, 'error');
+      }
+    })
+    .finally(() => {
+      envioEnCurso = null;
+      programarEnvio();
+    });
+
+  return envioEnCurso;
+}
+
+/**
+ * Programa el próximo envío: ya si no hubo fallas, si no tras la espera de reintento
+ */
+function programarEnvio() {
+  if (envioEnCurso || reintentoTimer || buffer.estado().pendientes === 0) return;
+
+  const esperaMs = fallosSeguidos > 0
+    ? Math.min(REINTENTO_MIN_MS * Math.pow(2, fallosSeguidos - 1), REINTENTO_MAX_MS)
+    : 0;
+
+  reintentoTimer = setTimeout(() => {
+    reintentoTimer = null;
+    enviarPendientes();
+  }, esperaMs);
+}
+
+/**
+ * Abre el buffer en disco y retoma el envío de los eventos que quedaron de una ejecución anterior
+ * @returns {number} Eventos pendientes heredados
+ * @throws {Error} Si no se puede abrir el directorio del buffer
+ */
+function iniciarColaAlarmas() {
+  const { pendientes } = buffer.abrir(BUFFER_DIRECTORIO);
+  programarEnvio();
+  return pendientes;
+}
+
+/**
+ * Encola un evento de alarma y lo envía en cuanto se pueda
+ * @param {Object} evento - Evento en el formato de /agente/alarmas
+ */
+function encolarEvento(evento) {
+  try {
+    buffer.agregar(evento);
+    errorDeDisco = false;
+  } catch (error) {
+    // Disco lleno o sin permisos: el evento se pierde, se avisa una vez por racha
+    if (!errorDeDisco) {
+      avisar(`No se pudo guardar el evento de alarma en el buffer en disco: ${error.message}`, 'error');
+      errorDeDisco = true;
+    }
+    return;
+  }
+
+  programarEnvio();
+}
+
+/**
+ * Retoma el envío sin esperar el reintento pendiente (al reconectar con el backend)
+ */
+function reanudarEnvioAlarmas() {
+  fallosSeguidos = 0;
+  clearTimeout(reintentoTimer);
+  reintentoTimer = null;
+  programarEnvio();
+}
+
+/**
+ * Envía ya todo lo pendiente (al cerrar el agente); lo que no salga queda guardado
+ * @returns {Promise<void>}
+ */
+async function vaciarColaAlarmas() {
+  clearTimeout(reintentoTimer);
+  reintentoTimer = null;
+  fallosSeguidos = 0;
+
+  while (buffer.estado().pendientes > 0 || envioEnCurso) {
+    await (envioEnCurso || enviarPendientes());
+    clearTimeout(reintentoTimer);
+    reintentoTimer = null;
+    if (fallosSeguidos > 0) break;
+  }
+}
+
+/**
+ * Registra un callback para los avisos de la cola
+ * @param {Function} callback - (mensaje, tipo) => void
+ */
+function alAvisar(callback) {
+  onAviso = callback;
+}
+
+module.exports = {
+  iniciarColaAlarmas,
+  encolarEvento,
+  reanudarEnvioAlarmas,
+  vaciarColaAlarmas,
+  alAvisar,
+};
@@ -0,0 +1,271 @@
+// src/servicios/colaLecturas.js
+// Cola de salida de lecturas: las lecturas se guardan en el buffer en disco y un enviador las sube
+// por lotes a /agente/lecturas, así un backend lento o caído no frena ni pierde lecturas
+
+const { enviarLecturas } = require('./restService');
+const { crearBuffer } = require('./bufferEnDisco');
+
+// Directorio del buffer y límites (lo que los supere se descarta empezando por lo más viejo)
+const BUFFER_DIRECTORIO = process.env.LECTURAS_BUFFER_DIR || 'buffer-lecturas';
+const BUFFER_MAX_BYTES = (Number(process.env.LECTURAS_BUFFER_MAX_MB) || 100) * 1024 * 1024;
+const BUFFER_MAX_EDAD_MS = (Number(process.env.LECTURAS_BUFFER_MAX_HORAS) || 72) * 60 * 60 * 1000;
+
+// Disparadores de envío: cantidad de lecturas, tamaño del lote y antigüedad de la más vieja
+const LOTE_MAX_LECTURAS = Number(process.env.LECTURAS_LOTE_MAX) || 50;
+const LOTE_MAX_BYTES = Number(process.env.LECTURAS_LOTE_MAX_BYTES) || 256 * 1024;
+const LOTE_ESPERA_MS = Number(process.env.LECTURAS_LOTE_ESPERA_MS) || 1000;
+
+// Espera tras un envío fallido (ms), se duplica en cada falla seguida
+const REINTENTO_MIN_MS = 2000;
+const REINTENTO_MAX_MS = 60000;
+
+const buffer = crearBuffer({ maxBytes: BUFFER_MAX_BYTES, maxEdadMs: BUFFER_MAX_EDAD_MS });
+
+// Envío en curso y timer del próximo envío
+let envioEnCurso = null;
+let envioTimer = null;
+let fallosSeguidos = 0;
+let reintentarEn = 0;
+let errorDeDisco = false;
+
+// Métricas para la UI
+const metricas = {
+  enviadas: 0,
+  rechazadas: 0,
+  descartadas: 0,
+  lotes: 0,
+  lotesFallidos: 0,
+  ultimoEnvioEn: null,
+  ultimaLatenciaMs: null,
+  ultimoError: null,
+};
+
+// Callbacks para cambios de estado y para avisos
+let onCambioEstado = null;
+let onAviso = null;
+
+/**
+ * Notifica el estado de la cola (profundidad, latencia) a quien lo haya pedido
+ */
+function notificarCambio() {
+  if (onCambioEstado) onCambioEstado(obtenerEstadoCola());
+}
+
+/**
+ * Avisa un evento de la cola (lote rechazado, envío fallido, lecturas descartadas)
+ */
+function avisar(mensaje, tipo) {
+  if (onAviso) onAviso(mensaje, tipo);
+}
+
+/**
+ * Programa el próximo envío según los disparadores: ya si el lote está lleno,
+ * si no cuando la lectura más vieja cumpla LOTE_ESPERA_MS (o al terminar la espera de reintento)
+ */
+function programarEnvio() {
+  clearTimeout(envioTimer);
+  envioTimer = null;
+
+  const { pendientes, bytes, masViejoEn } = buffer.estado();
+  if (envioEnCurso || pendientes === 0) return;
+
+  const ahora = Date.now();
+  const loteLleno = pendientes >= LOTE_MAX_LECTURAS || bytes >= LOTE_MAX_BYTES;
+  const porAntiguedad = masViejoEn + LOTE_ESPERA_MS;
+  const cuando = Math.max(loteLleno ? ahora : porAntiguedad, reintentarEn);
+
+  envioTimer = setTimeout(() => {
+    envioTimer = null;
+    enviarLote();
+  }, Math.max(cuando - ahora, 0));
+}
+
+/**
+ * Envía al backend el próximo lote del buffer, ordenado por timestamp
+ * El orden vale dentro de cada lote: una lectura que termina tarde (equipo lento) y llega al buffer
+ * después de enviado el lote con sus contemporáneas sale en el siguiente, con timestamp anterior
+ * Si el backend informa cuántas aceptó (insertadas < enviadas) el resto lo rechazó explícitamente y
+ * no se reenvía: las lecturas aceptadas no se duplican y las inválidas volverían a fallar.
+ * Si el envío falla entero (sin conexión, error HTTP, ok: false sin insertadas) el lote queda en el
+ * buffer y se reintenta
+ */
+async function enviarLote() {
+  if (envioEnCurso) return;
+
+  descartarVencidas();
+
+  const lote = buffer.tomar(LOTE_MAX_LECTURAS, LOTE_MAX_BYTES);
+  if (lote.length === 0) return;
+
+  // Las lecturas concurrentes se encolan en el orden en que terminan: el lote sale ordenado por timestamp
+  // (solo entre las que viajan juntas, ver arriba)
+  const lecturas = lote.map(p => p.dato).sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  const inicio = Date.now();
+
+  envioEnCurso = enviarLecturas(lecturas)
+    .then((respuesta) => {
+      const conCuenta = Boolean(respuesta) && Number.isInteger(respuesta.insertadas);
+
+      // ok: false sin decir qué aceptó no rechaza ninguna lectura en particular: el lote no se
+      // confirma y se reintenta como cualquier envío fallido
+      if (respuesta && respuesta.ok === false && !conCuenta) {
+        throw new Error(respuesta.error || 'El backend no aceptó el lote');
+      }
+
+      const insertadas = conCuenta ? Math.min(Math.max(respuesta.insertadas, 0), lote.length) : lote.length;
+
+      buffer.confirmar(lote);
+
+      metricas.lotes++;
+      metricas.enviadas += insertadas;
+      metricas.ultimoEnvioEn = new Date().toISOString();
+      metricas.ultimaLatenciaMs = Date.now() - inicio;
+      metricas.ultimoError = null;
+      fallosSeguidos = 0;
+      reintentarEn = 0;
+
+      if (insertadas < lote.length) {
+        metricas.rechazadas += lote.length - insertadas;
+        avisar(`El backend aceptó ${insertadas} de ${lote.length} lecturas del lote`, 'advertencia');
+      }
+    })
+    .catch((error) => {
+      fallosSeguidos++;
+      const esperaMs = Math.min(REINTENTO_MIN_MS * Math.pow(2, fallosSeguidos - 1), REINTENTO_MAX_MS);
+      reintentarEn = Date.now() + esperaMs;
+
+      metricas.lotesFallidos++;
+      metricas.ultimaLatenciaMs = Date.now() - inicio;
+      metricas.ultimoError = error.message;
+
+      // Solo se avisa la primera falla de una racha: el resto repetiría lo mismo cada pocos segundos
+      if (fallosSeguidos === 1) {
+        avisar(`Error enviando ${lote.length} lectura(s): ${error.message}. Quedan guardadas en disco (${buffer.estado().pendientes} pendientes)`, 'error');
+      }
+    })
+    .finally(() => {
+      envioEnCurso = null;
+      notificarCambio();
+      programarEnvio();
+    });
+
+  notificarCambio();
+  return envioEnCurso;
+}
+
+/**
+ * Aplica los límites de tamaño y antigüedad del buffer y avisa lo descartado
+ */
+function descartarVencidas() {
+  const descartadas = buffer.purgar();
+  if (descartadas > 0) {
+    metricas.descartadas += descartadas;
+    avisar(`Buffer de lecturas al límite (tamaño o antigüedad): se descartaron las ${descartadas} más viejas`, 'advertencia');
+  }
+}
+
+/**
+ * Abre el buffer en disco y retoma el envío de lo que haya quedado pendiente
+ * @returns {number} Lecturas pendientes de una ejecución anterior
+ * @throws {Error} Si no se puede abrir el directorio del buffer
+ */
+function iniciarCola() {
+  const { pendientes } = buffer.abrir(BUFFER_DIRECTORIO);
+  descartarVencidas();
+  notificarCambio();
+  programarEnvio();
+  return pendientes;
+}
+
+/**
+ * Encola una lectura para enviarla al backend en el próximo lote
+ * @param {Object} lectura - Lectura en el formato de /agente/lecturas
+ */
+function encolarLectura(lectura) {
+  try {
+    buffer.agregar(lectura);
+    errorDeDisco = false;
+  } catch (error) {
+    // Disco lleno o sin permisos: la lectura se pierde, se avisa una vez por racha
+    metricas.descartadas++;
+    if (!errorDeDisco) {
+      avisar(`No se pudo guardar la lectura en el buffer en disco: ${error.message}`, 'error');
+      errorDeDisco = true;
+    }
+    return;
+  }
+
+  notificarCambio();
+  programarEnvio();
+}
+
+/**
+ * Retoma el envío sin esperar el reintento pendiente (al reconectar con el backend)
+ */
+function reanudarEnvio() {
+  fallosSeguidos = 0;
+  reintentarEn = 0;
+  programarEnvio();
+}
+
+/**
+ * Envía ya todo lo pendiente, sin esperar los disparadores (al cerrar el agente)
+ * @returns {Promise<void>}
+ */
+async function vaciarCola() {
+  clearTimeout(envioTimer);
+  envioTimer = null;
+  reintentarEn = 0;
+
+  while (buffer.estado().pendientes > 0 || envioEnCurso) {
+    if (envioEnCurso) {
+      await envioEnCurso;
+    } else {
+      await enviarLote();
+    }
+    // El backend no responde: lo pendiente ya está en disco y sale en la próxima ejecución
+    if (fallosSeguidos > 0) break;
+  }
+}
+
+/**
+ * Devuelve el estado de la cola (para la UI)
+ * @returns {{pendientes: number, bytes: number, enviando: boolean, antiguedadMs: number|null, enviadas: number, rechazadas: number, descartadas: number, lotes: number, lotesFallidos: number, ultimoEnvioEn: string|null, ultimaLatenciaMs: number|null, ultimoError: string|null}}
+ *   antiguedadMs: edad de la lectura pendiente más vieja
+ */
+function obtenerEstadoCola() {
+  const { pendientes, bytes, masViejoEn } = buffer.estado();
+  return {
+    pendientes,
+    bytes,
+    enviando: Boolean(envioEnCurso),
+    antiguedadMs: masViejoEn !== null ? Date.now() - masViejoEn : null,
+    ...metricas,
+  };
+}
+
+/**
+ * Registra un callback para cambios de estado de la cola
+ * @param {Function} callback - (estadoCola) => void
+ */
+function alCambiarEstado(callback) {
+  onCambioEstado = callback;
+}
+
+/**
+ * Registra un callback para los avisos de la cola
+ * @param {Function} callback - (mensaje, tipo) => void
+ */
+function alAvisar(callback) {
+  onAviso = callback;
+}
+
+module.exports = {
+  iniciarCola,
+  encolarLectura,
+  reanudarEnvio,
+  vaciarCola,
+  obtenerEstadoCola,
+  alCambiarEstado,
+  alAvisar,
+};
@@ -0,0 +1,235 @@
+// src/servicios/expresiones.js
+// Expresiones aritméticas seguras para los canales virtuales (ej. "V * I * pf")
+// Se analizan con un parser propio a un árbol y se evalúan recorriéndolo: nunca pasan por eval
+// ni por Function, y solo pueden usar números, las variables declaradas y las funciones de abajo
+
+// Largo máximo de una expresión (evita configuraciones absurdas)
+const LARGO_MAXIMO = 500;
+
+// Funciones permitidas -> { aridad, calcular } (aridad null = uno o más argumentos)
+const FUNCIONES = {
+  abs: { aridad: 1, calcular: Math.abs },
+  sqrt: { aridad: 1, calcular: Math.sqrt },
+  exp: { aridad: 1, calcular: Math.exp },
+  log: { aridad: 1, calcular: Math.log },
+  log10: { aridad: 1, calcular: Math.log10 },
+  sin: { aridad: 1, calcular: Math.sin },
+  cos: { aridad: 1, calcular: Math.cos },
+  tan: { aridad: 1, calcular: Math.tan },
+  asin: { aridad: 1, calcular: Math.asin },
+  acos: { aridad: 1, calcular: Math.acos },
+  atan: { aridad: 1, calcular: Math.atan },
+  atan2: { aridad: 2, calcular: Math.atan2 },
+  round: { aridad: 1, calcular: Math.round },
+  floor: { aridad: 1, calcular: Math.floor },
+  ceil: { aridad: 1, calcular: Math.ceil },
+  pow: { aridad: 2, calcular: Math.pow },
+  min: { aridad: null, calcular: Math.min },
+  max: { aridad: null, calcular: Math.max },
+};
+
+// Constantes con nombre
+const CONSTANTES = {
+  pi: Math.PI,
+};
+
+/**
+ * Propiedad propia de un objeto (así "constructor" o "__proto__" no pasan por funciones o constantes)
+ */
+function propia(objeto, nombre) {
+  return Object.prototype.hasOwnProperty.call(objeto, nombre) ? objeto[nombre] : undefined;
+}
+
+/**
+ * Divide la expresión en tokens: números, identificadores, operadores y paréntesis
+ * @throws {Error} Si hay un carácter no permitido
+ */
+function tokenizar(texto) {
+  const tokens = [];
+  const patron = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/%^(),]))/y;
+  let posicion = 0;
+
+  while (posicion < texto.length) {
+    if (/^\s*$/.test(texto.slice(posicion))) break;
+
+    patron.lastIndex = posicion;
+    const coincidencia = patron.exec(texto);
+    if (!coincidencia) {
+      const caracter = texto.slice(posicion).trim()[0];
+      throw new Error(`Carácter no permitido "${caracter}"`);
+    }
+
+    const [, numero, identificador, simbolo] = coincidencia;
+    if (numero !== undefined) tokens.push({ tipo: 'numero', valor: Number(numero) });
+    else if (identificador !== undefined) tokens.push({ tipo: 'identificador', valor: identificador });
+    // ** es la potencia de JavaScript: se acepta igual que ^
+    else tokens.push({ tipo: 'simbolo', valor: simbolo === '**' ? '^' : simbolo });
+
+    posicion = patron.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * Analiza una expresión y devuelve su árbol
+ * Precedencia: ^ (asociativa a derecha) > signo > * / % > + -
+ *
+ * @param {string} texto - Expresión
+ * @param {Array<string>} variables - Nombres de variables permitidos
+ * @returns {Object} Árbol de la expresión
+ * @throws {Error} Si la expresión es inválida (sintaxis, variable o función desconocida)
+ */
+function compilarExpresion(texto, variables = []) {
+  if (typeof texto !== 'string' || texto.trim() === '') throw new Error('Expresión vacía');
+  if (texto.length > LARGO_MAXIMO) throw new Error(`Expresión demasiado larga (máximo ${LARGO_MAXIMO} caracteres)`);
+
+  const tokens = tokenizar(texto);
+  const permitidas = new Set(variables);
+  let i = 0;
+
+  const actual = () => tokens[i];
+  const esSimbolo = valor => actual() && actual().tipo === 'simbolo' && actual().valor === valor;
+  const esperar = (valor) => {
+    if (!esSimbolo(valor)) throw new Error(`Se esperaba "${valor}"${actual() ? ` y se encontró "${actual().valor}"` : ' al final'}`);
+    i++;
+  };
+
+  function suma() {
+    let nodo = producto();
+    while (esSimbolo('+') || esSimbolo('-')) {
+      const op = tokens[i++].valor;
+      nodo = { tipo: 'binario', op, izq: nodo, der: producto() };
+    }
+    return nodo;
+  }
+
+  function producto() {
+    let nodo = signo();
+    while (esSimbolo('*') || esSimbolo('/') || esSimbolo('%')) {
+      const op = tokens[i++].valor;
+      nodo = { tipo: 'binario', op, izq: nodo, der: signo() };
+    }
+    return nodo;
+  }
+
+  function signo() {
+    if (esSimbolo('-') || esSimbolo('+')) {
+      const op = tokens[i++].valor;
+      return { tipo: 'unario', op, arg: signo() };
+    }
+    return potencia();
+  }
+
+  function potencia() {
+    const base = primario();
+    if (esSimbolo('^')) {
+      i++;
+      // -2^2 = -4, pero 2^-1 = 0.5: el exponente admite signo
+      return { tipo: 'binario', op: '^', izq: base, der: signo() };
+    }
+    return base;
+  }
+
+  function primario() {
+    const token = actual();
+    if (!token) throw new Error('Expresión incompleta');
+
+    if (token.tipo === 'numero') {
+      i++;
+      return { tipo: 'numero', valor: token.valor };
+    }
+
+    if (token.tipo === 'identificador') {
+      i++;
+      const nombre = token.valor;
+
+      if (esSimbolo('(')) {
+        const funcion = propia(FUNCIONES, nombre);
+        if (!funcion) throw new Error(`Función desconocida "${nombre}"`);
+
+        i++;
+        const args = [];
+        if (!esSimbolo(')')) {
+          args.push(suma());
+          while (esSimbolo(',')) {
+            i++;
+            args.push(suma());
+          }
+        }
+        esperar(')');
+
+        if (funcion.aridad !== null ? args.length !== funcion.aridad : args.length === 0) {
+          throw new Error(`${nombre}() espera ${funcion.aridad !== null ? funcion.aridad : 'al menos 1'} argumento(s)`);
+        }
+        return { tipo: 'funcion', nombre, args };
+      }
+
+      if (permitidas.has(nombre)) return { tipo: 'variable', nombre };
+      if (propia(CONSTANTES, nombre) !== undefined) return { tipo: 'numero', valor: CONSTANTES[nombre] };
+      throw new Error(`Variable desconocida "${nombre}"`);
+    }
+
+    if (esSimbolo('(')) {
+      i++;
+      const nodo = suma();
+      esperar(')');
+      return nodo;
+    }
+
+    throw new Error(`Símbolo inesperado "${token.valor}"`);
+  }
+
+  const arbol = suma();
+  if (i < tokens.length) throw new Error(`Símbolo inesperado "${actual().valor}"`);
+  return arbol;
+}
+
+/**
+ * Evalúa un árbol compilado
+ * @param {Object} arbol - Árbol de compilarExpresion
+ * @param {Object} valores - Valor de cada variable por nombre
+ * @returns {number} Resultado (puede ser NaN o Infinity, ej. división por cero)
+ */
+function evaluarExpresion(arbol, valores) {
+  switch (arbol.tipo) {
+    case 'numero':
+      return arbol.valor;
+    case 'variable':
+      return valores[arbol.nombre];
+    case 'unario': {
+      const arg = evaluarExpresion(arbol.arg, valores);
+      return arbol.op === '-' ? -arg : arg;
+    }
+    case 'funcion':
+      return FUNCIONES[arbol.nombre].calcular(...arbol.args.map(a => evaluarExpresion(a, valores)));
+    case 'binario': {
+      const izq = evaluarExpresion(arbol.izq, valores);
+      const der = evaluarExpresion(arbol.der, valores);
+      switch (arbol.op) {
+        case '+': return izq + der;
+        case '-': return izq - der;
+        case '*': return izq * der;
+        case '/': return izq / der;
+        case '%': return izq % der;
+        case '^': return Math.pow(izq, der);
+        default: return NaN;
+      }
+    }
+    default:
+      return NaN;
+  }
+}
+
+/**
+ * Indica si un nombre está reservado (función o constante) y no puede usarse como variable
+ */
+function esNombreReservado(nombre) {
+  return propia(FUNCIONES, nombre) !== undefined || propia(CONSTANTES, nombre) !== undefined;
+}
+
+module.exports = {
+  compilarExpresion,
+  evaluarExpresion,
+  esNombreReservado,
+};
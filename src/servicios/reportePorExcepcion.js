@@ -0,0 +1,121 @@
+// src/servicios/reportePorExcepcion.js
+// Reporte por excepción (banda muerta): una lectura exitosa se envía solo si algún valor se movió
+// más que la banda muerta del registrador respecto de lo último enviado, o si pasó el keep-alive
+// El polling no cambia: se sigue leyendo al ritmo de siempre, solo baja lo que se sube al backend
+
+// Tiempo máximo sin enviar una lectura de un registrador en modo por excepción (minutos)
+const KEEPALIVE_MINUTOS = Number(process.env.REPORTE_KEEPALIVE_MINUTOS) || 15;
+
+// Último reporte de cada registrador: Map de id -> { valores, enviadoEn }
+const ultimosReportes = new Map();
+
+/**
+ * Número de la configuración, o null si no está o no es válido (< 0)
+ */
+function numeroOpcional(valor) {
+  if (valor === undefined || valor === null || valor === '') return null;
+  const numero = Number(valor);
+  return Number.isFinite(numero) && numero >= 0 ? numero : null;
+}
+
+/**
+ * Política de reporte de un registrador
+ * Sin banda muerta absoluta ni porcentual se envía cada lectura (comportamiento normal)
+ *
+ * @param {Object} registrador - Registrador transformado
+ * @returns {{absoluta: number|null, porcentaje: number|null, keepaliveMs: number}|null} null si se envía todo
+ */
+function politicaReporte(registrador) {
+  const absoluta = numeroOpcional(registrador.banda_muerta);
+  const porcentaje = numeroOpcional(registrador.banda_muerta_porcentaje);
+
+  if (absoluta === null && porcentaje === null) return null;
+
+  const minutos = numeroOpcional(registrador.reporte_maximo_minutos) || KEEPALIVE_MINUTOS;
+  return { absoluta, porcentaje, keepaliveMs: minutos * 60 * 1000 };
+}
+
+/**
+ * Valores que se comparan: los campos decodificados si hay mapa (un float ocupa dos palabras
+ * y la banda muerta tiene sentido sobre el valor de ingeniería), si no las palabras crudas
+ */
+function valoresComparables(lectura) {
+  return lectura.campos ? lectura.campos.map(c => c.valor) : lectura.valores;
+}
+
+/**
+ * Indica si un valor se movió fuera de la banda muerta (alcanza con superar una de las dos)
+ */
+function fueraDeBanda(anterior, actual, { absoluta, porcentaje }) {
+  if (anterior === actual) return false;
+  if (typeof anterior !== 'number' || typeof actual !== 'number') return true;
+
+  const diferencia = Math.abs(actual - anterior);
+  if (absoluta !== null && diferencia > absoluta) return true;
+  if (porcentaje !== null && diferencia > Math.abs(anterior) * porcentaje / 100) return true;
+  return false;
+}
+
+/**
+ * Decide si una lectura se envía al backend y, si se envía, la toma como nueva referencia
+ * Las lecturas fallidas se envían siempre y hacen que la próxima exitosa también salga
+ *
+ * @param {Object} registrador - Registrador transformado
+ * @param {Object} lectura - Lectura en el formato de /agente/lecturas
+ * @returns {{reportar: boolean, motivo: string}} motivo: 'siempre', 'error', 'primera', 'cambio', 'keepalive' o 'sin-cambios'
+ */
+function evaluarReporte(registrador, lectura) {
+  const politica = politicaReporte(registrador);
+
+  if (!politica) {
+    ultimosReportes.delete(registrador.id);
+    return { reportar: true, motivo: 'siempre' };
+  }
+
+  if (!lectura.exito) {
+    ultimosReportes.delete(registrador.id);
+    return { reportar: true, motivo: 'error' };
+  }
+
+  const ahora = Date.now();
+  const valores = valoresComparables(lectura);
+  const ultimo = ultimosReportes.get(registrador.id);
+
+  let motivo = null;
+  if (!ultimo || ultimo.valores.length !== valores.length) {
+    motivo = 'primera';
+  } else if (valores.some((valor, i) => fueraDeBanda(ultimo.valores[i], valor, politica))) {
+    motivo = 'cambio';
+  } else if (ahora - ultimo.enviadoEn >= politica.keepaliveMs) {
+    motivo = 'keepalive';
+  }
+
+  if (!motivo) return { reportar: false, motivo: 'sin-cambios' };
+
+  ultimosReportes.set(registrador.id, { valores: Array.from(valores), enviadoEn: ahora });
+  return { reportar: true, motivo };
+}
+
+/**
+ * Olvida la referencia de un registrador: su próxima lectura se envía sí o sí
+ * (al cambiar su configuración o al dejar de leerlo)
+ * @param {string} registradorId - ID del registrador
+ */
+function olvidarReporte(registradorId) {
+  ultimosReportes.delete(registradorId);
+}
+
+/**
+ * Olvida las referencias de todos los registradores
+ */
+function olvidarReportes() {
+  ultimosReportes.clear();
+}
+
+module.exports = {
+  politicaReporte,
+  evaluarReporte,
+  olvidarReporte,
+  olvidarReportes,
+  KEEPALIVE_MINUTOS,
+};
@@ -13,6 +13,9 @@ const CONFIG_POLL_INTERVAL = parseInt(process.env.CONFIG_POLL_INTERVAL_MS) || 10
 // Intervalo de polling para tests pendientes (ms) - cada 5 segundos
 const TESTS_POLL_INTERVAL = parseInt(process.env.TESTS_POLL_INTERVAL_MS) || 5000;
 
+// Intervalo de polling para comandos de escritura pendientes (ms) - cada 5 segundos
+const COMANDOS_POLL_INTERVAL = parseInt(process.env.COMANDOS_POLL_INTERVAL_MS) || 5000;
+
 // Intervalo de heartbeat (ms)
 const HEARTBEAT_INTERVAL = 30000;
 
@@ -24,6 +27,7 @@ let conectado = false;
 let heartbeatIntervalId = null;
 let configPollIntervalId = null;
 let testsPollIntervalId = null;
+let comandosPollIntervalId = null;
 
 // Callbacks para eventos
 let callbacks = {
@@ -35,6 +39,7 @@ let callbacks = {
   onVinculado: null,
   onConfiguracionCambiada: null,
   onTestPendiente: null,
+  onComandoPendiente: null,
 };
 
 // Última configuración conocida (para detectar cambios)
@@ -175,7 +180,7 @@ async function obtenerConfiguracion(esInicial = false) {
 
   // Si es la carga inicial, establecer el hash base para evitar falsos positivos
   if (esInicial && data.registradores) {
-    ultimaConfigHash = hashConfiguracion(data.registradores);
+    ultimaConfigHash = hashConfiguracion(data.registradores, data.canalesVirtuales);
     log('Hash de configuración inicial establecido', 'info');
   }
 
@@ -202,6 +207,26 @@ async function enviarLecturas(lecturas) {
   return data;
 }
 
+/**
+ * Envía eventos de alarma (activada, normalizada, reconocida) al backend
+ */
+async function enviarEventosAlarma(eventos) {
+  if (!token) {
+    throw new Error('No autenticado');
+  }
+
+  if (!eventos || eventos.length === 0) {
+    return { ok: true };
+  }
+
+  const data = await fetchBackend('/agente/alarmas', {
+    method: 'POST',
+    body: JSON.stringify({ eventos }),
+  });
+
+  return data;
+}
+
 /**
  * Envía un log al backend
  */
@@ -250,6 +275,37 @@ async function reportarResultadoTest(testId, resultado) {
   return data;
 }
 
+/**
+ * Obtiene comandos de escritura pendientes para este agente
+ */
+async function obtenerComandosPendientes() {
+  if (!token) {
+    throw new Error('No autenticado');
+  }
+
+  const data = await fetchBackend('/agente/comandos-pendientes', {
+    method: 'GET',
+  });
+
+  return data || [];
+}
+
+/**
+ * Reporta el resultado de un comando de escritura
+ */
+async function reportarResultadoComando(comandoId, resultado) {
+  if (!token) {
+    throw new Error('No autenticado');
+  }
+
+  const data = await fetchBackend(`/agente/comandos/${comandoId}/resultado`, {
+    method: 'POST',
+    body: JSON.stringify(resultado),
+  });
+
+  return data;
+}
+
 /**
  * Vincula el agente a un workspace usando código
  */
@@ -273,10 +329,27 @@ async function vincularWorkspace(codigo) {
   return data;
 }
 
+/**
+ * Serializa un valor con las claves de los objetos ordenadas (el orden en que el backend
+ * arma el JSON no debe contar como cambio)
+ */
+function serializarOrdenado(valor) {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(serializarOrdenado).join(',')}]`;
+  }
+  if (valor && typeof valor === 'object') {
+    const claves = Object.keys(valor).filter(c => valor[c] !== undefined).sort();
+    return `{${claves.map(c => `${JSON.stringify(c)}:${serializarOrdenado(valor[c])}`).join(',')}}`;
+  }
+  return JSON.stringify(valor === undefined ? null : valor);
+}
+
 /**
  * Genera un hash simple de la configuración para detectar cambios
+ * Cubre todos los campos de cada registrador (cualquier campo nuevo del backend también cuenta)
+ * y los canales virtuales
  */
-function hashConfiguracion(registradores) {
+function hashConfiguracion(registradores, canalesVirtuales) {
   // Ordenar por ID para asegurar consistencia
   const ordenados = [...registradores].sort((a, b) => {
     const idA = a.id || '';
@@ -284,15 +357,9 @@ function hashConfiguracion(registradores) {
     return idA.localeCompare(idB);
   });
 
-  return JSON.stringify(ordenados.map(r => ({
-    id: r.id,
-    activo: r.activo,
-    intervaloSegundos: r.intervaloSegundos,
-    ip: r.ip,
-    puerto: r.puerto,
-    indiceInicial: r.indiceInicial,
-    cantidadRegistros: r.cantidadRegistros,
-  })));
+  const canalesOrdenados = [...(canalesVirtuales || [])].sort((a, b) => String(a.id || '').localeCompare(String(b.id || '')));
+
+  return serializarOrdenado({ registradores: ordenados, canalesVirtuales: canalesOrdenados });
 }
 
 /**
@@ -305,14 +372,15 @@ async function pollConfiguracion() {
   try {
     const config = await obtenerConfiguracion();
     const registradores = config.registradores || [];
-    const nuevoHash = hashConfiguracion(registradores);
+    const canalesVirtuales = config.canalesVirtuales || [];
+    const nuevoHash = hashConfiguracion(registradores, canalesVirtuales);
 
     // Solo procesar si ya teníamos un hash previo Y es diferente
     if (ultimaConfigHash !== null && ultimaConfigHash !== nuevoHash) {
       log('Cambio en configuración detectado', 'info');
       // El callback maneja los cambios de forma granular (no reinicia todo)
       if (callbacks.onConfiguracionCambiada) {
-        callbacks.onConfiguracionCambiada(registradores);
+        callbacks.onConfiguracionCambiada(registradores, canalesVirtuales);
       }
     }
 
@@ -362,7 +430,8 @@ async function pollTestsPendientes() {
 
     if (tests && tests.length > 0) {
       for (const test of tests) {
-        log(`Test de conexión pendiente recibido: ${test.ip}:${test.puerto}`, 'info');
+        const destino = test.tipo_test === 'escaneo' ? `escaneo ${test.rango}` : `${test.tipo_test === 'sondeo' ? 'sondeo ' : ''}${test.puerto_serie || `${test.ip}:${test.puerto}`}`;
+        log(`Test pendiente recibido: ${destino}`, 'info');
 
         // Notificar al callback para que index.js ejecute el test
         if (callbacks.onTestPendiente) {
@@ -391,6 +460,46 @@ function iniciarTestsPolling() {
   log(`Polling de tests iniciado (cada ${TESTS_POLL_INTERVAL / 1000}s)`, 'ciclo');
 }
 
+/**
+ * Polling de comandos de escritura pendientes
+ */
+async function pollComandosPendientes() {
+  if (!token) return;
+
+  try {
+    const comandos = await obtenerComandosPendientes();
+
+    if (comandos && comandos.length > 0) {
+      for (const comando of comandos) {
+        log(`Comando de escritura pendiente recibido: ${comando.tipo} ${comando.direccion} (registrador ${comando.registradorId})`, 'info');
+
+        // Notificar al callback para que index.js ejecute el comando
+        if (callbacks.onComandoPendiente) {
+          callbacks.onComandoPendiente(comando);
+        }
+      }
+    }
+  } catch (error) {
+    // Los errores de polling no son críticos
+    if (!error.message.includes('No autenticado')) {
+      log(`Error obteniendo comandos pendientes: ${error.message}`, 'advertencia');
+    }
+  }
+}
+
+/**
+ * Inicia el polling de comandos de escritura pendientes
+ */
+function iniciarComandosPolling() {
+  if (comandosPollIntervalId) {
+    clearInterval(comandosPollIntervalId);
+  }
+
+  // Configurar intervalo
+  comandosPollIntervalId = setInterval(pollComandosPendientes, COMANDOS_POLL_INTERVAL);
+  log(`Polling de comandos iniciado (cada ${COMANDOS_POLL_INTERVAL / 1000}s)`, 'ciclo');
+}
+
 /**
  * Detiene todos los intervalos
  */
@@ -407,6 +516,10 @@ function detenerIntervalos() {
     clearInterval(testsPollIntervalId);
     testsPollIntervalId = null;
   }
+  if (comandosPollIntervalId) {
+    clearInterval(comandosPollIntervalId);
+    comandosPollIntervalId = null;
+  }
 }
 
 /**
@@ -422,6 +535,7 @@ async function iniciarConexion(opciones = {}) {
   if (opciones.onVinculado) callbacks.onVinculado = opciones.onVinculado;
   if (opciones.onRegistradoresActualizar) callbacks.onConfiguracionCambiada = opciones.onRegistradoresActualizar;
   if (opciones.onTestPendiente) callbacks.onTestPendiente = opciones.onTestPendiente;
+  if (opciones.onComandoPendiente) callbacks.onComandoPendiente = opciones.onComandoPendiente;
 
   log(`Conectando a backend: ${BACKEND_URL}`, 'info');
 
@@ -441,6 +555,7 @@ async function iniciarConexion(opciones = {}) {
     iniciarHeartbeat();
     iniciarConfigPolling();
     iniciarTestsPolling();
+    iniciarComandosPolling();
   } else {
     if (callbacks.onError) {
       callbacks.onError(new Error('No se pudo autenticar'));
@@ -499,8 +614,10 @@ module.exports = {
   obtenerWorkspaces,
   obtenerConfiguracion,
   enviarLecturas,
+  enviarEventosAlarma,
   enviarLog,
   vincularWorkspace,
   reportarResultadoTest,
+  reportarResultadoComando,
   BACKEND_URL,
 };
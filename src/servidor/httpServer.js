@@ -46,7 +46,7 @@ function sendJSON(res, statusCode, data) {
  */
 async function handleTestConexion(req, res) {
   try {
-    const { ip, puerto, unitId } = await parseBody(req);
+    const { ip, puerto, unitId, indiceInicial, cantRegistros, funcion } = await parseBody(req);
 
     // Validar parámetros requeridos
     if (!ip || !puerto) {
@@ -63,6 +63,9 @@ async function handleTestConexion(req, res) {
       ip,
       puerto: Number(puerto),
       unitId: Number(unitId) || 1,
+      indiceInicial,
+      cantRegistros,
+      funcion,
     });
 
     if (resultado.exito) {
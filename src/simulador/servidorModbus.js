@@ -0,0 +1,559 @@
+// src/simulador/servidorModbus.js
+// Esclavo Modbus TCP (o RTU por puerto serie, RTU sobre TCP, Modbus UDP o Modbus/TCP Security) local
+// que imita dispositivos de campo (desarrollo y pruebas sin PLCs)
+
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const tls = require('tls');
+const ModbusRTU = require('modbus-serial');
+const crc16 = require('modbus-serial/utils/crc16');
+const { generarValores } = require('../modbus/simulador');
+
+// Archivo de definición por defecto (en el directorio de trabajo)
+const ARCHIVO_POR_DEFECTO = 'simulador.json';
+
+// Definición usada si no hay archivo: un analizador simulado en el puerto 5020
+const DEFINICION_POR_DEFECTO = {
+  host: '127.0.0.1',
+  dispositivos: [
+    { nombre: 'Analizador simulado', puerto: 5020, unitId: 1, simular: true },
+  ],
+};
+
+// Códigos de excepción Modbus usados por el simulador
+const EXCEPCION_DIRECCION_ILEGAL = 0x02;
+const EXCEPCION_FALLA_DISPOSITIVO = 0x04;
+const EXCEPCION_GATEWAY_SIN_RESPUESTA = 0x0B;
+
+// Nombre de cada tabla en el JSON -> código de función de lectura
+const TABLAS = {
+  coils: 1,
+  discretas: 2,
+  holding: 3,
+  input: 4,
+};
+
+// Servidores activos (uno por puerto TCP o por puerto serie)
+let servidores = [];
+
+/**
+ * Expande una tabla del JSON ({ "direccion": valor | [valores] }) a un Map direccion -> valor
+ */
+function expandirTabla(tabla = {}) {
+  const memoria = new Map();
+
+  for (const [direccion, valor] of Object.entries(tabla)) {
+    const inicio = Number(direccion);
+    const valores = Array.isArray(valor) ? valor : [valor];
+    valores.forEach((v, i) => memoria.set(inicio + i, Number(v)));
+  }
+
+  return memoria;
+}
+
+/**
+ * Normaliza la definición de un dispositivo con sus valores por defecto
+ */
+function normalizarDispositivo(def) {
+  const latencia = Array.isArray(def.latenciaMs)
+    ? def.latenciaMs.map(Number)
+    : [Number(def.latenciaMs) || 0, Number(def.latenciaMs) || 0];
+
+  const dispositivo = {
+    nombre: def.nombre || `Dispositivo ${def.unitId || 1}`,
+    puerto: Number(def.puerto) || 5020,
+    // Con puertoSerie el dispositivo atiende RTU en ese puerto serie (un adaptador físico cruzado
+    // con el del registrador de transporte "serie")
+    puertoSerie: def.puertoSerie || null,
+    baudios: Number(def.baudios) || 9600,
+    paridad: def.paridad || 'none',
+    // Con tls ({ certificado, clave, ca }) el puerto atiende Modbus/TCP Security; con ca exige certificado de cliente (TLS mutuo)
+    tls: def.tls || null,
+    // Con transporte "rtu-tcp" el puerto atiende tramas RTU crudas, como un conversor serie-Ethernet transparente;
+    // con "udp" atiende Modbus TCP en datagramas UDP
+    transporte: ['rtu-tcp', 'udp'].includes(def.transporte) ? def.transporte : 'tcp',
+    unitId: Number(def.unitId) || 1,
+    simular: def.simular === true,
+    latenciaMs: latencia,
+    tasaExcepciones: Number(def.tasaExcepciones) || 0,
+    codigoExcepcion: Number(def.codigoExcepcion) || EXCEPCION_FALLA_DISPOSITIVO,
+    tasaSinRespuesta: Number(def.tasaSinRespuesta) || 0,
+    tasaDesconexiones: Number(def.tasaDesconexiones) || 0,
+    memoria: {},
+  };
+
+  for (const [nombre, funcion] of Object.entries(TABLAS)) {
+    dispositivo.memoria[funcion] = expandirTabla(def[nombre]);
+  }
+
+  return dispositivo;
+}
+
+/**
+ * Lee un archivo JSON de definición de dispositivos
+ * @param {string} ruta - Ruta al archivo (si no existe se usa la definición por defecto)
+ * @returns {Object} Definición { host, dispositivos: [...] }
+ */
+function cargarDefinicion(ruta) {
+  const rutaAbsoluta = path.resolve(process.cwd(), ruta || ARCHIVO_POR_DEFECTO);
+
+  if (!fs.existsSync(rutaAbsoluta)) {
+    if (ruta) {
+      throw new Error(`No existe el archivo de definición: ${rutaAbsoluta}`);
+    }
+    console.log(`[Simulador] No se encontró ${ARCHIVO_POR_DEFECTO}, usando definición por defecto`);
+    return DEFINICION_POR_DEFECTO;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(rutaAbsoluta, 'utf8'));
+  } catch (error) {
+    throw new Error(`JSON inválido en ${rutaAbsoluta}: ${error.message}`);
+  }
+}
+
+/**
+ * Crea un error con código de excepción Modbus (modbus-serial responde con función + 0x80)
+ */
+function excepcion(codigo, mensaje) {
+  return { modbusErrorCode: codigo, msg: mensaje };
+}
+
+/**
+ * Resuelve los valores de un rango de la memoria de un dispositivo
+ * Las direcciones sin valor fijo se simulan si el dispositivo tiene simular: true
+ */
+function leerMemoria(dispositivo, funcion, inicio, cantidad) {
+  const memoria = dispositivo.memoria[funcion];
+  const simulados = dispositivo.simular
+    ? generarValores(`${dispositivo.nombre}:${dispositivo.unitId}`, funcion, inicio, cantidad)
+    : null;
+  const valores = [];
+
+  for (let i = 0; i < cantidad; i++) {
+    if (memoria.has(inicio + i)) {
+      valores.push(memoria.get(inicio + i));
+    } else if (simulados) {
+      valores.push(simulados[i]);
+    } else {
+      throw excepcion(EXCEPCION_DIRECCION_ILEGAL, `Dirección ${inicio + i} no definida`);
+    }
+  }
+
+  return valores;
+}
+
+/**
+ * Describe dónde escucha un servidor (host:puerto o ruta del puerto serie)
+ */
+function describirEscucha(host, dispositivo) {
+  if (dispositivo.puertoSerie) return `${dispositivo.puertoSerie} (RTU ${dispositivo.baudios} baudios)`;
+  if (dispositivo.tls) return `${host}:${dispositivo.puerto} (TLS)`;
+  if (dispositivo.transporte === 'rtu-tcp') return `${host}:${dispositivo.puerto} (RTU sobre TCP)`;
+  if (dispositivo.transporte === 'udp') return `${host}:${dispositivo.puerto} (UDP)`;
+  return `${host}:${dispositivo.puerto}`;
+}
+
+/**
+ * Obtiene un puerto TCP libre en loopback
+ */
+function puertoLibre() {
+  return new Promise((resolve, reject) => {
+    const sonda = net.createServer();
+    sonda.once('error', reject);
+    sonda.listen(0, '127.0.0.1', () => {
+      const { port } = sonda.address();
+      sonda.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Pone un frente TLS delante de un servidor Modbus TCP interno
+ * Cada conexión cifrada se descifra y se reenvía al servidor interno (que escucha solo en loopback)
+ *
+ * @param {Object} opcionesTls - { certificado, clave, ca } (rutas a archivos PEM)
+ * @param {string} host - Host donde escucha el frente TLS
+ * @param {number} puerto - Puerto del frente TLS
+ * @param {number} puertoInterno - Puerto del servidor Modbus TCP interno
+ * @returns {Promise<tls.Server>}
+ */
+function crearFrenteTls(opcionesTls, host, puerto, puertoInterno) {
+  const leer = ruta => fs.readFileSync(path.resolve(process.cwd(), ruta));
+
+  const servidorTls = tls.createServer({
+    cert: leer(opcionesTls.certificado),
+    key: leer(opcionesTls.clave),
+    ca: opcionesTls.ca ? leer(opcionesTls.ca) : undefined,
+    requestCert: Boolean(opcionesTls.ca),
+    rejectUnauthorized: Boolean(opcionesTls.ca),
+  }, (cifrado) => {
+    const interno = net.connect({ host: '127.0.0.1', port: puertoInterno });
+    cifrado.pipe(interno).pipe(cifrado);
+    cifrado.on('error', () => interno.destroy());
+    interno.on('error', () => cifrado.destroy());
+    interno.on('close', () => cifrado.destroy());
+  });
+
+  servidorTls.on('tlsClientError', (error) => {
+    console.error(`[Simulador] Handshake TLS rechazado en puerto ${puerto}: ${error.message}`);
+  });
+
+  return new Promise((resolve, reject) => {
+    servidorTls.once('error', reject);
+    servidorTls.listen(puerto, host, () => resolve(servidorTls));
+  });
+}
+
+/**
+ * Largo de la trama RTU de petición al frente del buffer (null si todavía no se puede saber)
+ * Lecturas y escrituras simples miden 8 bytes; FC15/FC16 llevan la cantidad de bytes de datos
+ */
+function largoTramaRtu(buffer) {
+  if (buffer.length < 2) return null;
+
+  const funcion = buffer[1];
+  if (funcion >= 1 && funcion <= 6) return 8;
+  if (funcion === 15 || funcion === 16) return buffer.length < 7 ? null : 9 + buffer[6];
+  // Función desconocida: se toma lo recibido como una trama (el servidor responderá la excepción)
+  return buffer.length;
+}
+
+/**
+ * Pone un frente RTU sobre TCP delante de un servidor Modbus TCP interno
+ * Traduce cada trama RTU (unidad + PDU + CRC) a Modbus TCP (cabecera MBAP + unidad + PDU) y las
+ * respuestas de vuelta; una trama con CRC inválido se ignora, como lo haría un esclavo en el bus
+ *
+ * @param {string} host - Host donde escucha el frente
+ * @param {number} puerto - Puerto del frente
+ * @param {number} puertoInterno - Puerto del servidor Modbus TCP interno
+ * @returns {Promise<net.Server>}
+ */
+function crearFrenteRtuTcp(host, puerto, puertoInterno) {
+  const servidorRtu = net.createServer((sock) => {
+    const interno = net.connect({ host: '127.0.0.1', port: puertoInterno });
+    let peticiones = Buffer.alloc(0);
+    let respuestas = Buffer.alloc(0);
+    let transaccion = 0;
+
+    sock.on('data', (datos) => {
+      peticiones = Buffer.concat([peticiones, datos]);
+
+      let largo = largoTramaRtu(peticiones);
+      while (largo !== null && peticiones.length >= largo) {
+        const trama = peticiones.subarray(0, largo);
+        peticiones = peticiones.subarray(largo);
+        largo = largoTramaRtu(peticiones);
+
+        if (trama.length < 4 || crc16(trama.subarray(0, -2)) !== trama.readUInt16LE(trama.length - 2)) continue;
+
+        transaccion = (transaccion + 1) % 0x10000;
+        const mbap = Buffer.alloc(6);
+        mbap.writeUInt16BE(transaccion, 0);
+        mbap.writeUInt16BE(trama.length - 2, 4);
+        interno.write(Buffer.concat([mbap, trama.subarray(0, -2)]));
+      }
+    });
+
+    interno.on('data', (datos) => {
+      respuestas = Buffer.concat([respuestas, datos]);
+
+      while (respuestas.length >= 6 && respuestas.length >= 6 + respuestas.readUInt16BE(4)) {
+        const pdu = respuestas.subarray(6, 6 + respuestas.readUInt16BE(4));
+        respuestas = respuestas.subarray(6 + pdu.length);
+
+        const crc = Buffer.alloc(2);
+        crc.writeUInt16LE(crc16(pdu));
+        sock.write(Buffer.concat([pdu, crc]));
+      }
+    });
+
+    sock.on('error', () => interno.destroy());
+    interno.on('error', () => sock.destroy());
+    sock.on('close', () => interno.destroy());
+    interno.on('close', () => sock.destroy());
+  });
+
+  return new Promise((resolve, reject) => {
+    servidorRtu.once('error', reject);
+    servidorRtu.listen(puerto, host, () => resolve(servidorRtu));
+  });
+}
+
+/**
+ * Pone un frente Modbus UDP delante de un servidor Modbus TCP interno
+ * Cada datagrama lleva una trama completa con cabecera MBAP; se reenvía por una conexión interna
+ * propia de cada cliente (dirección:puerto de origen) y cada respuesta vuelve en un datagrama
+ *
+ * @param {string} host - Host donde escucha el frente
+ * @param {number} puerto - Puerto UDP del frente
+ * @param {number} puertoInterno - Puerto del servidor Modbus TCP interno
+ * @returns {Promise<dgram.Socket>}
+ */
+function crearFrenteUdp(host, puerto, puertoInterno) {
+  const socketUdp = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+  const internas = new Map();
+
+  /**
+   * Conexión interna del cliente (se abre con su primer datagrama)
+   */
+  function conexionInterna(origen) {
+    const clave = `${origen.address}:${origen.port}`;
+    if (internas.has(clave)) return internas.get(clave);
+
+    const interno = net.connect({ host: '127.0.0.1', port: puertoInterno });
+    let respuestas = Buffer.alloc(0);
+
+    interno.on('data', (datos) => {
+      respuestas = Buffer.concat([respuestas, datos]);
+
+      while (respuestas.length >= 6 && respuestas.length >= 6 + respuestas.readUInt16BE(4)) {
+        const trama = respuestas.subarray(0, 6 + respuestas.readUInt16BE(4));
+        respuestas = respuestas.subarray(trama.length);
+        socketUdp.send(trama, origen.port, origen.address);
+      }
+    });
+    interno.on('error', () => {});
+    interno.on('close', () => internas.delete(clave));
+
+    internas.set(clave, interno);
+    return interno;
+  }
+
+  socketUdp.on('message', (datos, origen) => {
+    // Un datagrama más corto que la cabecera o que el largo que declara no es una trama Modbus
+    if (datos.length < 7 || datos.length < 6 + datos.readUInt16BE(4)) return;
+    conexionInterna(origen).write(datos);
+  });
+
+  socketUdp.on('close', () => {
+    for (const interno of internas.values()) interno.destroy();
+  });
+
+  return new Promise((resolve, reject) => {
+    socketUdp.once('error', reject);
+    socketUdp.bind(puerto, host, () => resolve(socketUdp));
+  });
+}
+
+/**
+ * Pone delante del servidor Modbus TCP interno el frente que corresponde al dispositivo
+ * @returns {Promise<net.Server|dgram.Socket>}
+ */
+function crearFrente(dispositivo, host, puertoInterno) {
+  if (dispositivo.tls) return crearFrenteTls(dispositivo.tls, host, dispositivo.puerto, puertoInterno);
+  if (dispositivo.transporte === 'udp') return crearFrenteUdp(host, dispositivo.puerto, puertoInterno);
+  return crearFrenteRtuTcp(host, dispositivo.puerto, puertoInterno);
+}
+
+/**
+ * Crea el servidor Modbus de un puerto TCP o serie (atiende a todos sus dispositivos por unitId)
+ * Los dispositivos de un mismo puerto serie comparten los parámetros de línea del primero
+ */
+async function crearServidor(host, dispositivosPorUnidad) {
+  let servidor = null;
+  const primero = dispositivosPorUnidad.values().next().value;
+  const escucha = describirEscucha(host, primero);
+  // Con TLS, RTU sobre TCP o UDP el servidor Modbus escucha en un puerto libre de loopback y el frente
+  // que traduce el transporte en el configurado
+  const conFrente = Boolean(primero.tls) || primero.transporte !== 'tcp';
+  const puertoInterno = conFrente ? await puertoLibre() : null;
+
+  /**
+   * Aplica latencia y fallas configuradas, y responde por callback
+   * @param {number} unitId - Unidad destino de la petición
+   * @param {Function} operacion - (dispositivo) => valor
+   * @param {Function} callback - Callback de modbus-serial (err, valor)
+   */
+  function atender(unitId, operacion, callback) {
+    const dispositivo = dispositivosPorUnidad.get(unitId);
+
+    if (!dispositivo) {
+      callback(excepcion(EXCEPCION_GATEWAY_SIN_RESPUESTA, `Unidad ${unitId} inexistente`));
+      return;
+    }
+
+    // Conexión cortada: se destruyen los sockets abiertos sin responder (en serie no hay conexión que cortar)
+    if (!dispositivo.puertoSerie && Math.random() < dispositivo.tasaDesconexiones) {
+      console.log(`[Simulador] ${dispositivo.nombre}: cortando conexiones`);
+      for (const sock of servidor.socks.keys()) sock.destroy();
+      return;
+    }
+
+    // Petición perdida: el cliente verá un timeout
+    if (Math.random() < dispositivo.tasaSinRespuesta) {
+      return;
+    }
+
+    const [min, max] = dispositivo.latenciaMs;
+    const latencia = min + Math.random() * Math.max(0, max - min);
+
+    setTimeout(() => {
+      if (Math.random() < dispositivo.tasaExcepciones) {
+        callback(excepcion(dispositivo.codigoExcepcion, 'Excepción simulada'));
+        return;
+      }
+
+      try {
+        callback(null, operacion(dispositivo));
+      } catch (error) {
+        callback(error.modbusErrorCode !== undefined ? error : excepcion(EXCEPCION_FALLA_DISPOSITIVO, error.message));
+      }
+    }, latencia);
+  }
+
+  // Las funciones de 4 argumentos hacen que modbus-serial espere el callback (permite latencia)
+  const vector = {
+    getMultipleHoldingRegisters(direccion, cantidad, unitId, callback) {
+      atender(unitId, d => leerMemoria(d, 3, direccion, cantidad), callback);
+    },
+    getMultipleInputRegisters(direccion, cantidad, unitId, callback) {
+      atender(unitId, d => leerMemoria(d, 4, direccion, cantidad), callback);
+    },
+    getHoldingRegister(direccion, unitId, callback) {
+      atender(unitId, d => leerMemoria(d, 3, direccion, 1)[0], callback);
+    },
+    getInputRegister(direccion, unitId, callback) {
+      atender(unitId, d => leerMemoria(d, 4, direccion, 1)[0], callback);
+    },
+    getCoil(direccion, unitId, callback) {
+      atender(unitId, d => leerMemoria(d, 1, direccion, 1)[0] === 1, callback);
+    },
+    getDiscreteInput(direccion, unitId, callback) {
+      atender(unitId, d => leerMemoria(d, 2, direccion, 1)[0] === 1, callback);
+    },
+    setRegister(direccion, valor, unitId, callback) {
+      atender(unitId, (d) => {
+        leerMemoria(d, 3, direccion, 1); // Valida que la dirección exista
+        d.memoria[3].set(direccion, valor);
+      }, callback);
+    },
+    setCoil(direccion, valor, unitId, callback) {
+      atender(unitId, (d) => {
+        leerMemoria(d, 1, direccion, 1);
+        d.memoria[1].set(direccion, valor ? 1 : 0);
+      }, callback);
+    },
+  };
+
+  return new Promise((resolve, reject) => {
+    // unitID 255: el servidor acepta cualquier unidad y la resolvemos nosotros
+    if (primero.puertoSerie) {
+      servidor = new ModbusRTU.ServerSerial(vector, {
+        path: primero.puertoSerie,
+        baudRate: primero.baudios,
+        parity: primero.paridad,
+        unitID: 255,
+        openCallback: (error) => { if (error) reject(error); },
+      });
+    } else if (conFrente) {
+      servidor = new ModbusRTU.ServerTCP(vector, { host: '127.0.0.1', port: puertoInterno, unitID: 255 });
+    } else {
+      servidor = new ModbusRTU.ServerTCP(vector, { host, port: primero.puerto, unitID: 255 });
+    }
+
+    servidor.on('initialized', () => {
+      if (!conFrente) {
+        resolve(servidor);
+        return;
+      }
+
+      crearFrente(primero, host, puertoInterno)
+        .then((frente) => {
+          servidor.frente = frente;
+          resolve(servidor);
+        })
+        .catch((error) => {
+          servidor.close(() => {});
+          reject(error);
+        });
+    });
+    servidor.on('serverError', reject);
+    servidor.on('socketError', (error) => {
+      console.error(`[Simulador] Error de socket en ${escucha}: ${error.message}`);
+    });
+    servidor.on('error', (error) => {
+      console.error(`[Simulador] Error en ${escucha}: ${error.message || error}`);
+    });
+  });
+}
+
+/**
+ * Inicia los servidores del simulador según la definición
+ * @param {Object} definicion - { host, dispositivos: [...] }
+ * @returns {Promise<Array<Object>>} Dispositivos levantados
+ */
+async function iniciarSimulador(definicion) {
+  const host = definicion.host || '127.0.0.1';
+  const dispositivos = (definicion.dispositivos || []).map(normalizarDispositivo);
+
+  if (dispositivos.length === 0) {
+    throw new Error('La definición no tiene dispositivos');
+  }
+
+  // Agrupar por puerto: un servidor por puerto TCP o serie, dispositivos distinguidos por unitId
+  const porPuerto = new Map();
+  for (const dispositivo of dispositivos) {
+    const clave = dispositivo.puertoSerie || dispositivo.puerto;
+    if (!porPuerto.has(clave)) {
+      porPuerto.set(clave, new Map());
+    }
+    porPuerto.get(clave).set(dispositivo.unitId, dispositivo);
+  }
+
+  for (const dispositivosPorUnidad of porPuerto.values()) {
+    const servidor = await crearServidor(host, dispositivosPorUnidad);
+    servidores.push(servidor);
+
+    for (const d of dispositivosPorUnidad.values()) {
+      console.log(`[Simulador] ${d.nombre} escuchando en ${describirEscucha(host, d)} (unit ${d.unitId})`);
+    }
+  }
+
+  return dispositivos;
+}
+
+/**
+ * Detiene todos los servidores del simulador
+ */
+function detenerSimulador() {
+  for (const servidor of servidores) {
+    for (const sock of servidor.socks.keys()) sock.destroy();
+    if (servidor.frente) servidor.frente.close();
+    servidor.close(() => {});
+  }
+  servidores = [];
+}
+
+/**
+ * Punto de entrada del comando "simulador"
+ * @param {Array<string>} args - Argumentos de línea de comandos (ruta opcional al JSON)
+ */
+async function ejecutarDesdeConsola(args = []) {
+  try {
+    const definicion = cargarDefinicion(args[0]);
+    await iniciarSimulador(definicion);
+    console.log('[Simulador] Listo. Presiona Ctrl+C para detener.');
+  } catch (error) {
+    console.error(`[Simulador] ${error.message}`);
+    process.exit(1);
+  }
+
+  const salir = () => {
+    console.log('[Simulador] Deteniendo...');
+    detenerSimulador();
+    setTimeout(() => process.exit(0), 200);
+  };
+
+  process.on('SIGINT', salir);
+  process.on('SIGTERM', salir);
+}
+
+module.exports = {
+  iniciarSimulador,
+  detenerSimulador,
+  cargarDefinicion,
+  ejecutarDesdeConsola,
+};
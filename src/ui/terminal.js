@@ -2,6 +2,7 @@
 // Interfaz de terminal con blessed para el agente
 
 const blessed = require('blessed');
+const { claveDispositivo, destinoRegistrador, obtenerEstadoConcurrencia } = require('../modbus/gestorConexiones');
 
 // ============================================
 // Estado global
@@ -12,7 +13,11 @@ const estado = {
   autenticado: false,
   agenteNombre: null,
   workspaceNombre: null,
+  modoModbus: 'real',
   registradores: [],
+  conexiones: [],
+  colaLecturas: null,
+  alarmas: [],
   logs: [],
   menuVisible: false,
   menuIndex: 0,
@@ -35,6 +40,7 @@ let footerBox = null;
 // Callbacks para acciones del menú
 let onRecargar = null;
 let onSalir = null;
+let onReconocerAlarma = null;
 
 // ============================================
 // Inicialización
@@ -43,6 +49,7 @@ let onSalir = null;
 function inicializar(opciones = {}) {
   if (opciones.onRecargar) onRecargar = opciones.onRecargar;
   if (opciones.onSalir) onSalir = opciones.onSalir;
+  if (opciones.onReconocerAlarma) onReconocerAlarma = opciones.onReconocerAlarma;
 
   estado.iniciado = new Date();
 
@@ -158,7 +165,7 @@ function inicializar(opciones = {}) {
     top: 'center',
     left: 'center',
     width: 30,
-    height: 8,
+    height: 9,
     border: { type: 'line' },
     tags: true,
     label: ' MENU ',
@@ -172,6 +179,7 @@ function inicializar(opciones = {}) {
     items: [
       '  Recargar registradores',
       '  Ver estado',
+      '  Reconocer alarmas',
       '  Ayuda',
       '  Salir',
     ],
@@ -309,10 +317,13 @@ function ejecutarOpcionMenu(index) {
     case 1: // Estado
       mostrarEstado();
       break;
-    case 2: // Ayuda
+    case 2: // Reconocer alarmas
+      reconocerAlarmas();
+      break;
+    case 3: // Ayuda
       mostrarAyuda();
       break;
-    case 3: // Salir
+    case 4: // Salir
       if (onSalir) onSalir();
       process.exit(0);
       break;
@@ -325,9 +336,28 @@ function mostrarEstado() {
   log(`Workspace: ${estado.workspaceNombre || 'No vinculado'}`, 'info');
   log(`Conectado: ${estado.conectado ? 'Si' : 'No'}`, estado.conectado ? 'exito' : 'error');
   log(`Registradores: ${estado.registradores.length}`, 'info');
+  estado.conexiones.forEach((con) => {
+    const error = con.ultimoError ? ` - ultimo error: ${con.ultimoError}` : '';
+    log(`Conexion ${con.clave}: ${con.estado} (${con.reconexiones} reconexiones)${error}`, con.estado === 'conectado' ? 'exito' : 'advertencia');
+  });
+  const concurrencia = obtenerEstadoConcurrencia();
+  log(`Operaciones Modbus: ${formatearConcurrencia(concurrencia)} (${concurrencia.esperas} esperas por cupo en total)`, concurrencia.enEspera > 0 ? 'advertencia' : 'info');
+  estado.registradores.filter(r => r.omitidas > 0).forEach((reg) => {
+    log(`${reg.nombre}: ${reg.omitidas} turno(s) omitido(s) por lectura anterior en curso`, 'advertencia');
+  });
+  estado.alarmas.forEach((alarma) => {
+    const condicion = `${alarma.campo} ${alarma.tipo === 'alta' ? '>' : '<'} ${alarma.limite}`;
+    const situacion = `${alarma.activa ? 'activa' : 'normalizada'}${alarma.reconocida ? '' : ', sin reconocer'}`;
+    log(`Alarma ${alarma.registradorNombre}: ${condicion}, valor ${alarma.valor} (${situacion})`, alarma.activa ? 'error' : 'advertencia');
+  });
   log(`Tiempo activo: ${formatearTiempoActivo()}`, 'info');
 }
 
+function reconocerAlarmas() {
+  const reconocidas = onReconocerAlarma ? onReconocerAlarma() : 0;
+  log(reconocidas > 0 ? `${reconocidas} alarma(s) reconocida(s)` : 'No hay alarmas sin reconocer', 'info');
+}
+
 function mostrarAyuda() {
   log('--- ATAJOS ---', 'info');
   log('[m] Abrir/cerrar menu', 'info');
@@ -356,7 +386,16 @@ function actualizarHeader() {
     ? `{cyan-fg}${estado.workspaceNombre}{/cyan-fg}`
     : '{gray-fg}Sin vincular{/gray-fg}';
 
-  const linea = ` Backend: ${estadoConexion}  |  Agente: ${agente}  |  Workspace: ${workspace}  |  {yellow-fg}[m] Menu{/yellow-fg}`;
+  const conectadas = estado.conexiones.filter(c => c.estado === 'conectado').length;
+  const conexiones = conectadas === estado.conexiones.length
+    ? `{green-fg}${conectadas}/${estado.conexiones.length}{/green-fg}`
+    : `{yellow-fg}${conectadas}/${estado.conexiones.length}{/yellow-fg}`;
+
+  const modbus = estado.modoModbus === 'simulado'
+    ? '{yellow-fg}SIMULADO{/yellow-fg}'
+    : conexiones;
+
+  const linea = ` Backend: ${estadoConexion}  |  Agente: ${agente}  |  Workspace: ${workspace}  |  Modbus: ${modbus}  |  {yellow-fg}[m] Menu{/yellow-fg}`;
 
   headerBox.setContent(linea);
 }
@@ -383,14 +422,17 @@ function actualizarRegistradores() {
     } else if (reg.estado === 'error') {
       icono = '{red-fg}x{/red-fg}';
       estadoTexto = '{red-fg}[Error]{/red-fg}';
+    } else if (reg.estado === 'caido') {
+      icono = '{red-fg}X{/red-fg}';
+      estadoTexto = '{red-fg}[Caido]{/red-fg}';
     } else {
       icono = '{yellow-fg}o{/yellow-fg}';
       estadoTexto = '{yellow-fg}[Espera]{/yellow-fg}';
     }
 
     const nombre = (reg.nombre || 'Sin nombre').substring(0, 14).padEnd(14);
-    const ip = `${reg.ip}:${reg.puerto}`.padEnd(22);
-    const registros = `[${reg.indiceInicial}-${reg.indiceInicial + reg.cantRegistros - 1}]`.padEnd(14);
+    const ip = reg.destino.padEnd(22);
+    const registros = `FC0${reg.funcion} [${reg.indiceInicial}-${reg.indiceInicial + reg.cantRegistros - 1}]`.padEnd(19);
 
     let proxLectura;
     if (reg.estado === 'inactivo') {
@@ -401,7 +443,10 @@ function actualizarRegistradores() {
       proxLectura = '---'.padEnd(6);
     }
 
-    contenido += `${icono} ${nombre} ${ip} ${registros} ${proxLectura} ${estadoTexto}\n`;
+    // Turnos salteados porque la lectura anterior seguía en curso
+    const omitidas = reg.omitidas > 0 ? ` {yellow-fg}omitidas ${reg.omitidas}{/yellow-fg}` : '';
+
+    contenido += `${icono} ${nombre} ${ip} ${registros} ${proxLectura} ${estadoTexto}${omitidas}\n`;
   });
 
   registradoresBox.setContent(contenido);
@@ -415,7 +460,27 @@ function actualizarFooter() {
   if (!footerBox) return;
 
   const tiempo = formatearTiempoActivo();
-  footerBox.setContent(` Tiempo activo: ${tiempo}  |  [m] Menu  |  [q] Salir`);
+  const cola = estado.colaLecturas;
+  const envio = cola
+    ? `  |  Cola: ${cola.pendientes}${cola.antiguedadMs !== null ? `, más vieja ${Math.floor(cola.antiguedadMs / 60000)}m` : ''}${cola.ultimaLatenciaMs !== null ? ` (envío ${cola.ultimaLatenciaMs}ms)` : ''}`
+    : '';
+  const activas = estado.alarmas.filter(a => a.activa).length;
+  const sinReconocer = estado.alarmas.filter(a => !a.reconocida).length;
+  const alarmas = estado.alarmas.length > 0
+    ? `  |  {red-fg}Alarmas: ${activas} activas (${sinReconocer} sin reconocer){/red-fg}`
+    : '';
+  const concurrencia = obtenerEstadoConcurrencia();
+  const operaciones = concurrencia.enEspera > 0
+    ? `  |  {yellow-fg}Modbus: ${formatearConcurrencia(concurrencia)}{/yellow-fg}`
+    : `  |  Modbus: ${formatearConcurrencia(concurrencia)}`;
+  footerBox.setContent(` Tiempo activo: ${tiempo}${envio}${operaciones}${alarmas}  |  [m] Menu  |  [q] Salir`);
+}
+
+/**
+ * Texto con el uso de los cupos de operación Modbus del agente
+ */
+function formatearConcurrencia({ enCurso, maximo, enEspera }) {
+  return `operaciones ${enCurso}/${maximo}${enEspera > 0 ? `, ${enEspera} en espera` : ''}`;
 }
 
 function formatearTiempoActivo() {
@@ -499,19 +564,28 @@ function setWorkspace(workspace) {
  * Actualiza la lista de registradores
  */
 function setRegistradores(registradores) {
-  estado.registradores = registradores.map((r) => ({
-    id: r.id,
-    nombre: r.nombre || r.ubicacion || 'Sin nombre',
-    ip: r.ip,
-    puerto: r.puerto,
-    indiceInicial: r.indice_inicial || r.indiceInicial || 0,
-    cantRegistros: r.cantidad_registros || r.cantidadRegistros || 10,
-    intervalo: r.intervalo_segundos || r.intervaloSegundos || 60,
-    activo: r.activo !== false,
-    estado: r.activo ? 'espera' : 'inactivo',
-    proximaLectura: null,
-    ultimaLectura: null,
-  }));
+  // Los cambios de configuración llegan en caliente: se conserva el estado de lectura de los que siguen activos
+  const previos = new Map(estado.registradores.map(r => [r.id, r]));
+
+  estado.registradores = registradores.map((r) => {
+    const previo = r.activo && previos.has(r.id) && previos.get(r.id).activo ? previos.get(r.id) : null;
+    return {
+      id: r.id,
+      nombre: r.nombre || r.ubicacion || 'Sin nombre',
+      ip: r.ip,
+      puerto: r.puerto,
+      destino: claveDispositivo(destinoRegistrador(r)),
+      indiceInicial: r.indice_inicial || r.indiceInicial || 0,
+      cantRegistros: r.cantidad_registros || r.cantidadRegistros || 10,
+      funcion: r.funcion || 3,
+      intervalo: r.intervalo_segundos || r.intervaloSegundos || 60,
+      activo: r.activo !== false,
+      estado: previo ? previo.estado : (r.activo ? 'espera' : 'inactivo'),
+      proximaLectura: previo ? previo.proximaLectura : null,
+      ultimaLectura: previo ? previo.ultimaLectura : null,
+      omitidas: previo ? previo.omitidas : 0,
+    };
+  });
 
   actualizarRegistradores();
   if (screen) screen.render();
@@ -529,6 +603,52 @@ function actualizarRegistrador(id, datos) {
   }
 }
 
+/**
+ * Cuenta un turno de lectura omitido porque la lectura anterior del registrador seguía en curso
+ * @param {string} id - ID del registrador
+ */
+function registrarTurnoOmitido(id) {
+  const reg = estado.registradores.find((r) => r.id === id);
+  if (reg) {
+    reg.omitidas++;
+    actualizarRegistradores();
+    if (screen) screen.render();
+  }
+}
+
+/**
+ * Actualiza el modo de operación Modbus (real o simulado)
+ */
+function setModoModbus(modo) {
+  estado.modoModbus = modo;
+  actualizarHeader();
+  if (screen) screen.render();
+}
+
+/**
+ * Actualiza el estado de las conexiones Modbus persistentes
+ */
+function setConexiones(conexiones) {
+  estado.conexiones = conexiones || [];
+  actualizarHeader();
+  if (screen) screen.render();
+}
+
+/**
+ * Actualiza el estado de la cola de salida de lecturas (se muestra en el pie)
+ */
+function setColaLecturas(colaLecturas) {
+  estado.colaLecturas = colaLecturas;
+}
+
+/**
+ * Actualiza la lista de alarmas activas o sin reconocer (se muestra en el pie)
+ */
+function setAlarmas(alarmas) {
+  estado.alarmas = alarmas;
+  actualizarFooter();
+}
+
 /**
  * Renderiza la pantalla completa
  */
@@ -568,6 +688,11 @@ module.exports = {
   setWorkspace,
   setRegistradores,
   actualizarRegistrador,
+  registrarTurnoOmitido,
+  setConexiones,
+  setColaLecturas,
+  setAlarmas,
+  setModoModbus,
   renderizar,
   destruir,
   iniciarReloj,
@@ -5,6 +5,8 @@ const http = require('http');
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
+const { claveDispositivo, destinoRegistrador, obtenerEstadoConcurrencia } = require('../modbus/gestorConexiones');
+const { obtenerEstadoCola } = require('../servicios/colaLecturas');
 
 // Puerto para la interfaz web (configurable via .env)
 const WEB_PORT = process.env.WEB_PORT || 8080;
@@ -19,10 +21,14 @@ const estado = {
   agenteId: null,
   agenteNombre: null,
   workspaces: [], // Array de workspaces vinculados
+  modoModbus: 'real', // 'real' o 'simulado'
   registradores: [],
   logs: [],
   logsRegistradores: [], // Log separado para lecturas de registradores
-  estadisticasPorRegistrador: {}, // { registradorId: { exitosas: N, fallidas: N } }
+  estadisticasPorRegistrador: {}, // { registradorId: { exitosas: N, fallidas: N, omitidas: N, retenidas: N } }
+  conexiones: [], // Estado de las conexiones Modbus persistentes por dispositivo
+  colaLecturas: null, // Estado de la cola de salida de lecturas (pendientes, latencia de envío)
+  alarmas: [], // Alarmas activas o sin reconocer
   iniciado: null,
   claveConfigurada: !!process.env.CLAVE_SECRETA,
 };
@@ -34,13 +40,44 @@ let server = null;
 let onSalir = null;
 let onCambiarNombre = null;
 let onReconectar = null;
+let onEscanear = null;
+let onSondear = null;
+let onReconocerAlarma = null;
 
 // ============================================
 // HTML Template
 // ============================================
 
+/**
+ * Texto con el estado de la cola de salida de lecturas
+ */
+function formatearColaLecturas(cola) {
+  if (!cola) return '---';
+  const latencia = cola.ultimaLatenciaMs !== null ? ` · ${cola.ultimaLatenciaMs}ms` : '';
+  const antiguedad = cola.antiguedadMs !== null ? ` · más vieja hace ${formatearEdad(cola.antiguedadMs)}` : '';
+  return `${cola.pendientes} pendientes${antiguedad}${latencia}`;
+}
+
+/**
+ * Edad legible (ej. 45s, 12m, 3h 20m)
+ */
+function formatearEdad(ms) {
+  const segundos = Math.floor(ms / 1000);
+  if (segundos < 60) return `${segundos}s`;
+  if (segundos < 3600) return `${Math.floor(segundos / 60)}m`;
+  return `${Math.floor(segundos / 3600)}h ${Math.floor((segundos % 3600) / 60)}m`;
+}
+
+/**
+ * Texto con el uso de los cupos de operación Modbus del agente
+ */
+function formatearConcurrencia({ enCurso, maximo, enEspera }) {
+  return `operaciones ${enCurso}/${maximo}${enEspera > 0 ? `, ${enEspera} en espera` : ''}`;
+}
+
 function generarHTML() {
   const tiempoActivo = formatearTiempoActivo();
+  const cola = obtenerEstadoCola();
   const estadoConexion = estado.conectado ? 'Conectado' : 'Desconectado';
   const estadoClase = estado.conectado ? 'conectado' : 'desconectado';
 
@@ -58,19 +95,23 @@ function generarHTML() {
         if (reg.estado === 'inactivo') estadoClase = 'inactivo';
         else if (reg.estado === 'activo' || reg.estado === 'leyendo') estadoClase = 'activo';
         else if (reg.estado === 'error') estadoClase = 'error';
+        else if (reg.estado === 'caido') estadoClase = 'caido';
 
         const proxLectura = reg.estado === 'inactivo' ? '---' :
           (reg.proximaLectura !== null ? `${reg.proximaLectura}s` : '---');
 
         // Estadísticas individuales
-        const stats = estado.estadisticasPorRegistrador[reg.id] || { exitosas: 0, fallidas: 0 };
-        const statsHTML = `<span class="stats-mini"><span class="stat-ok">✓${stats.exitosas}</span> <span class="stat-err">✗${stats.fallidas}</span></span>`;
+        // Omitidas: turnos salteados porque la lectura anterior seguía en curso
+        const stats = estado.estadisticasPorRegistrador[reg.id] || { exitosas: 0, fallidas: 0, omitidas: 0, retenidas: 0 };
+        const omitidasHTML = stats.omitidas > 0 ? ` <span class="stat-skip" title="Turnos omitidos (lectura anterior en curso)">⏭${stats.omitidas}</span>` : '';
+        const retenidasHTML = stats.retenidas > 0 ? ` <span class="stat-held" title="Lecturas sin cambios no enviadas (banda muerta)">≈${stats.retenidas}</span>` : '';
+        const statsHTML = `<span class="stats-mini"><span class="stat-ok">✓${stats.exitosas}</span> <span class="stat-err">✗${stats.fallidas}</span>${omitidasHTML}${retenidasHTML}</span>`;
 
         return `
           <tr class="${estadoClase}">
             <td>${reg.nombre || 'Sin nombre'}</td>
-            <td>${reg.ip}:${reg.puerto}</td>
-            <td>[${reg.indiceInicial}-${reg.indiceInicial + reg.cantRegistros - 1}]</td>
+            <td>${escapeHTML(reg.destino)}</td>
+            <td>FC0${reg.funcion} [${reg.indiceInicial}-${reg.indiceInicial + reg.cantRegistros - 1}]</td>
             <td>${reg.intervalo}s</td>
             <td>${proxLectura}</td>
             <td>${statsHTML}</td>
@@ -79,6 +120,31 @@ function generarHTML() {
         `;
       }).join('');
 
+  const conexionesHTML = estado.conexiones.length === 0
+    ? '<tr><td colspan="5" class="empty">Sin conexiones abiertas</td></tr>'
+    : estado.conexiones.map(con => `
+        <tr>
+          <td>${escapeHTML(con.clave)}</td>
+          <td><span class="badge ${con.estado}">${con.estado}</span></td>
+          <td>${con.conectadoDesde ? new Date(con.conectadoDesde).toLocaleTimeString('es-ES', { hour12: false }) : '---'}</td>
+          <td>${con.reconexiones}</td>
+          <td class="error-texto">${con.ultimoError ? escapeHTML(con.ultimoError) : '---'}</td>
+        </tr>
+      `).join('');
+
+  const alarmasHTML = estado.alarmas.length === 0
+    ? '<tr><td colspan="6" class="empty">Sin alarmas</td></tr>'
+    : estado.alarmas.map(alarma => `
+        <tr class="${alarma.activa ? 'alarma-activa' : ''}">
+          <td>${escapeHTML(alarma.registradorNombre || alarma.registradorId)}</td>
+          <td>${escapeHTML(alarma.campo)} ${alarma.tipo === 'alta' ? '&gt;' : '&lt;'} ${alarma.limite}</td>
+          <td>${alarma.valor}</td>
+          <td>${new Date(alarma.activadaEn).toLocaleTimeString('es-ES', { hour12: false })}</td>
+          <td><span class="badge ${alarma.activa ? 'caido' : 'espera'}">${alarma.activa ? 'activa' : 'normalizada'}</span></td>
+          <td>${alarma.reconocida ? 'Reconocida' : `<button class="btn-reconocer" data-id="${escapeHTML(alarma.id)}" onclick="reconocerAlarma(this.dataset.id)">Reconocer</button>`}</td>
+        </tr>
+      `).join('');
+
   const logsHTML = estado.logs.length === 0
     ? '<div class="log-entry info">Sin logs todavía...</div>'
     : estado.logs.map(log => `
@@ -161,6 +227,7 @@ function generarHTML() {
     .status-item .value.conectado { color: #00ff88; }
     .status-item .value.desconectado { color: #ff4757; }
     .status-item .value.info { color: #00d9ff; }
+    .status-item .value.simulado { color: #ffa500; }
     .btn-editar {
       background: transparent;
       border: none;
@@ -346,6 +413,23 @@ function generarHTML() {
     .badge.error { background: #ff475720; color: #ff4757; }
     .badge.espera { background: #ffa50020; color: #ffa500; }
     .badge.leyendo { background: #00d9ff20; color: #00d9ff; }
+    .badge.caido { background: #ff4757; color: #fff; }
+    .badge.conectado { background: #00ff8820; color: #00ff88; }
+    .badge.conectando, .badge.reconectando { background: #ffa50020; color: #ffa500; }
+    .badge.desconectado { background: #ff475720; color: #ff4757; }
+    .error-texto { color: #ff4757; font-size: 0.85rem; }
+    .concurrencia { color: #888; font-size: 0.8rem; font-weight: normal; }
+    tr.alarma-activa td { color: #ff4757; }
+    .btn-reconocer {
+      background: #ffa50020;
+      color: #ffa500;
+      border: 1px solid #ffa500;
+      padding: 4px 10px;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 0.8rem;
+    }
+    .btn-reconocer:hover { background: #ffa50040; }
 
     /* Estadísticas mini por registrador */
     .stats-mini {
@@ -356,6 +440,8 @@ function generarHTML() {
     }
     .stats-mini .stat-ok { color: #00ff88; }
     .stats-mini .stat-err { color: #ff4757; }
+    .stats-mini .stat-skip { color: #ffa500; }
+    .stats-mini .stat-held { color: #888; }
 
     /* Logs */
     .logs-container {
@@ -437,6 +523,27 @@ function generarHTML() {
     }
     .no-clave-banner span { font-weight: 500; }
 
+    /* Herramientas (escaneo de red, sondeo de mapa) */
+    .herramienta-form {
+      display: flex;
+      gap: 12px;
+      flex-wrap: wrap;
+      align-items: flex-end;
+      margin-bottom: 15px;
+    }
+    .herramienta-form .modal-field {
+      margin-bottom: 0;
+    }
+    .herramienta-form .modal-field input {
+      padding: 8px;
+      font-size: 0.85rem;
+    }
+    .herramienta-estado {
+      color: #aaa;
+      font-size: 0.85rem;
+      margin-bottom: 10px;
+    }
+
     /* Grid de dos columnas para logs */
     .logs-grid {
       display: grid;
@@ -512,6 +619,14 @@ function generarHTML() {
           <span class="label">Workspaces:</span>
           <span id="workspaces-info" class="value info">${workspacesTexto}</span>
         </div>
+        <div class="status-item">
+          <span class="label">Modbus:</span>
+          <span id="modo-modbus" class="value ${estado.modoModbus === 'simulado' ? 'simulado' : 'info'}">${estado.modoModbus === 'simulado' ? 'SIMULADO' : 'Real'}</span>
+        </div>
+        <div class="status-item">
+          <span class="label">Envío:</span>
+          <span id="cola-lecturas" class="value ${cola.ultimoError ? 'desconectado' : 'info'}" title="${cola.ultimoError ? escapeHTML(cola.ultimoError) : ''}">${formatearColaLecturas(cola)}</span>
+        </div>
         <div class="status-item">
           <span class="label">Tiempo activo:</span>
           <span id="tiempo-activo" class="value info">${tiempoActivo}</span>
@@ -519,13 +634,35 @@ function generarHTML() {
       </div>
     </div>
 
+    <div class="section">
+      <div class="section-header">
+        <h2>🚨 Alarmas (<span id="alarmas-count">${estado.alarmas.length}</span>)</h2>
+        <button class="btn-limpiar" onclick="reconocerAlarma()">Reconocer todas</button>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Registrador</th>
+            <th>Condición</th>
+            <th>Valor</th>
+            <th>Desde</th>
+            <th>Estado</th>
+            <th>Reconocimiento</th>
+          </tr>
+        </thead>
+        <tbody id="alarmas-body">
+          ${alarmasHTML}
+        </tbody>
+      </table>
+    </div>
+
     <div class="section">
       <h2>📊 Registradores (<span id="registradores-count">${estado.registradores.length}</span>)</h2>
       <table>
         <thead>
           <tr>
             <th>Nombre</th>
-            <th>IP:Puerto</th>
+            <th>Destino</th>
             <th>Registros</th>
             <th>Intervalo</th>
             <th>Próx. Lectura</th>
@@ -539,6 +676,109 @@ function generarHTML() {
       </table>
     </div>
 
+    <div class="section">
+      <h2>🔗 Conexiones Modbus (<span id="conexiones-count">${estado.conexiones.length}</span>) <span class="concurrencia" id="concurrencia">${formatearConcurrencia(obtenerEstadoConcurrencia())}</span></h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Dispositivo</th>
+            <th>Estado</th>
+            <th>Conectado desde</th>
+            <th>Reconexiones</th>
+            <th>Último error</th>
+          </tr>
+        </thead>
+        <tbody id="conexiones-body">
+          ${conexionesHTML}
+        </tbody>
+      </table>
+    </div>
+
+    <div class="section">
+      <h2>🔍 Escaneo de red</h2>
+      <div class="herramienta-form">
+        <div class="modal-field">
+          <label>Rango (CIDR)</label>
+          <input type="text" id="escaneo-cidr" placeholder="192.168.1.0/24">
+        </div>
+        <div class="modal-field">
+          <label>Puertos</label>
+          <input type="text" id="escaneo-puertos" value="502" size="10">
+        </div>
+        <div class="modal-field">
+          <label>Unit ID desde</label>
+          <input type="number" id="escaneo-unit-desde" value="1" min="0" max="255">
+        </div>
+        <div class="modal-field">
+          <label>Unit ID hasta</label>
+          <input type="number" id="escaneo-unit-hasta" value="1" min="0" max="255">
+        </div>
+        <button id="btn-escanear" class="btn-config" onclick="escanearRed()">Escanear</button>
+      </div>
+      <div id="escaneo-estado" class="herramienta-estado"></div>
+      <table>
+        <thead>
+          <tr>
+            <th>IP:Puerto</th>
+            <th>Unit ID</th>
+            <th>Latencia</th>
+            <th>Respuesta</th>
+          </tr>
+        </thead>
+        <tbody id="escaneo-body">
+          <tr><td colspan="4" class="empty">Sin escaneos todavía</td></tr>
+        </tbody>
+      </table>
+    </div>
+
+    <div class="section">
+      <h2>🧭 Sondeo de mapa de registros</h2>
+      <div class="herramienta-form">
+        <div class="modal-field">
+          <label>IP</label>
+          <input type="text" id="sondeo-ip" placeholder="192.168.1.10" size="14">
+        </div>
+        <div class="modal-field">
+          <label>Puerto</label>
+          <input type="number" id="sondeo-puerto" value="502" min="1" max="65535">
+        </div>
+        <div class="modal-field">
+          <label>Unit ID</label>
+          <input type="number" id="sondeo-unit" value="1" min="0" max="255">
+        </div>
+        <div class="modal-field">
+          <label>Función</label>
+          <input type="number" id="sondeo-funcion" value="3" min="1" max="4">
+        </div>
+        <div class="modal-field">
+          <label>Desde</label>
+          <input type="number" id="sondeo-desde" value="0" min="0" max="65535">
+        </div>
+        <div class="modal-field">
+          <label>Hasta</label>
+          <input type="number" id="sondeo-hasta" value="199" min="0" max="65535">
+        </div>
+        <div class="modal-field">
+          <label>Bloque</label>
+          <input type="number" id="sondeo-bloque" value="10" min="1" max="125">
+        </div>
+        <button id="btn-sondear" class="btn-config" onclick="sondearMapa()">Sondear</button>
+      </div>
+      <div id="sondeo-estado" class="herramienta-estado"></div>
+      <table>
+        <thead>
+          <tr>
+            <th>Rango</th>
+            <th>Resultado</th>
+            <th>Muestra</th>
+          </tr>
+        </thead>
+        <tbody id="sondeo-body">
+          <tr><td colspan="3" class="empty">Sin sondeos todavía</td></tr>
+        </tbody>
+      </table>
+    </div>
+
     <div class="logs-grid">
       <div class="section">
         <div class="section-header">
@@ -673,10 +913,36 @@ function generarHTML() {
 
         document.getElementById('tiempo-activo').textContent = formatearTiempo(estado.iniciado);
 
+        // Actualizar cola de envío de lecturas
+        if (estado.colaLecturas) {
+          const cola = estado.colaLecturas;
+          const colaEl = document.getElementById('cola-lecturas');
+          colaEl.textContent = cola.pendientes + ' pendientes'
+            + (cola.antiguedadMs !== null ? ' · más vieja hace ' + formatearEdad(cola.antiguedadMs) : '')
+            + (cola.ultimaLatenciaMs !== null ? ' · ' + cola.ultimaLatenciaMs + 'ms' : '');
+          colaEl.className = 'value ' + (cola.ultimoError ? 'desconectado' : 'info');
+          colaEl.title = cola.ultimoError || '';
+        }
+
+        // Actualizar alarmas
+        const alarmas = estado.alarmas || [];
+        document.getElementById('alarmas-count').textContent = alarmas.length;
+        document.getElementById('alarmas-body').innerHTML = generarAlarmasHTML(alarmas);
+
         // Actualizar registradores
         document.getElementById('registradores-count').textContent = estado.registradores.length;
         document.getElementById('registradores-body').innerHTML = generarRegistradoresHTML(estado.registradores, estado.estadisticasPorRegistrador || {});
 
+        // Actualizar conexiones
+        const conexiones = estado.conexiones || [];
+        document.getElementById('conexiones-count').textContent = conexiones.length;
+        document.getElementById('conexiones-body').innerHTML = generarConexionesHTML(conexiones);
+        if (estado.concurrencia) {
+          const c = estado.concurrencia;
+          document.getElementById('concurrencia').textContent = 'operaciones ' + c.enCurso + '/' + c.maximo
+            + (c.enEspera > 0 ? ', ' + c.enEspera + ' en espera' : '');
+        }
+
         // Actualizar logs del sistema SOLO si hay nuevos
         const logsContainer = document.getElementById('logs-container');
         if (estado.logs.length !== ultimoLogCount) {
@@ -712,6 +978,13 @@ function generarHTML() {
       return horas + ':' + minutos + ':' + segundos;
     }
 
+    function formatearEdad(ms) {
+      const segundos = Math.floor(ms / 1000);
+      if (segundos < 60) return segundos + 's';
+      if (segundos < 3600) return Math.floor(segundos / 60) + 'm';
+      return Math.floor(segundos / 3600) + 'h ' + Math.floor((segundos % 3600) / 60) + 'm';
+    }
+
     function generarRegistradoresHTML(registradores, estadisticasPorRegistrador) {
       if (registradores.length === 0) {
         return '<tr><td colspan="7" class="empty">No hay registradores configurados</td></tr>';
@@ -721,18 +994,21 @@ function generarHTML() {
         if (reg.estado === 'inactivo') estadoClase = 'inactivo';
         else if (reg.estado === 'activo' || reg.estado === 'leyendo') estadoClase = 'activo';
         else if (reg.estado === 'error') estadoClase = 'error';
+        else if (reg.estado === 'caido') estadoClase = 'caido';
 
         const proxLectura = reg.estado === 'inactivo' ? '---' :
           (reg.proximaLectura !== null ? reg.proximaLectura + 's' : '---');
 
         // Estadísticas individuales
-        const stats = estadisticasPorRegistrador[reg.id] || { exitosas: 0, fallidas: 0 };
-        const statsHTML = '<span class="stats-mini"><span class="stat-ok">✓' + stats.exitosas + '</span> <span class="stat-err">✗' + stats.fallidas + '</span></span>';
+        const stats = estadisticasPorRegistrador[reg.id] || { exitosas: 0, fallidas: 0, omitidas: 0, retenidas: 0 };
+        const omitidasHTML = stats.omitidas > 0 ? ' <span class="stat-skip" title="Turnos omitidos (lectura anterior en curso)">⏭' + stats.omitidas + '</span>' : '';
+        const retenidasHTML = stats.retenidas > 0 ? ' <span class="stat-held" title="Lecturas sin cambios no enviadas (banda muerta)">≈' + stats.retenidas + '</span>' : '';
+        const statsHTML = '<span class="stats-mini"><span class="stat-ok">✓' + stats.exitosas + '</span> <span class="stat-err">✗' + stats.fallidas + '</span>' + omitidasHTML + retenidasHTML + '</span>';
 
         return '<tr class="' + estadoClase + '">' +
           '<td>' + (reg.nombre || 'Sin nombre') + '</td>' +
-          '<td>' + reg.ip + ':' + reg.puerto + '</td>' +
-          '<td>[' + reg.indiceInicial + '-' + (reg.indiceInicial + reg.cantRegistros - 1) + ']</td>' +
+          '<td>' + escapeHTML(reg.destino) + '</td>' +
+          '<td>FC0' + reg.funcion + ' [' + reg.indiceInicial + '-' + (reg.indiceInicial + reg.cantRegistros - 1) + ']</td>' +
           '<td>' + reg.intervalo + 's</td>' +
           '<td>' + proxLectura + '</td>' +
           '<td>' + statsHTML + '</td>' +
@@ -741,6 +1017,37 @@ function generarHTML() {
       }).join('');
     }
 
+    function generarAlarmasHTML(alarmas) {
+      if (alarmas.length === 0) {
+        return '<tr><td colspan="6" class="empty">Sin alarmas</td></tr>';
+      }
+      return alarmas.map(alarma =>
+        '<tr class="' + (alarma.activa ? 'alarma-activa' : '') + '">' +
+        '<td>' + escapeHTML(alarma.registradorNombre || alarma.registradorId) + '</td>' +
+        '<td>' + escapeHTML(alarma.campo) + (alarma.tipo === 'alta' ? ' &gt; ' : ' &lt; ') + alarma.limite + '</td>' +
+        '<td>' + alarma.valor + '</td>' +
+        '<td>' + new Date(alarma.activadaEn).toLocaleTimeString('es-ES', { hour12: false }) + '</td>' +
+        '<td><span class="badge ' + (alarma.activa ? 'caido' : 'espera') + '">' + (alarma.activa ? 'activa' : 'normalizada') + '</span></td>' +
+        '<td>' + (alarma.reconocida ? 'Reconocida' : '<button class="btn-reconocer" data-id="' + escapeHTML(alarma.id) + '" onclick="reconocerAlarma(this.dataset.id)">Reconocer</button>') + '</td>' +
+        '</tr>'
+      ).join('');
+    }
+
+    function generarConexionesHTML(conexiones) {
+      if (conexiones.length === 0) {
+        return '<tr><td colspan="5" class="empty">Sin conexiones abiertas</td></tr>';
+      }
+      return conexiones.map(con =>
+        '<tr>' +
+        '<td>' + escapeHTML(con.clave) + '</td>' +
+        '<td><span class="badge ' + con.estado + '">' + con.estado + '</span></td>' +
+        '<td>' + (con.conectadoDesde ? new Date(con.conectadoDesde).toLocaleTimeString('es-ES', { hour12: false }) : '---') + '</td>' +
+        '<td>' + con.reconexiones + '</td>' +
+        '<td class="error-texto">' + (con.ultimoError ? escapeHTML(con.ultimoError) : '---') + '</td>' +
+        '</tr>'
+      ).join('');
+    }
+
     function generarLogsHTML(logs) {
       if (logs.length === 0) {
         return '<div class="log-entry info"><span class="timestamp"></span><span class="mensaje">Sin logs todavía...</span></div>';
@@ -774,6 +1081,20 @@ function generarHTML() {
       }
     }
 
+    // Reconocer una alarma (sin id, todas las pendientes)
+    async function reconocerAlarma(id) {
+      try {
+        const response = await fetch('/api/alarmas/reconocer', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ id }),
+        });
+        if (response.ok) actualizarEstado();
+      } catch (error) {
+        console.error('Error reconociendo alarma:', error);
+      }
+    }
+
     // Limpiar logs de registradores
     async function limpiarLogsRegistradores() {
       try {
@@ -831,6 +1152,119 @@ function generarHTML() {
       }
     }
 
+    // Escaneo de red
+    async function escanearRed() {
+      const cidr = document.getElementById('escaneo-cidr').value.trim();
+      const estadoDiv = document.getElementById('escaneo-estado');
+      const btnEscanear = document.getElementById('btn-escanear');
+
+      if (!cidr) {
+        estadoDiv.textContent = 'Ingresa un rango CIDR (ej: 192.168.1.0/24)';
+        return;
+      }
+
+      btnEscanear.disabled = true;
+      btnEscanear.textContent = 'Escaneando...';
+      estadoDiv.textContent = 'Escaneando ' + cidr + '... (el progreso se ve en el log del sistema)';
+
+      try {
+        const response = await fetch('/api/escanear', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            cidr,
+            puertos: document.getElementById('escaneo-puertos').value,
+            unitIdDesde: document.getElementById('escaneo-unit-desde').value,
+            unitIdHasta: document.getElementById('escaneo-unit-hasta').value,
+          })
+        });
+
+        const resultado = await response.json();
+
+        if (!resultado.exito) {
+          estadoDiv.textContent = 'Error: ' + (resultado.error || 'No se pudo escanear');
+          return;
+        }
+
+        estadoDiv.textContent = resultado.dispositivos.length + ' dispositivo(s) encontrado(s) en ' +
+          resultado.hostsProbados + ' host(s), ' + resultado.puertosAbiertos + ' puerto(s) abierto(s) - ' +
+          Math.round(resultado.tiempoMs / 1000) + 's';
+
+        document.getElementById('escaneo-body').innerHTML = resultado.dispositivos.length === 0
+          ? '<tr><td colspan="4" class="empty">No se encontraron dispositivos</td></tr>'
+          : resultado.dispositivos.map(d =>
+            '<tr>' +
+            '<td>' + d.ip + ':' + d.puerto + '</td>' +
+            '<td>' + d.unitId + '</td>' +
+            '<td>' + d.tiempoMs + 'ms</td>' +
+            '<td>' + (d.excepcion !== undefined ? 'Excepción ' + d.excepcion : 'OK') + '</td>' +
+            '</tr>'
+          ).join('');
+      } catch (error) {
+        estadoDiv.textContent = 'Error de conexión: ' + error.message;
+      } finally {
+        btnEscanear.disabled = false;
+        btnEscanear.textContent = 'Escanear';
+      }
+    }
+
+    // Sondeo de mapa de registros
+    async function sondearMapa() {
+      const ip = document.getElementById('sondeo-ip').value.trim();
+      const estadoDiv = document.getElementById('sondeo-estado');
+      const btnSondear = document.getElementById('btn-sondear');
+
+      if (!ip) {
+        estadoDiv.textContent = 'Ingresa la IP del dispositivo';
+        return;
+      }
+
+      btnSondear.disabled = true;
+      btnSondear.textContent = 'Sondeando...';
+      estadoDiv.textContent = 'Sondeando ' + ip + '...';
+
+      try {
+        const response = await fetch('/api/sondear', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            ip,
+            puerto: Number(document.getElementById('sondeo-puerto').value),
+            unitId: document.getElementById('sondeo-unit').value,
+            funcion: Number(document.getElementById('sondeo-funcion').value),
+            desde: Number(document.getElementById('sondeo-desde').value),
+            hasta: Number(document.getElementById('sondeo-hasta').value),
+            tamanoBloque: Number(document.getElementById('sondeo-bloque').value),
+          })
+        });
+
+        const resultado = await response.json();
+
+        if (!resultado.exito) {
+          estadoDiv.textContent = 'Error: ' + (resultado.error || 'No se pudo sondear');
+          return;
+        }
+
+        estadoDiv.textContent = resultado.legibles.length + ' bloque(s) legible(s), ' + resultado.peticiones + ' peticiones - ' +
+          Math.round(resultado.tiempoMs / 1000) + 's' + (resultado.interrumpido ? ' (interrumpido: el dispositivo dejó de responder)' : '');
+
+        const filas = []
+          .concat(resultado.legibles.map(b => ({ inicio: b.inicio, html: '<td>' + b.inicio + '-' + b.fin + '</td><td><span class="badge activo">legible</span></td><td>' + b.muestra.join(', ') + (b.cantidad > b.muestra.length ? ', ...' : '') + '</td>' })))
+          .concat(resultado.ilegales.map(b => ({ inicio: b.inicio, html: '<td>' + b.inicio + '-' + b.fin + '</td><td><span class="badge inactivo">dirección ilegal</span></td><td>---</td>' })))
+          .concat(resultado.errores.map(b => ({ inicio: b.inicio, html: '<td>' + b.inicio + '-' + b.fin + '</td><td><span class="badge error">error</span></td><td class="error-texto">' + escapeHTML(b.error || '') + '</td>' })))
+          .sort((a, b) => a.inicio - b.inicio);
+
+        document.getElementById('sondeo-body').innerHTML = filas.length === 0
+          ? '<tr><td colspan="3" class="empty">Sin resultados</td></tr>'
+          : filas.map(f => '<tr>' + f.html + '</tr>').join('');
+      } catch (error) {
+        estadoDiv.textContent = 'Error de conexión: ' + error.message;
+      } finally {
+        btnSondear.disabled = false;
+        btnSondear.textContent = 'Sondear';
+      }
+    }
+
     // Actualizar cada 2 segundos
     setInterval(actualizarEstado, 2000);
   </script>
@@ -911,6 +1345,9 @@ function inicializar(opciones = {}) {
   if (opciones.onSalir) onSalir = opciones.onSalir;
   if (opciones.onCambiarNombre) onCambiarNombre = opciones.onCambiarNombre;
   if (opciones.onReconectar) onReconectar = opciones.onReconectar;
+  if (opciones.onEscanear) onEscanear = opciones.onEscanear;
+  if (opciones.onSondear) onSondear = opciones.onSondear;
+  if (opciones.onReconocerAlarma) onReconocerAlarma = opciones.onReconocerAlarma;
 
   server = http.createServer((req, res) => {
     // Página principal
@@ -921,7 +1358,8 @@ function inicializar(opciones = {}) {
     // API: Estado actual
     else if (req.url === '/api/estado') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(estado));
+      // La antigüedad de la cola cambia con el tiempo aunque no llegue nada: se toma al momento
+      res.end(JSON.stringify({ ...estado, concurrencia: obtenerEstadoConcurrencia(), colaLecturas: obtenerEstadoCola() }));
     }
     // API: Limpiar logs del sistema
     else if (req.url === '/api/limpiar-logs' && req.method === 'POST') {
@@ -1014,6 +1452,77 @@ function inicializar(opciones = {}) {
         }
       });
     }
+    // API: Escaneo de red
+    else if (req.url === '/api/escanear' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        try {
+          const parametros = JSON.parse(body);
+
+          if (!onEscanear) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ exito: false, error: 'Función no disponible' }));
+            return;
+          }
+
+          const resultado = await onEscanear(parametros);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(resultado));
+        } catch (error) {
+          log(`Error en escaneo: ${error.message}`, 'error');
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ exito: false, error: error.message }));
+        }
+      });
+    }
+    // API: Sondeo de mapa de registros
+    else if (req.url === '/api/sondear' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', async () => {
+        try {
+          const parametros = JSON.parse(body);
+
+          if (!onSondear) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ exito: false, error: 'Función no disponible' }));
+            return;
+          }
+
+          const resultado = await onSondear(parametros);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(resultado));
+        } catch (error) {
+          log(`Error en sondeo: ${error.message}`, 'error');
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ exito: false, error: error.message }));
+        }
+      });
+    }
+    // API: Reconocer alarmas
+    else if (req.url === '/api/alarmas/reconocer' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        try {
+          const { id } = body ? JSON.parse(body) : {};
+
+          if (!onReconocerAlarma) {
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: false, error: 'Función no disponible' }));
+            return;
+          }
+
+          const reconocidas = onReconocerAlarma(id);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: true, reconocidas }));
+        } catch (error) {
+          res.writeHead(500, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ok: false, error: error.message }));
+        }
+      });
+    }
     // API: Reiniciar agente
     else if (req.url === '/api/reiniciar' && req.method === 'POST') {
       res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -1087,6 +1596,16 @@ function log(mensaje, tipo = 'info') {
   console.log(`${timestamp} ${prefijos[tipo] || '[-]'} ${mensaje}`);
 }
 
+/**
+ * Obtiene (o crea) las estadísticas de un registrador
+ */
+function obtenerEstadisticas(registradorId) {
+  if (!estado.estadisticasPorRegistrador[registradorId]) {
+    estado.estadisticasPorRegistrador[registradorId] = { exitosas: 0, fallidas: 0, omitidas: 0, retenidas: 0 };
+  }
+  return estado.estadisticasPorRegistrador[registradorId];
+}
+
 /**
  * Log específico para lecturas de registradores (va al log separado y actualiza estadísticas)
  * @param {string} registradorId - ID del registrador
@@ -1106,13 +1625,11 @@ function logRegistrador(registradorId, mensaje, exito) {
 
   // Actualizar estadísticas por registrador
   if (registradorId) {
-    if (!estado.estadisticasPorRegistrador[registradorId]) {
-      estado.estadisticasPorRegistrador[registradorId] = { exitosas: 0, fallidas: 0 };
-    }
+    const stats = obtenerEstadisticas(registradorId);
     if (exito) {
-      estado.estadisticasPorRegistrador[registradorId].exitosas++;
+      stats.exitosas++;
     } else {
-      estado.estadisticasPorRegistrador[registradorId].fallidas++;
+      stats.fallidas++;
     }
   }
 
@@ -1121,6 +1638,22 @@ function logRegistrador(registradorId, mensaje, exito) {
   console.log(`${timestamp} ${prefijo} [REG] ${mensaje}`);
 }
 
+/**
+ * Cuenta un turno de lectura omitido porque la lectura anterior del registrador seguía en curso
+ * @param {string} registradorId - ID del registrador
+ */
+function registrarTurnoOmitido(registradorId) {
+  obtenerEstadisticas(registradorId).omitidas++;
+}
+
+/**
+ * Cuenta una lectura que no se envió al backend por estar dentro de la banda muerta
+ * @param {string} registradorId - ID del registrador
+ */
+function registrarLecturaRetenida(registradorId) {
+  obtenerEstadisticas(registradorId).retenidas++;
+}
+
 function setConectado(conectado) {
   estado.conectado = conectado;
 }
@@ -1143,19 +1676,27 @@ function setWorkspaces(workspaces) {
 }
 
 function setRegistradores(registradores) {
-  estado.registradores = registradores.map((r) => ({
-    id: r.id,
-    nombre: r.nombre || r.ubicacion || 'Sin nombre',
-    ip: r.ip,
-    puerto: r.puerto,
-    indiceInicial: r.indice_inicial || r.indiceInicial || 0,
-    cantRegistros: r.cantidad_registros || r.cantidadRegistros || 10,
-    intervalo: r.intervalo_segundos || r.intervaloSegundos || 60,
-    activo: r.activo !== false,
-    estado: r.activo ? 'espera' : 'inactivo',
-    proximaLectura: null,
-    ultimaLectura: null,
-  })).sort((a, b) => a.nombre.localeCompare(b.nombre));
+  // Los cambios de configuración llegan en caliente: se conserva el estado de lectura de los que siguen activos
+  const previos = new Map(estado.registradores.map(r => [r.id, r]));
+
+  estado.registradores = registradores.map((r) => {
+    const previo = r.activo && previos.has(r.id) && previos.get(r.id).activo ? previos.get(r.id) : null;
+    return {
+      id: r.id,
+      nombre: r.nombre || r.ubicacion || 'Sin nombre',
+      ip: r.ip,
+      puerto: r.puerto,
+      destino: claveDispositivo(destinoRegistrador(r)),
+      indiceInicial: r.indice_inicial || r.indiceInicial || 0,
+      cantRegistros: r.cantidad_registros || r.cantidadRegistros || 10,
+      funcion: r.funcion || 3,
+      intervalo: r.intervalo_segundos || r.intervaloSegundos || 60,
+      activo: r.activo !== false,
+      estado: previo ? previo.estado : (r.activo ? 'espera' : 'inactivo'),
+      proximaLectura: previo ? previo.proximaLectura : null,
+      ultimaLectura: previo ? previo.ultimaLectura : null,
+    };
+  }).sort((a, b) => a.nombre.localeCompare(b.nombre));
 }
 
 function actualizarRegistrador(id, datos) {
@@ -1165,6 +1706,22 @@ function actualizarRegistrador(id, datos) {
   }
 }
 
+function setConexiones(conexiones) {
+  estado.conexiones = conexiones || [];
+}
+
+function setColaLecturas(colaLecturas) {
+  estado.colaLecturas = colaLecturas;
+}
+
+function setAlarmas(alarmas) {
+  estado.alarmas = alarmas;
+}
+
+function setModoModbus(modo) {
+  estado.modoModbus = modo;
+}
+
 function renderizar() {
   // No necesario para web, se actualiza al refrescar
 }
@@ -1185,12 +1742,18 @@ module.exports = {
   inicializar,
   log,
   logRegistrador,
+  registrarTurnoOmitido,
+  registrarLecturaRetenida,
   setConectado,
   setAgente,
   setWorkspace,
   setWorkspaces,
   setRegistradores,
   actualizarRegistrador,
+  setConexiones,
+  setColaLecturas,
+  setAlarmas,
+  setModoModbus,
   renderizar,
   destruir,
   iniciarReloj,
@@ -0,0 +1,180 @@
+// test/alarmas.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const alarmas = require('../src/servicios/alarmas');
+
+const { EVENTOS_ALARMA, TIPOS_ALARMA } = alarmas;
+
+let eventos = [];
+
+/**
+ * Registrador con una regla sobre el campo "temp"
+ */
+function registrador(regla) {
+  return { id: 'r1', nombre: 'Tablero', activo: true, alarmas: alarmas.normalizarReglas([{ campo: 'temp', ...regla }]).reglas };
+}
+
+/**
+ * Lectura exitosa con el valor del campo "temp"
+ */
+function lectura(valor) {
+  return { exito: true, valores: [], campos: [{ nombre: 'temp', valor }] };
+}
+
+test.beforeEach((t) => {
+  // Sin reglas vigentes se olvidan las condiciones de la prueba anterior
+  alarmas.alEventoAlarma(null);
+  alarmas.alCambiarEstado(null);
+  alarmas.sincronizarReglas([]);
+
+  eventos = [];
+  alarmas.alEventoAlarma(evento => eventos.push(evento));
+  t.mock.method(Date, 'now', () => 0);
+});
+
+test('normalizarReglas descarta reglas inválidas y acepta JSON serializado', () => {
+  assert.strictEqual(alarmas.normalizarReglas(null), null);
+  assert.deepStrictEqual(alarmas.normalizarReglas('{roto'), { reglas: [], descartadas: 1 });
+
+  const { reglas, descartadas } = alarmas.normalizarReglas(JSON.stringify([
+    { campo: 'temp', alto: '80', histeresis: 2, retardoSegundos: 5 },
+    { campo: 'temp' },
+    { campo: 'temp', alto: 10, bajo: 20 },
+    { campo: 'temp', alto: 'x' },
+    { campo: 'temp', bajo: 5, histeresis: -1 },
+  ]));
+  assert.strictEqual(descartadas, 4);
+  assert.deepStrictEqual(reglas, [{ campo: 'temp', alto: 80, bajo: null, histeresis: 2, retardoMs: 5000 }]);
+});
+
+test('se activa al superar el límite y se normaliza recién pasada la histéresis', () => {
+  const r = registrador({ alto: 80, histeresis: 5 });
+
+  alarmas.evaluarAlarmas(r, lectura(80));
+  assert.strictEqual(eventos.length, 0);
+
+  alarmas.evaluarAlarmas(r, lectura(81));
+  assert.strictEqual(eventos.length, 1);
+  assert.strictEqual(eventos[0].evento, EVENTOS_ALARMA.ACTIVADA);
+  assert.strictEqual(eventos[0].tipo, TIPOS_ALARMA.ALTA);
+  assert.strictEqual(eventos[0].alarmaId, 'r1:0:temp:alta');
+
+  alarmas.evaluarAlarmas(r, lectura(76));
+  assert.strictEqual(eventos.length, 1);
+
+  alarmas.evaluarAlarmas(r, lectura(75));
+  assert.strictEqual(eventos.length, 2);
+  assert.strictEqual(eventos[1].evento, EVENTOS_ALARMA.NORMALIZADA);
+});
+
+test('el límite bajo se activa por debajo y vuelve por encima de la histéresis', () => {
+  const r = registrador({ bajo: 10, histeresis: 1 });
+
+  alarmas.evaluarAlarmas(r, lectura(9));
+  alarmas.evaluarAlarmas(r, lectura(10.5));
+  alarmas.evaluarAlarmas(r, lectura(11));
+
+  assert.deepStrictEqual(eventos.map(e => [e.tipo, e.evento]), [
+    [TIPOS_ALARMA.BAJA, EVENTOS_ALARMA.ACTIVADA],
+    [TIPOS_ALARMA.BAJA, EVENTOS_ALARMA.NORMALIZADA],
+  ]);
+});
+
+test('el retardo exige que la condición se sostenga y se reinicia si vuelve', () => {
+  const r = registrador({ alto: 80, retardoSegundos: 10 });
+
+  alarmas.evaluarAlarmas(r, lectura(90));
+  Date.now.mock.mockImplementation(() => 9000);
+  alarmas.evaluarAlarmas(r, lectura(90));
+  assert.strictEqual(eventos.length, 0);
+
+  // Vuelve dentro del límite: el retardo arranca de nuevo con la próxima lectura fuera
+  Date.now.mock.mockImplementation(() => 9500);
+  alarmas.evaluarAlarmas(r, lectura(70));
+  Date.now.mock.mockImplementation(() => 10000);
+  alarmas.evaluarAlarmas(r, lectura(90));
+  Date.now.mock.mockImplementation(() => 19999);
+  alarmas.evaluarAlarmas(r, lectura(90));
+  assert.strictEqual(eventos.length, 0);
+
+  Date.now.mock.mockImplementation(() => 20000);
+  alarmas.evaluarAlarmas(r, lectura(90));
+  assert.strictEqual(eventos.length, 1);
+  assert.strictEqual(eventos[0].evento, EVENTOS_ALARMA.ACTIVADA);
+});
+
+test('un campo sin valor o una lectura fallida no cambian el estado', () => {
+  const r = registrador({ alto: 80 });
+
+  alarmas.evaluarAlarmas(r, lectura(90));
+  alarmas.evaluarAlarmas(r, lectura(null));
+  alarmas.evaluarAlarmas(r, { exito: false, valores: [] });
+
+  assert.strictEqual(eventos.length, 1);
+  assert.strictEqual(alarmas.obtenerAlarmas()[0].activa, true);
+});
+
+test('dos reglas del mismo tipo sobre un campo son alarmas distintas', () => {
+  const r = { id: 'r1', nombre: 'Tablero', activo: true, alarmas: alarmas.normalizarReglas([{ campo: 'temp', alto: 70 }, { campo: 'temp', alto: 90 }]).reglas };
+
+  alarmas.evaluarAlarmas(r, lectura(80));
+  assert.deepStrictEqual(eventos.map(e => [e.alarmaId, e.evento, e.limite]), [['r1:0:temp:alta', EVENTOS_ALARMA.ACTIVADA, 70]]);
+
+  alarmas.evaluarAlarmas(r, lectura(95));
+  assert.deepStrictEqual(eventos.map(e => [e.alarmaId, e.evento, e.limite]), [
+    ['r1:0:temp:alta', EVENTOS_ALARMA.ACTIVADA, 70],
+    ['r1:1:temp:alta', EVENTOS_ALARMA.ACTIVADA, 90],
+  ]);
+
+  // Las dos siguen vigentes con la misma configuración
+  alarmas.sincronizarReglas([r]);
+  assert.deepStrictEqual(alarmas.obtenerAlarmas().map(a => [a.id, a.limite, a.activa]), [
+    ['r1:0:temp:alta', 70, true],
+    ['r1:1:temp:alta', 90, true],
+  ]);
+});
+
+test('una alarma normalizada queda visible hasta que se reconoce', () => {
+  const r = registrador({ alto: 80 });
+
+  alarmas.evaluarAlarmas(r, lectura(90));
+  alarmas.evaluarAlarmas(r, lectura(50));
+
+  const [alarma] = alarmas.obtenerAlarmas();
+  assert.strictEqual(alarma.activa, false);
+  assert.strictEqual(alarma.reconocida, false);
+
+  assert.strictEqual(alarmas.reconocerAlarma(alarma.id), 1);
+  assert.strictEqual(eventos[eventos.length - 1].evento, EVENTOS_ALARMA.RECONOCIDA);
+  assert.deepStrictEqual(alarmas.obtenerAlarmas(), []);
+
+  // Ya reconocida no genera otro evento
+  assert.strictEqual(alarmas.reconocerAlarma(alarma.id), 0);
+});
+
+test('sin id se reconocen todas las que falten', () => {
+  const r = registrador({ alto: 80, bajo: 10 });
+
+  alarmas.evaluarAlarmas(r, lectura(90));
+  alarmas.evaluarAlarmas(r, lectura(5));
+
+  assert.strictEqual(alarmas.reconocerAlarma(), 2);
+  assert.deepStrictEqual(alarmas.obtenerAlarmas().map(a => [a.tipo, a.activa, a.reconocida]), [
+    [TIPOS_ALARMA.BAJA, true, true],
+  ]);
+});
+
+test('al quitar la regla una alarma activa se informa normalizada por configuración', () => {
+  const r = registrador({ alto: 80 });
+  const cambios = [];
+  alarmas.alCambiarEstado(lista => cambios.push(lista));
+
+  alarmas.evaluarAlarmas(r, lectura(90));
+  alarmas.sincronizarReglas([{ ...r, activo: false }]);
+
+  const ultimo = eventos[eventos.length - 1];
+  assert.strictEqual(ultimo.evento, EVENTOS_ALARMA.NORMALIZADA);
+  assert.strictEqual(ultimo.motivo, 'configuracion');
+  assert.deepStrictEqual(cambios[cambios.length - 1], []);
+});
@@ -0,0 +1,91 @@
+// test/colaLecturas.test.js
+// Cola de salida de lecturas con el buffer en un directorio temporal y el envío al backend simulado
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'cola-lecturas-'));
+process.env.LECTURAS_BUFFER_DIR = directorio;
+
+// La cola toma enviarLecturas al cargarse: se reemplaza antes de requerirla
+const restService = require('../src/servicios/restService');
+const enviados = [];
+let responder = () => ({ ok: true });
+test.mock.method(restService, 'enviarLecturas', async (lecturas) => {
+  enviados.push(lecturas.map(l => l.valor));
+  return responder(lecturas);
+});
+
+const cola = require('../src/servicios/colaLecturas');
+
+/**
+ * Lectura mínima con el valor y el timestamp dados
+ */
+function lectura(valor, timestamp = '2026-01-01T00:00:00.000Z') {
+  return { registrador_id: 'r1', timestamp, valor };
+}
+
+test.before(() => {
+  cola.iniciarCola();
+});
+
+test.beforeEach(() => {
+  enviados.length = 0;
+  responder = () => ({ ok: true });
+});
+
+test.after(async () => {
+  // Deja la cola vacía para que no quede ningún reintento programado
+  responder = () => ({ ok: true });
+  await cola.vaciarCola();
+  fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+test('un lote con ok: false y sin insertadas queda en el buffer y se reenvía', async () => {
+  const { lotesFallidos, enviadas } = cola.obtenerEstadoCola();
+  responder = () => ({ ok: false, error: 'base de datos no disponible' });
+
+  cola.encolarLectura(lectura(1));
+  cola.encolarLectura(lectura(2));
+  await cola.vaciarCola();
+
+  let estado = cola.obtenerEstadoCola();
+  assert.strictEqual(estado.pendientes, 2);
+  assert.strictEqual(estado.lotesFallidos, lotesFallidos + 1);
+  assert.strictEqual(estado.ultimoError, 'base de datos no disponible');
+
+  responder = () => ({ ok: true, insertadas: 2 });
+  await cola.vaciarCola();
+
+  estado = cola.obtenerEstadoCola();
+  assert.deepStrictEqual(enviados, [[1, 2], [1, 2]]);
+  assert.strictEqual(estado.pendientes, 0);
+  assert.strictEqual(estado.enviadas, enviadas + 2);
+});
+
+test('con insertadas el resto del lote se da por rechazado y no se reenvía', async () => {
+  const { rechazadas, enviadas } = cola.obtenerEstadoCola();
+  responder = () => ({ ok: false, insertadas: 1 });
+
+  cola.encolarLectura(lectura(1));
+  cola.encolarLectura(lectura(2));
+  cola.encolarLectura(lectura(3));
+  await cola.vaciarCola();
+
+  const estado = cola.obtenerEstadoCola();
+  assert.deepStrictEqual(enviados, [[1, 2, 3]]);
+  assert.strictEqual(estado.pendientes, 0);
+  assert.strictEqual(estado.enviadas, enviadas + 1);
+  assert.strictEqual(estado.rechazadas, rechazadas + 2);
+});
+
+test('el lote sale ordenado por timestamp aunque las lecturas se encolen desordenadas', async () => {
+  cola.encolarLectura(lectura(2, '2026-01-01T00:00:02.000Z'));
+  cola.encolarLectura(lectura(3, '2026-01-01T00:00:03.000Z'));
+  cola.encolarLectura(lectura(1, '2026-01-01T00:00:01.000Z'));
+  await cola.vaciarCola();
+
+  assert.deepStrictEqual(enviados, [[1, 2, 3]]);
+});
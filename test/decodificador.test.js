@@ -0,0 +1,104 @@
+// test/decodificador.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizarMapa, decodificarValores, valorDeCampo } = require('../src/modbus/decodificador');
+const { CODIGOS_ERROR } = require('../src/modbus/errores');
+
+/**
+ * Decodifica un solo campo sobre las palabras dadas
+ */
+function decodificar(palabras, campo) {
+  const { campos } = normalizarMapa([{ nombre: 'x', offset: 0, ...campo }]);
+  return decodificarValores(palabras, campos)[0];
+}
+
+test('normalizarMapa sin mapa devuelve null', () => {
+  assert.strictEqual(normalizarMapa(undefined), null);
+  assert.strictEqual(normalizarMapa(''), null);
+});
+
+test('normalizarMapa acepta JSON serializado y descarta campos inválidos', () => {
+  const mapa = normalizarMapa(JSON.stringify([
+    { nombre: 'tension', offset: 0, tipo: 'UINT16', escala: '0.1', unidad: 'V' },
+    { nombre: 'sinTipo', offset: 1, tipo: 'int128' },
+    { nombre: 'sinOffset', offset: -1 },
+    { offset: 2 },
+  ]));
+
+  assert.strictEqual(mapa.descartados, 3);
+  assert.deepStrictEqual(mapa.campos, [{
+    nombre: 'tension',
+    offset: 0,
+    tipo: 'uint16',
+    intercambiarBytes: false,
+    intercambiarPalabras: false,
+    escala: 0.1,
+    desplazamiento: 0,
+    unidad: 'V',
+  }]);
+});
+
+test('normalizarMapa con JSON ilegible descarta el mapa entero', () => {
+  assert.deepStrictEqual(normalizarMapa('[{'), { campos: [], descartados: 1 });
+});
+
+test('escala o desplazamiento no numérico es INVALID_CONFIG', () => {
+  for (const campo of [{ escala: 'x' }, { escala: Infinity }, { desplazamiento: 'abc' }]) {
+    assert.throws(
+      () => normalizarMapa([{ nombre: 'x', offset: 0, ...campo }]),
+      error => error.codigo === CODIGOS_ERROR.INVALID_CONFIG
+    );
+  }
+});
+
+test('escala 0 es válida y se respeta', () => {
+  assert.strictEqual(decodificar([1234], { escala: 0, desplazamiento: 5 }).valor, 5);
+});
+
+test('enteros de 16 bits con y sin signo', () => {
+  assert.strictEqual(decodificar([0xFFFF], { tipo: 'uint16' }).valor, 65535);
+  assert.strictEqual(decodificar([0xFFFF], { tipo: 'int16' }).valor, -1);
+});
+
+test('aplica escala y desplazamiento sin ruido de coma flotante', () => {
+  assert.strictEqual(decodificar([2296], { escala: 0.1 }).valor, 229.6);
+  assert.strictEqual(decodificar([100], { escala: 2, desplazamiento: -50 }).valor, 150);
+});
+
+test('float32 big-endian y con palabras intercambiadas', () => {
+  // 229.6 en IEEE 754 = 0x43659999
+  assert.strictEqual(decodificar([0x4365, 0x999A], { tipo: 'float32' }).valor, 229.6);
+  assert.strictEqual(decodificar([0x999A, 0x4365], { tipo: 'float32', intercambiarPalabras: true }).valor, 229.6);
+});
+
+test('intercambio de bytes', () => {
+  assert.strictEqual(decodificar([0x3412], { tipo: 'uint16', intercambiarBytes: true }).valor, 0x1234);
+});
+
+test('int32 y uint64', () => {
+  assert.strictEqual(decodificar([0xFFFF, 0xFFFE], { tipo: 'int32' }).valor, -2);
+  assert.strictEqual(decodificar([0, 0, 1, 0], { tipo: 'uint64' }).valor, 65536);
+});
+
+test('un campo fuera de rango o no numérico no afecta al resto', () => {
+  const { campos } = normalizarMapa([
+    { nombre: 'ok', offset: 0 },
+    { nombre: 'fuera', offset: 1, tipo: 'float32' },
+    { nombre: 'nan', offset: 0, tipo: 'float32' },
+  ]);
+  const [ok, fuera, nan] = decodificarValores([0x7FC0, 0x0000], campos);
+
+  assert.strictEqual(ok.valor, 0x7FC0);
+  assert.strictEqual(fuera.valor, null);
+  assert.match(fuera.error, /fuera del rango/);
+  assert.strictEqual(nan.valor, null);
+  assert.strictEqual(nan.error, 'Valor no numérico');
+});
+
+test('valorDeCampo por nombre con mapa y por posición sin mapa', () => {
+  assert.strictEqual(valorDeCampo({ campos: [{ nombre: 'P', valor: 12 }] }, 'P'), 12);
+  assert.strictEqual(valorDeCampo({ campos: [{ nombre: 'P', valor: 12 }] }, 'Q'), null);
+  assert.strictEqual(valorDeCampo({ valores: [7, 8] }, '1'), 8);
+  assert.strictEqual(valorDeCampo({ valores: [7, 8] }, 2), null);
+});
@@ -0,0 +1,105 @@
+// test/disyuntor.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.DISYUNTOR_UMBRAL_FALLOS = '3';
+process.env.DISYUNTOR_SONDEO_MS = '1000';
+
+const disyuntor = require('../src/modbus/disyuntor');
+const { crearError, CODIGOS_ERROR } = require('../src/modbus/errores');
+
+const CLAVE = '10.0.0.1:502';
+
+/**
+ * Abre el disyuntor con fallas de comunicación seguidas
+ */
+function abrir() {
+  for (let i = 0; i < 3; i++) disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+}
+
+test.beforeEach(() => {
+  disyuntor.reiniciarDisyuntores();
+  disyuntor.alCambiarEstado(null);
+});
+
+test('se abre al llegar al umbral de fallas seguidas', () => {
+  disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+  disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+  assert.strictEqual(disyuntor.estaCaido(CLAVE), false);
+
+  disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+  assert.strictEqual(disyuntor.estaCaido(CLAVE), true);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), false);
+});
+
+test('una excepción Modbus común cuenta como equipo vivo', () => {
+  disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+  disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+  disyuntor.registrarFallo(CLAVE, Object.assign(new Error('Illegal data address'), { modbusCode: 2 }));
+  disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+  assert.strictEqual(disyuntor.estaCaido(CLAVE), false);
+});
+
+test('el gateway sin respuesta del equipo (excepción 11) cuenta como falla', () => {
+  for (let i = 0; i < 3; i++) {
+    disyuntor.registrarFallo(CLAVE, Object.assign(new Error('Gateway target failed'), { modbusCode: 11 }));
+  }
+  assert.strictEqual(disyuntor.estaCaido(CLAVE), true);
+});
+
+test('deja pasar un solo sondeo por intervalo y se cierra si responde', (t) => {
+  const ahora = Date.now();
+  t.mock.method(Date, 'now', () => ahora);
+  abrir();
+
+  Date.now.mock.mockImplementation(() => ahora + 1000);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), true);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), false);
+
+  disyuntor.registrarExito(CLAVE);
+  assert.strictEqual(disyuntor.estaCaido(CLAVE), false);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), true);
+});
+
+test('un sondeo fallido reprograma el próximo', (t) => {
+  const ahora = Date.now();
+  t.mock.method(Date, 'now', () => ahora);
+  abrir();
+
+  Date.now.mock.mockImplementation(() => ahora + 1000);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), true);
+  disyuntor.registrarFallo(CLAVE, new Error('Timed out'));
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), false);
+
+  Date.now.mock.mockImplementation(() => ahora + 2000);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), true);
+});
+
+test('un sondeo con error de configuración no deja el disyuntor trabado', (t) => {
+  const ahora = Date.now();
+  t.mock.method(Date, 'now', () => ahora);
+  abrir();
+
+  Date.now.mock.mockImplementation(() => ahora + 1000);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), true);
+  disyuntor.registrarFallo(CLAVE, crearError(CODIGOS_ERROR.INVALID_CONFIG, 'Registrador inválido'));
+  assert.strictEqual(disyuntor.estaCaido(CLAVE), true);
+
+  Date.now.mock.mockImplementation(() => ahora + 2000);
+  assert.strictEqual(disyuntor.permitirLectura(CLAVE), true);
+});
+
+test('un error de configuración no cuenta como falla del equipo', () => {
+  for (let i = 0; i < 5; i++) {
+    disyuntor.registrarFallo(CLAVE, crearError(CODIGOS_ERROR.INVALID_CONFIG, 'Registrador inválido'));
+  }
+  assert.strictEqual(disyuntor.estaCaido(CLAVE), false);
+});
+
+test('notifica las transiciones', () => {
+  const transiciones = [];
+  disyuntor.alCambiarEstado((clave, nuevo, anterior) => transiciones.push(`${anterior}>${nuevo}`));
+  abrir();
+  disyuntor.registrarExito(CLAVE);
+  assert.deepStrictEqual(transiciones, ['cerrado>abierto', 'abierto>cerrado']);
+});
@@ -0,0 +1,65 @@
+// test/escrituras.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.SOLO_LECTURA = 'false';
+
+const { cargarPermitidas, cargarEjecutados, ejecutarComandoEscritura } = require('../src/modbus/escrituras');
+
+const REGISTRADOR = { id: 'r1', nombre: 'Variador', ip: '127.0.0.1', puerto: 502, unit_id: 1 };
+
+let directorio;
+
+/**
+ * Escribe una lista blanca en el directorio temporal y la carga
+ */
+function cargar(contenido) {
+  const ruta = path.join(directorio, 'escrituras.json');
+  fs.writeFileSync(ruta, JSON.stringify(contenido));
+  return cargarPermitidas(ruta);
+}
+
+test.beforeEach(() => {
+  directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'escrituras-'));
+  cargarEjecutados(path.join(directorio, 'ejecutados.json'));
+});
+
+test.afterEach(() => {
+  fs.rmSync(directorio, { recursive: true, force: true });
+});
+
+test('acepta direcciones sueltas y rangos', () => {
+  assert.strictEqual(cargar({ r1: { holding: ['100', 101, ' 200-202 '], coils: [0] } }), 1);
+});
+
+test('rechaza la lista blanca entera si una dirección no es válida', () => {
+  for (const item of ['-5', '3-', 'a-b', '5-3', '1.5', '']) {
+    assert.throws(() => cargar({ r1: { holding: ['100', item] } }), /Registrador r1, holding: dirección o rango inválido/, item);
+  }
+  assert.throws(() => cargar({ r1: { coils: '5' } }), /se esperaba una lista/);
+});
+
+test('una lista blanca rechazada no deja nada escribible', async () => {
+  cargar({ r1: { holding: ['100'] } });
+  assert.throws(() => cargar({ r1: { holding: ['100'] }, r2: { holding: ['-5'] } }));
+
+  const resultado = await ejecutarComandoEscritura({ id: 'c1', tipo: 'registro', direccion: 100, valor: 1 }, REGISTRADOR);
+  assert.strictEqual(resultado.rechazado, true);
+});
+
+test('un comando rechazado no queda registrado como ejecutado', async () => {
+  cargar({ r1: { holding: ['100'] } });
+
+  const comando = { id: 'c1', tipo: 'registro', direccion: 5, valor: 1 };
+  const resultado = await ejecutarComandoEscritura(comando, REGISTRADOR);
+  assert.strictEqual(resultado.rechazado, true);
+  assert.match(resultado.error, /Dirección 5 \(holding\) no habilitada/);
+  assert.strictEqual(fs.existsSync(path.join(directorio, 'ejecutados.json')), false);
+
+  // Si vuelve a llegar se valida de nuevo en lugar de devolver un resultado guardado
+  const otraVez = await ejecutarComandoEscritura(comando, REGISTRADOR);
+  assert.strictEqual(otraVez.repetido, undefined);
+});
@@ -0,0 +1,73 @@
+// test/expresiones.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { compilarExpresion, evaluarExpresion, esNombreReservado } = require('../src/servicios/expresiones');
+
+/**
+ * Compila y evalúa una expresión
+ */
+function calcular(texto, valores = {}) {
+  return evaluarExpresion(compilarExpresion(texto, Object.keys(valores)), valores);
+}
+
+test('variables y funciones', () => {
+  assert.strictEqual(calcular('V * I * pf', { V: 220, I: 10, pf: 0.5 }), 1100);
+  assert.strictEqual(calcular('sqrt(x) + abs(-2)', { x: 9 }), 5);
+  assert.strictEqual(calcular('max(1, y, 3)', { y: 7 }), 7);
+  assert.strictEqual(calcular('atan2(1, 1) * 4'), Math.PI);
+  assert.strictEqual(calcular('2 * pi'), 2 * Math.PI);
+});
+
+test('precedencia y asociatividad', () => {
+  assert.strictEqual(calcular('1 + 2 * 3'), 7);
+  assert.strictEqual(calcular('(1 + 2) * 3'), 9);
+  assert.strictEqual(calcular('10 - 4 - 3'), 3);
+  assert.strictEqual(calcular('7 % 4 * 2'), 6);
+  assert.strictEqual(calcular('2 ^ 3 ^ 2'), 512);
+  assert.strictEqual(calcular('2 ** 3'), 8);
+  assert.strictEqual(calcular('-2 ^ 2'), -4);
+  assert.strictEqual(calcular('2 ^ -1'), 0.5);
+});
+
+test('números con decimales y notación científica', () => {
+  assert.strictEqual(calcular('.5 + 1.'), 1.5);
+  assert.strictEqual(calcular('1.5e3 + 2E-1'), 1500.2);
+});
+
+test('la división por cero da un resultado no finito', () => {
+  assert.strictEqual(calcular('x / 0', { x: 1 }), Infinity);
+  assert.ok(Number.isNaN(calcular('0 / 0')));
+});
+
+test('errores de sintaxis', () => {
+  const casos = [
+    ['', /vacía/],
+    ['1 +', /incompleta/],
+    ['(1 + 2', /Se esperaba "\)"/],
+    ['1 2', /Símbolo inesperado "2"/],
+    ['x; y', /Carácter no permitido ";"/],
+    ['a.b', /Carácter no permitido "\."/],
+    ['1'.repeat(501), /demasiado larga/],
+  ];
+
+  for (const [texto, mensaje] of casos) {
+    assert.throws(() => compilarExpresion(texto, ['x', 'y']), mensaje, texto);
+  }
+});
+
+test('solo acepta las variables declaradas y las funciones permitidas', () => {
+  assert.throws(() => compilarExpresion('V * I', ['V']), /Variable desconocida "I"/);
+  assert.throws(() => compilarExpresion('eval(1)'), /Función desconocida "eval"/);
+  assert.throws(() => compilarExpresion('constructor(1)'), /Función desconocida "constructor"/);
+  assert.throws(() => compilarExpresion('__proto__'), /Variable desconocida "__proto__"/);
+  assert.throws(() => compilarExpresion('sqrt(1, 2)'), /sqrt\(\) espera 1 argumento/);
+  assert.throws(() => compilarExpresion('min()'), /min\(\) espera al menos 1 argumento/);
+});
+
+test('nombres reservados', () => {
+  assert.strictEqual(esNombreReservado('sqrt'), true);
+  assert.strictEqual(esNombreReservado('pi'), true);
+  assert.strictEqual(esNombreReservado('V'), false);
+  assert.strictEqual(esNombreReservado('toString'), false);
+});
@@ -0,0 +1,194 @@
+// test/gestorConexiones.test.js
+// Pool de conexiones contra el simulador Modbus local (sockets reales en loopback)
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+// Separación entre peticiones al mismo equipo y cupo de operaciones del agente
+process.env.MODBUS_SEPARACION_MS = '40';
+process.env.MODBUS_MAX_CONCURRENCIA = '2';
+
+const gestor = require('../src/modbus/gestorConexiones');
+const { iniciarSimulador, detenerSimulador } = require('../src/simulador/servidorModbus');
+
+const logOriginal = console.log;
+let puertos = [];
+
+/**
+ * Obtiene un puerto TCP libre en loopback
+ */
+function puertoLibre() {
+  return new Promise((resolve) => {
+    const sonda = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = sonda.address();
+      sonda.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Lee un holding register del dispositivo del puerto dado a través del pool
+ */
+function leer(puerto, direccion = 0) {
+  return gestor.ejecutarEnConexion({ ip: '127.0.0.1', puerto, timeoutMs: 2000 }, async (cliente) => {
+    const { data } = await cliente.readHoldingRegisters(direccion, 1);
+    return data[0];
+  });
+}
+
+/**
+ * Espera (sondeando) a que se cumpla una condición
+ */
+async function esperarQue(condicion, limiteMs = 2000) {
+  const limite = Date.now() + limiteMs;
+  while (!condicion()) {
+    if (Date.now() > limite) throw new Error('La condición no se cumplió a tiempo');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+/**
+ * Estado de la conexión del pool hacia un puerto
+ */
+function conexion(puerto) {
+  return gestor.obtenerEstadoConexiones().find(c => c.clave === `127.0.0.1:${puerto}`);
+}
+
+test.before(async () => {
+  puertos = [await puertoLibre(), await puertoLibre(), await puertoLibre()];
+  // El simulador anuncia cada dispositivo por consola
+  console.log = () => {};
+  await iniciarSimulador({
+    dispositivos: puertos.map((puerto, i) => ({ nombre: `Equipo ${i}`, puerto, unitId: 1, holding: { 0: [100 + i, 7] } })),
+  });
+});
+
+test.after(() => {
+  gestor.cerrarTodas();
+  detenerSimulador();
+  console.log = logOriginal;
+});
+
+test('las lecturas a un mismo equipo comparten una sola conexión persistente', async () => {
+  assert.strictEqual(await leer(puertos[0]), 100);
+  const { conectadoDesde } = conexion(puertos[0]);
+
+  assert.strictEqual(await leer(puertos[0], 1), 7);
+  assert.strictEqual(await leer(puertos[0]), 100);
+
+  const estado = conexion(puertos[0]);
+  assert.strictEqual(estado.estado, 'conectado');
+  assert.strictEqual(estado.conectadoDesde, conectadoDesde);
+  assert.strictEqual(estado.reconexiones, 0);
+  assert.strictEqual(gestor.obtenerEstadoConexiones().filter(c => c.puerto === puertos[0]).length, 1);
+});
+
+test('una excepción Modbus no descarta la conexión', async () => {
+  await leer(puertos[0]);
+  const { conectadoDesde } = conexion(puertos[0]);
+
+  await assert.rejects(leer(puertos[0], 50), error => error.modbusCode === 2);
+  assert.strictEqual(await leer(puertos[0]), 100);
+  assert.strictEqual(conexion(puertos[0]).conectadoDesde, conectadoDesde);
+});
+
+test('cerrarTodas vacía el pool y la próxima lectura reconecta', async () => {
+  await leer(puertos[0]);
+  gestor.cerrarTodas();
+  assert.deepStrictEqual(gestor.obtenerEstadoConexiones(), []);
+
+  assert.strictEqual(await leer(puertos[0]), 100);
+  assert.strictEqual(conexion(puertos[0]).estado, 'conectado');
+});
+
+test('las peticiones a un mismo equipo van de a una, en orden de llegada y con la separación configurada', async () => {
+  const eventos = [];
+  const tarea = n => gestor.ejecutarEnConexion({ ip: '127.0.0.1', puerto: puertos[1], timeoutMs: 2000 }, async (cliente) => {
+    const evento = { n, inicio: Date.now() };
+    eventos.push(evento);
+    await cliente.readHoldingRegisters(0, 1);
+    evento.fin = Date.now();
+    return n;
+  });
+
+  assert.deepStrictEqual(await Promise.all([tarea(1), tarea(2), tarea(3)]), [1, 2, 3]);
+  assert.deepStrictEqual(eventos.map(e => e.n), [1, 2, 3]);
+
+  // Los timers de Node pueden adelantarse un milisegundo
+  for (let i = 1; i < eventos.length; i++) {
+    assert.ok(eventos[i].inicio - eventos[i - 1].fin >= 39, `separación ${eventos[i].inicio - eventos[i - 1].fin}ms`);
+  }
+});
+
+test('una petición que falla no frena las que esperan detrás', async () => {
+  const [fallida, siguiente] = await Promise.allSettled([
+    gestor.ejecutarEnConexion({ ip: '127.0.0.1', puerto: puertos[1], timeoutMs: 2000 }, async () => { throw new Error('falla de la operación'); }),
+    leer(puertos[1]),
+  ]);
+
+  assert.strictEqual(fallida.status, 'rejected');
+  assert.deepStrictEqual(siguiente, { status: 'fulfilled', value: 101 });
+  assert.strictEqual(conexion(puertos[1]).enCola, 0);
+});
+
+test('equipos distintos no se esperan entre sí', async () => {
+  let soltar;
+  let avisarInicio;
+  const empezo = new Promise((resolve) => { avisarInicio = resolve; });
+  const bloqueada = gestor.ejecutarEnConexion({ ip: '127.0.0.1', puerto: puertos[1], timeoutMs: 2000 }, () => new Promise((resolve) => {
+    soltar = resolve;
+    avisarInicio();
+  }));
+  await empezo;
+
+  assert.strictEqual(await leer(puertos[2]), 102);
+
+  // Mientras tanto la cola del equipo bloqueado sigue esperando
+  const detras = leer(puertos[1]);
+  assert.strictEqual(conexion(puertos[1]).enCola, 2);
+
+  soltar();
+  await bloqueada;
+  assert.strictEqual(await detras, 101);
+});
+
+test('no pasa del máximo de operaciones simultáneas y atiende las esperas en orden', async () => {
+  const { esperas } = gestor.obtenerEstadoConcurrencia();
+  const soltar = new Map();
+  const empezadas = [];
+
+  const bloquear = puerto => gestor.ejecutarEnConexion({ ip: '127.0.0.1', puerto, timeoutMs: 2000 }, () => new Promise((resolve) => {
+    empezadas.push(puerto);
+    soltar.set(puerto, resolve);
+  }));
+
+  const operaciones = puertos.map(bloquear);
+  await esperarQue(() => gestor.obtenerEstadoConcurrencia().enEspera === 1);
+
+  assert.strictEqual(empezadas.length, 2);
+  assert.deepStrictEqual(gestor.obtenerEstadoConcurrencia(), { maximo: 2, enCurso: 2, enEspera: 1, esperas: esperas + 1 });
+
+  // Al liberar un cupo pasa directo la operación que esperaba
+  soltar.get(empezadas[0])();
+  await esperarQue(() => empezadas.length === 3);
+  assert.strictEqual(gestor.obtenerEstadoConcurrencia().enCurso, 2);
+
+  for (const puerto of empezadas.slice(1)) soltar.get(puerto)();
+  await Promise.all(operaciones);
+  assert.deepStrictEqual(gestor.obtenerEstadoConcurrencia(), { maximo: 2, enCurso: 0, enEspera: 0, esperas: esperas + 1 });
+});
+
+test('un equipo ocupa como mucho un cupo aunque tenga peticiones encoladas', async () => {
+  let soltar;
+  const primera = gestor.ejecutarEnConexion({ ip: '127.0.0.1', puerto: puertos[0], timeoutMs: 2000 }, () => new Promise((resolve) => { soltar = resolve; }));
+  const segunda = leer(puertos[0]);
+  await esperarQue(() => soltar !== undefined);
+
+  // El otro cupo queda libre para el resto de los equipos
+  assert.strictEqual(gestor.obtenerEstadoConcurrencia().enCurso, 1);
+  assert.strictEqual(await leer(puertos[2]), 102);
+
+  soltar();
+  await primera;
+  assert.strictEqual(await segunda, 100);
+});
@@ -0,0 +1,159 @@
+// test/planificador.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.POLLING_ALINEAR_RELOJ = 'true';
+
+const planificador = require('../src/modbus/planificador');
+
+/**
+ * Deja correr las promesas pendientes (ejecuciones de tareas y sus finally)
+ */
+async function vaciarMicrotareas() {
+  for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+test.beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 1000000 + 250 });
+  planificador.alPerderTurnos(null);
+  planificador.alOmitirTurno(null);
+  planificador.alFallarTurno(null);
+});
+
+test.afterEach(() => {
+  planificador.cancelarTodas();
+});
+
+test('una tarea nueva espera su primer turno de la grilla alineada', async (t) => {
+  const turnos = [];
+  const { proxima, origen } = planificador.programar('a', { intervaloMs: 1000 }, turno => turnos.push(turno));
+  await vaciarMicrotareas();
+
+  assert.strictEqual(origen, 0);
+  assert.strictEqual(proxima, 1001000);
+  assert.deepStrictEqual(turnos, []);
+
+  t.mock.timers.tick(749);
+  await vaciarMicrotareas();
+  assert.deepStrictEqual(turnos, []);
+
+  t.mock.timers.tick(1);
+  await vaciarMicrotareas();
+  t.mock.timers.tick(1000);
+  await vaciarMicrotareas();
+  assert.deepStrictEqual(turnos, [1001000, 1002000]);
+});
+
+test('una tarea sumada a la grilla de otra lee en el mismo turno', async (t) => {
+  const turnos = [];
+  planificador.programar('a', { intervaloMs: 1000 }, turno => turnos.push(['a', turno]));
+
+  t.mock.timers.tick(1250);
+  await vaciarMicrotareas();
+  planificador.programar('b', { intervaloMs: 1000, origen: planificador.origenDe('a') }, turno => turnos.push(['b', turno]));
+  await vaciarMicrotareas();
+  assert.deepStrictEqual(turnos, [['a', 1001000]]);
+
+  t.mock.timers.tick(750);
+  await vaciarMicrotareas();
+  assert.deepStrictEqual(turnos, [['a', 1001000], ['a', 1002000], ['b', 1002000]]);
+});
+
+test('la fase desplaza la grilla respecto del borde del reloj', async (t) => {
+  const turnos = [];
+  planificador.programar('a', { intervaloMs: 1000, faseMs: 500 }, turno => turnos.push(turno));
+  await vaciarMicrotareas();
+
+  t.mock.timers.tick(250);
+  await vaciarMicrotareas();
+  assert.deepStrictEqual(turnos, [1000500]);
+});
+
+test('al reprogramar se sigue con la grilla nueva', async (t) => {
+  const turnos = [];
+  planificador.programar('a', { intervaloMs: 1000 }, () => turnos.push('vieja'));
+  await vaciarMicrotareas();
+  planificador.programar('a', { intervaloMs: 2000 }, turno => turnos.push(turno));
+  await vaciarMicrotareas();
+  assert.deepStrictEqual(turnos, []);
+
+  t.mock.timers.tick(1750);
+  await vaciarMicrotareas();
+  assert.deepStrictEqual(turnos, [1002000]);
+});
+
+test('un turno que llega con la ejecución anterior en curso se omite', async (t) => {
+  const omitidos = [];
+  planificador.alOmitirTurno((id, total) => omitidos.push(total));
+
+  let terminar;
+  let ejecuciones = 0;
+  planificador.programar('a', { intervaloMs: 1000 }, () => {
+    ejecuciones++;
+    return new Promise((resolve) => { terminar = resolve; });
+  });
+
+  t.mock.timers.tick(750);
+  await vaciarMicrotareas();
+  t.mock.timers.tick(1000);
+  await vaciarMicrotareas();
+  assert.strictEqual(ejecuciones, 1);
+  assert.deepStrictEqual(omitidos, [1]);
+
+  terminar();
+  await vaciarMicrotareas();
+  t.mock.timers.tick(1000);
+  await vaciarMicrotareas();
+  assert.strictEqual(ejecuciones, 2);
+});
+
+test('los turnos perdidos se informan y solo se ejecuta el más reciente', async (t) => {
+  const perdidos = [];
+  const turnos = [];
+  planificador.alPerderTurnos((id, cantidad, desde) => perdidos.push([cantidad, desde.getTime()]));
+  planificador.programar('a', { intervaloMs: 1000 }, turno => turnos.push(turno));
+  await vaciarMicrotareas();
+
+  // El reloj salta 3,5 s sin que el timer llegue a tiempo (proceso bloqueado)
+  t.mock.timers.setTime(1003750);
+  t.mock.timers.tick(0);
+  await vaciarMicrotareas();
+
+  assert.deepStrictEqual(perdidos, [[2, 1001000]]);
+  assert.deepStrictEqual(turnos, [1003000]);
+});
+
+test('una tarea que falla se cuenta y no deja el turno ocupado', async (t) => {
+  const fallas = [];
+  planificador.alFallarTurno((id, error, total) => fallas.push([id, error.message, total]));
+
+  let ejecuciones = 0;
+  planificador.programar('a', { intervaloMs: 1000 }, () => {
+    ejecuciones++;
+    throw new Error('boom');
+  });
+
+  t.mock.timers.tick(750);
+  await vaciarMicrotareas();
+  t.mock.timers.tick(1000);
+  await vaciarMicrotareas();
+
+  assert.strictEqual(ejecuciones, 2);
+  assert.deepStrictEqual(fallas, [['a', 'boom', 1], ['a', 'boom', 2]]);
+});
+
+test('un origen explícito comparte la grilla de otra tarea', async () => {
+  planificador.programar('a', { intervaloMs: 1000, faseMs: 300 }, () => {});
+  const origen = planificador.origenDe('a');
+  const { origen: compartido } = planificador.programar('b', { intervaloMs: 1000, faseMs: 700, origen }, () => {});
+
+  assert.strictEqual(compartido, origen);
+  assert.strictEqual(planificador.estaProgramada('b'), true);
+  assert.strictEqual(planificador.cancelar('b'), true);
+  assert.strictEqual(planificador.estaProgramada('b'), false);
+});
+
+test('cuentas regresivas en segundos hasta el próximo turno', async () => {
+  planificador.programar('a', { intervaloMs: 5000 }, () => {});
+  assert.strictEqual(planificador.cuentasRegresivas().get('a'), 5);
+});
@@ -0,0 +1,96 @@
+// test/reportePorExcepcion.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.REPORTE_KEEPALIVE_MINUTOS = '10';
+
+const reporte = require('../src/servicios/reportePorExcepcion');
+
+const MINUTO = 60 * 1000;
+
+/**
+ * Lectura exitosa con palabras crudas (sin mapa)
+ */
+function lectura(...valores) {
+  return { exito: true, valores };
+}
+
+test.beforeEach((t) => {
+  reporte.olvidarReportes();
+  t.mock.method(Date, 'now', () => 0);
+});
+
+test('sin banda muerta se envía todo', () => {
+  const registrador = { id: 'r1' };
+  assert.strictEqual(reporte.politicaReporte(registrador), null);
+  assert.deepStrictEqual(reporte.evaluarReporte(registrador, lectura(1)), { reportar: true, motivo: 'siempre' });
+  assert.deepStrictEqual(reporte.evaluarReporte(registrador, lectura(1)), { reportar: true, motivo: 'siempre' });
+});
+
+test('la política toma el keep-alive del registrador o el de la configuración', () => {
+  assert.deepStrictEqual(reporte.politicaReporte({ banda_muerta: '0.5' }), { absoluta: 0.5, porcentaje: null, keepaliveMs: 10 * MINUTO });
+  assert.deepStrictEqual(reporte.politicaReporte({ banda_muerta_porcentaje: 2, reporte_maximo_minutos: 3 }), { absoluta: null, porcentaje: 2, keepaliveMs: 3 * MINUTO });
+  // Una banda negativa o no numérica no cuenta
+  assert.strictEqual(reporte.politicaReporte({ banda_muerta: -1, banda_muerta_porcentaje: 'x' }), null);
+});
+
+test('banda absoluta: solo sale lo que se mueve más que la banda respecto de lo último enviado', () => {
+  const registrador = { id: 'r1', banda_muerta: 1 };
+
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(10, 20)).motivo, 'primera');
+  assert.deepStrictEqual(reporte.evaluarReporte(registrador, lectura(10.5, 20)), { reportar: false, motivo: 'sin-cambios' });
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(11, 20)).reportar, false);
+
+  // La referencia es lo enviado (10), no la última lectura: se acumula la deriva
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(11.5, 20)).motivo, 'cambio');
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(12, 20)).reportar, false);
+
+  // Alcanza con que se mueva un valor cualquiera
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(11.5, 18)).motivo, 'cambio');
+});
+
+test('banda porcentual sobre el valor enviado', () => {
+  const registrador = { id: 'r1', banda_muerta_porcentaje: 10 };
+
+  reporte.evaluarReporte(registrador, lectura(200));
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(219)).reportar, false);
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(179)).motivo, 'cambio');
+});
+
+test('el keep-alive fuerza un envío sin cambios', () => {
+  const registrador = { id: 'r1', banda_muerta: 5, reporte_maximo_minutos: 1 };
+
+  reporte.evaluarReporte(registrador, lectura(10));
+  Date.now.mock.mockImplementation(() => MINUTO - 1);
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(10)).reportar, false);
+
+  Date.now.mock.mockImplementation(() => MINUTO);
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(10)).motivo, 'keepalive');
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(10)).reportar, false);
+});
+
+test('una lectura fallida se envía y hace salir la próxima exitosa', () => {
+  const registrador = { id: 'r1', banda_muerta: 5 };
+
+  reporte.evaluarReporte(registrador, lectura(10));
+  assert.deepStrictEqual(reporte.evaluarReporte(registrador, { exito: false, valores: [] }), { reportar: true, motivo: 'error' });
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(10)).motivo, 'primera');
+});
+
+test('con mapa se comparan los campos decodificados y un valor no numérico cuenta como cambio', () => {
+  const registrador = { id: 'r1', banda_muerta: 1 };
+  const conCampos = valor => ({ exito: true, valores: [1, 2], campos: [{ nombre: 'temp', valor }] });
+
+  reporte.evaluarReporte(registrador, conCampos(20));
+  assert.strictEqual(reporte.evaluarReporte(registrador, conCampos(20.5)).reportar, false);
+  assert.strictEqual(reporte.evaluarReporte(registrador, conCampos(null)).motivo, 'cambio');
+  assert.strictEqual(reporte.evaluarReporte(registrador, conCampos(null)).reportar, false);
+});
+
+test('olvidarReporte hace salir la próxima lectura de ese registrador', () => {
+  const registrador = { id: 'r1', banda_muerta: 5 };
+
+  reporte.evaluarReporte(registrador, lectura(10));
+  reporte.olvidarReporte('r1');
+  assert.strictEqual(reporte.evaluarReporte(registrador, lectura(10)).motivo, 'primera');
+});
@@ -0,0 +1,63 @@
+// test/sondeoMapa.test.js
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+const { sondearMapa, unidadSondeo } = require('../src/modbus/sondeoMapa');
+const { cerrarTodas } = require('../src/modbus/gestorConexiones');
+const { iniciarSimulador, detenerSimulador } = require('../src/simulador/servidorModbus');
+
+let puerto;
+const logOriginal = console.log;
+
+/**
+ * Obtiene un puerto TCP libre en loopback
+ */
+function puertoLibre() {
+  return new Promise((resolve) => {
+    const sonda = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = sonda.address();
+      sonda.close(() => resolve(port));
+    });
+  });
+}
+
+test.before(async () => {
+  puerto = await puertoLibre();
+  // El simulador anuncia cada dispositivo por consola
+  console.log = () => {};
+  await iniciarSimulador({
+    dispositivos: [{ nombre: 'Medidor', puerto, unitId: 1, holding: { 0: [10, 11, 12, 13] } }],
+  });
+});
+
+test.after(() => {
+  cerrarTodas();
+  detenerSimulador();
+  console.log = logOriginal;
+});
+
+test('unidadSondeo conserva el 0 y solo cae al 1 sin valor o con uno inválido', () => {
+  assert.strictEqual(unidadSondeo(0), 0);
+  assert.strictEqual(unidadSondeo('0'), 0);
+  assert.strictEqual(unidadSondeo('7'), 7);
+  for (const valor of [undefined, null, '', 'x', 1.5, -1, 256]) {
+    assert.strictEqual(unidadSondeo(valor), 1, String(valor));
+  }
+});
+
+test('sondea el rango y separa lo legible de lo ilegal', async () => {
+  const resultado = await sondearMapa({ ip: '127.0.0.1', puerto, unitId: '', desde: 0, hasta: 5, tamanoBloque: 6 });
+
+  assert.deepStrictEqual(resultado.legibles, [{ inicio: 0, fin: 3, cantidad: 4, muestra: [10, 11, 12, 13] }]);
+  assert.deepStrictEqual(resultado.ilegales, [{ inicio: 4, fin: 5 }]);
+});
+
+test('el unit ID 0 llega al equipo en lugar de cambiarse por el 1', async () => {
+  // El simulador no tiene unidad 0: responde como un gateway sin ese esclavo (excepción 11)
+  const resultado = await sondearMapa({ ip: '127.0.0.1', puerto, unitId: 0, desde: 0, hasta: 3, tamanoBloque: 4 });
+
+  assert.deepStrictEqual(resultado.legibles, []);
+  assert.strictEqual(resultado.errores.length, 1);
+  assert.deepStrictEqual([resultado.errores[0].inicio, resultado.errores[0].fin], [0, 3]);
+});
@@ -0,0 +1,230 @@
+// test/transportes.test.js
+// Lecturas por cada transporte contra el simulador Modbus local (sockets TCP y UDP reales en loopback,
+// un par de pseudoterminales haciendo de cable serie y certificados TLS generados con openssl)
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { execFileSync, spawn } = require('child_process');
+
+const { leerRegistrosModbus } = require('../src/modbus/clienteModbus');
+const { obtenerEstadoConexiones, cerrarTodas } = require('../src/modbus/gestorConexiones');
+const { CODIGOS_ERROR } = require('../src/modbus/errores');
+const { iniciarSimulador, detenerSimulador } = require('../src/simulador/servidorModbus');
+
+// Abre dos pseudoterminales y copia los bytes entre sus extremos maestros: los esclavos quedan
+// unidos como un cable null-modem; imprime las rutas y termina cuando se cierra su entrada
+const CABLE_SERIE = `
+import os, pty, select, sys, tty
+a, sa = pty.openpty()
+b, sb = pty.openpty()
+tty.setraw(sa)
+tty.setraw(sb)
+print(os.ttyname(sa), os.ttyname(sb), flush=True)
+pares = {a: b, b: a}
+while True:
+    listos, _, _ = select.select([a, b, sys.stdin], [], [])
+    if sys.stdin in listos:
+        break
+    for origen in listos:
+        os.write(pares[origen], os.read(origen, 4096))
+`;
+
+const logOriginal = console.log;
+const warnOriginal = console.warn;
+const errorOriginal = console.error;
+let cable;
+let rutas;
+let puertoRtuTcp;
+let puertoUdp;
+let puertoTls;
+let certificados;
+
+/**
+ * Obtiene un puerto TCP libre en loopback
+ */
+function puertoLibre() {
+  return new Promise((resolve) => {
+    const sonda = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = sonda.address();
+      sonda.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Genera con openssl una CA, el certificado del equipo (SAN 127.0.0.1) y certificados de cliente
+ * firmados por la CA, más uno autofirmado que la CA no reconoce
+ * @returns {string} Directorio temporal con los .pem y .key
+ */
+function generarCertificados() {
+  const directorio = fs.mkdtempSync(path.join(os.tmpdir(), 'modbus-tls-'));
+  const archivo = nombre => path.join(directorio, nombre);
+  const openssl = (nombre, asunto, extra = []) => execFileSync('openssl', [
+    'req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes', '-days', '365',
+    '-subj', `/CN=${asunto}`, '-keyout', archivo(`${nombre}.key`), '-out', archivo(`${nombre}.pem`), ...extra,
+  ], { stdio: 'ignore' });
+
+  const firmadoPorCa = ['-CA', archivo('ca.pem'), '-CAkey', archivo('ca.key')];
+  openssl('ca', 'CA de prueba');
+  openssl('equipo', 'Equipo TLS', [...firmadoPorCa, '-addext', 'subjectAltName=IP:127.0.0.1']);
+  openssl('agente', 'Agente', firmadoPorCa);
+  openssl('otro-agente', 'Otro agente', firmadoPorCa);
+  openssl('intruso', 'Intruso');
+
+  return directorio;
+}
+
+/**
+ * Certificados propios de un registrador TLS a partir de los archivos generados
+ */
+function credenciales(cliente, ca = 'ca') {
+  return {
+    ca: path.join(certificados, `${ca}.pem`),
+    certificado: path.join(certificados, `${cliente}.pem`),
+    clave: path.join(certificados, `${cliente}.key`),
+  };
+}
+
+/**
+ * Levanta el cable serie virtual y devuelve las rutas de sus dos extremos
+ */
+function tenderCable() {
+  cable = spawn('python3', ['-c', CABLE_SERIE], { stdio: ['pipe', 'pipe', 'inherit'] });
+  return new Promise((resolve, reject) => {
+    cable.once('error', reject);
+    readline.createInterface({ input: cable.stdout }).once('line', linea => resolve(linea.trim().split(' ')));
+  });
+}
+
+test.before(async () => {
+  rutas = await tenderCable();
+  puertoRtuTcp = await puertoLibre();
+  puertoUdp = await puertoLibre();
+  puertoTls = await puertoLibre();
+  certificados = generarCertificados();
+
+  // El simulador anuncia cada dispositivo por consola y avisa los handshakes rechazados
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+  await iniciarSimulador({
+    dispositivos: [
+      { nombre: 'Medidor serie', puertoSerie: rutas[0], baudios: 19200, unitId: 3, holding: { 0: [301, 302] } },
+      { nombre: 'Medidor mudo', puertoSerie: rutas[0], baudios: 19200, unitId: 9, tasaSinRespuesta: 1 },
+      { nombre: 'Detrás de conversor', puerto: puertoRtuTcp, transporte: 'rtu-tcp', unitId: 4, holding: { 10: [401, 402, 403] } },
+      { nombre: 'Medidor UDP', puerto: puertoUdp, transporte: 'udp', unitId: 5, input: { 0: [501, 502] } },
+      { nombre: 'Medidor UDP mudo', puerto: puertoUdp, transporte: 'udp', unitId: 6, tasaSinRespuesta: 1 },
+      { nombre: 'Relé TLS', puerto: puertoTls, unitId: 7, holding: { 0: [701] }, tls: credenciales('equipo') },
+    ],
+  });
+});
+
+test.after(() => {
+  cerrarTodas();
+  detenerSimulador();
+  cable.stdin.end();
+  fs.rmSync(certificados, { recursive: true, force: true });
+  console.log = logOriginal;
+  console.warn = warnOriginal;
+  console.error = errorOriginal;
+});
+
+test('lee por puerto serie RTU y mantiene el puerto abierto', async () => {
+  const destino = { transporte: 'serie', serie: { ruta: rutas[1], baudios: 19200 } };
+  const lectura = { ...destino, indiceInicial: 0, cantRegistros: 2, unitId: 3, timeoutMs: 2000, reintentos: 0 };
+
+  assert.deepStrictEqual((await leerRegistrosModbus(lectura)).valores, [301, 302]);
+  assert.deepStrictEqual((await leerRegistrosModbus({ ...lectura, indiceInicial: 1, cantRegistros: 1 })).valores, [302]);
+
+  const conexiones = obtenerEstadoConexiones().filter(c => c.clave === `serie:${rutas[1]}`);
+  assert.strictEqual(conexiones.length, 1);
+  assert.strictEqual(conexiones[0].estado, 'conectado');
+  assert.strictEqual(conexiones[0].reconexiones, 0);
+});
+
+test('un esclavo serie que no contesta da timeout sin cerrar el puerto', async () => {
+  const lectura = { transporte: 'serie', serie: { ruta: rutas[1], baudios: 19200 }, indiceInicial: 0, cantRegistros: 1, unitId: 9, timeoutMs: 300, reintentos: 0 };
+
+  await assert.rejects(leerRegistrosModbus(lectura), error => error.name === 'TransactionTimedOutError');
+  assert.strictEqual(obtenerEstadoConexiones().find(c => c.clave === `serie:${rutas[1]}`).estado, 'conectado');
+
+  assert.deepStrictEqual((await leerRegistrosModbus({ ...lectura, unitId: 3 })).valores, [301]);
+});
+
+test('lee tramas RTU sobre TCP a través de un conversor transparente', async () => {
+  const lectura = { transporte: 'rtu-tcp', ip: '127.0.0.1', puerto: puertoRtuTcp, indiceInicial: 10, cantRegistros: 3, unitId: 4, timeoutMs: 2000, reintentos: 0 };
+
+  assert.deepStrictEqual((await leerRegistrosModbus(lectura)).valores, [401, 402, 403]);
+  assert.deepStrictEqual((await leerRegistrosModbus({ ...lectura, indiceInicial: 12, cantRegistros: 1 })).valores, [403]);
+
+  const conexion = obtenerEstadoConexiones().find(c => c.clave === `rtu-tcp:127.0.0.1:${puertoRtuTcp}`);
+  assert.strictEqual(conexion.estado, 'conectado');
+  assert.strictEqual(conexion.reconexiones, 0);
+});
+
+test('por RTU sobre TCP una dirección fuera del mapa vuelve como excepción Modbus', async () => {
+  const lectura = { transporte: 'rtu-tcp', ip: '127.0.0.1', puerto: puertoRtuTcp, indiceInicial: 50, cantRegistros: 1, unitId: 4, timeoutMs: 2000, reintentos: 0 };
+
+  await assert.rejects(leerRegistrosModbus(lectura), error => error.modbusCode === 2);
+});
+
+test('lee por Modbus UDP', async () => {
+  const lectura = { transporte: 'udp', ip: '127.0.0.1', puerto: puertoUdp, indiceInicial: 0, cantRegistros: 2, unitId: 5, funcion: 4, timeoutMs: 2000, reintentos: 0 };
+
+  assert.deepStrictEqual((await leerRegistrosModbus(lectura)).valores, [501, 502]);
+  assert.deepStrictEqual((await leerRegistrosModbus({ ...lectura, indiceInicial: 1, cantRegistros: 1 })).valores, [502]);
+
+  const conexion = obtenerEstadoConexiones().find(c => c.clave === `udp:127.0.0.1:${puertoUdp}`);
+  assert.strictEqual(conexion.estado, 'conectado');
+  assert.strictEqual(conexion.reconexiones, 0);
+});
+
+test('un datagrama sin respuesta da timeout sin descartar el socket UDP', async () => {
+  const lectura = { transporte: 'udp', ip: '127.0.0.1', puerto: puertoUdp, indiceInicial: 0, cantRegistros: 1, unitId: 6, funcion: 4, timeoutMs: 300, reintentos: 0 };
+
+  await leerRegistrosModbus({ ...lectura, unitId: 5 });
+  const { conectadoDesde } = obtenerEstadoConexiones().find(c => c.clave === `udp:127.0.0.1:${puertoUdp}`);
+
+  await assert.rejects(leerRegistrosModbus(lectura), error => error.name === 'TransactionTimedOutError');
+  assert.deepStrictEqual((await leerRegistrosModbus({ ...lectura, unitId: 5 })).valores, [501]);
+  assert.strictEqual(obtenerEstadoConexiones().find(c => c.clave === `udp:127.0.0.1:${puertoUdp}`).conectadoDesde, conectadoDesde);
+});
+
+test('lee por Modbus/TCP Security con TLS mutuo', async () => {
+  const lectura = { transporte: 'tls', ip: '127.0.0.1', puerto: puertoTls, tls: credenciales('agente'), indiceInicial: 0, cantRegistros: 1, unitId: 7, timeoutMs: 2000, reintentos: 0 };
+
+  assert.deepStrictEqual((await leerRegistrosModbus(lectura)).valores, [701]);
+  assert.deepStrictEqual((await leerRegistrosModbus(lectura)).valores, [701]);
+
+  const conexiones = obtenerEstadoConexiones().filter(c => c.clave.startsWith(`tls:127.0.0.1:${puertoTls}#`));
+  assert.strictEqual(conexiones.length, 1);
+  assert.strictEqual(conexiones[0].estado, 'conectado');
+  assert.strictEqual(conexiones[0].reconexiones, 0);
+});
+
+test('dos identidades TLS hacia el mismo equipo usan conexiones distintas', async () => {
+  const lectura = { transporte: 'tls', ip: '127.0.0.1', puerto: puertoTls, indiceInicial: 0, cantRegistros: 1, unitId: 7, timeoutMs: 2000, reintentos: 0 };
+
+  await leerRegistrosModbus({ ...lectura, tls: credenciales('agente') });
+  await leerRegistrosModbus({ ...lectura, tls: credenciales('otro-agente') });
+
+  const claves = obtenerEstadoConexiones().map(c => c.clave).filter(clave => clave.startsWith(`tls:127.0.0.1:${puertoTls}#`));
+  assert.strictEqual(claves.length, 2);
+  assert.notStrictEqual(claves[0], claves[1]);
+});
+
+test('un equipo con certificado de una CA desconocida falla en el handshake', async () => {
+  const lectura = { transporte: 'tls', ip: '127.0.0.1', puerto: puertoTls, tls: credenciales('agente', 'intruso'), indiceInicial: 0, cantRegistros: 1, unitId: 7, timeoutMs: 2000, reintentos: 0 };
+
+  await assert.rejects(leerRegistrosModbus(lectura), error => error.codigo === CODIGOS_ERROR.TLS_HANDSHAKE);
+});
+
+test('el equipo no atiende a un cliente con certificado que su CA no firmó', async () => {
+  const lectura = { transporte: 'tls', ip: '127.0.0.1', puerto: puertoTls, tls: credenciales('intruso'), indiceInicial: 0, cantRegistros: 1, unitId: 7, timeoutMs: 500, reintentos: 0 };
+
+  await assert.rejects(leerRegistrosModbus(lectura));
+});